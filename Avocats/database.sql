@@ -50,7 +50,101 @@ CREATE TABLE IF NOT EXISTS users (
     last_login TIMESTAMP
 );
 
+-- Historique des tarifs (valid_to NULL = tarif en vigueur)
+CREATE TABLE IF NOT EXISTS service_prices (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+    service_type VARCHAR(255) NOT NULL,
+    tarif INTEGER NOT NULL,
+    forfait VARCHAR(100),
+    commission INTEGER NOT NULL,
+    valid_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    valid_to TIMESTAMP,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Tarification des affaires : heures déclarées, commission appliquée et tarif utilisé
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS hours NUMERIC(6,2);
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS commission INTEGER;
+ALTER TABLE cases ADD COLUMN IF NOT EXISTS service_price_id INTEGER REFERENCES service_prices(id) ON DELETE SET NULL;
+
+-- Table des clôtures de semaine (totaux figés)
+CREATE TABLE IF NOT EXISTS week_snapshots (
+    id SERIAL PRIMARY KEY,
+    week VARCHAR(20) NOT NULL,
+    total_cases INTEGER NOT NULL DEFAULT 0,
+    total_revenue INTEGER NOT NULL DEFAULT 0,
+    total_expenses INTEGER NOT NULL DEFAULT 0,
+    profit INTEGER NOT NULL DEFAULT 0,
+    completed_cases INTEGER NOT NULL DEFAULT 0,
+    ongoing_cases INTEGER NOT NULL DEFAULT 0,
+    cases JSONB NOT NULL DEFAULT '[]',
+    closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    closed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reopened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reopened_at TIMESTAMP,
+    reopen_reason TEXT
+);
+
+-- Table des calculs de paie (brouillon -> approuve -> paye)
+CREATE TABLE IF NOT EXISTS payroll_runs (
+    id SERIAL PRIMARY KEY,
+    week VARCHAR(20) NOT NULL,
+    status VARCHAR(20) DEFAULT 'brouillon',
+    total_amount INTEGER NOT NULL DEFAULT 0,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    paid_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Table des fiches de paie
+CREATE TABLE IF NOT EXISTS payslips (
+    id SERIAL PRIMARY KEY,
+    payroll_run_id INTEGER REFERENCES payroll_runs(id) ON DELETE CASCADE,
+    employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+    employee_name VARCHAR(255) NOT NULL,
+    employee_role VARCHAR(100),
+    base_salary INTEGER NOT NULL DEFAULT 0,
+    commission_rate INTEGER NOT NULL DEFAULT 0,
+    cases_handled INTEGER NOT NULL DEFAULT 0,
+    revenue_generated INTEGER NOT NULL DEFAULT 0,
+    commission_amount INTEGER NOT NULL DEFAULT 0,
+    deductions INTEGER NOT NULL DEFAULT 0,
+    total INTEGER NOT NULL DEFAULT 0
+);
+
+-- Table des frais généraux (loyer, fournitures...), hors frais rattachés aux affaires
+CREATE TABLE IF NOT EXISTS expenses (
+    id SERIAL PRIMARY KEY,
+    expense_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    category VARCHAR(100) NOT NULL,
+    description TEXT,
+    amount INTEGER NOT NULL CHECK (amount >= 0),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Frais généraux : rattachement optionnel à un dossier ou un employé, justificatif joint
+-- (la table dossiers et sa clé étrangère sont créées par setup.js)
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS dossier_id INTEGER;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL;
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_path VARCHAR(500);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_name VARCHAR(255);
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_mime VARCHAR(100);
+
 -- Index pour améliorer les performances
+CREATE UNIQUE INDEX IF NOT EXISTS idx_week_snapshots_active ON week_snapshots(week) WHERE reopened_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_payroll_runs_week ON payroll_runs(week);
+CREATE INDEX IF NOT EXISTS idx_service_prices_type ON service_prices(service_type, valid_from);
+CREATE INDEX IF NOT EXISTS idx_payslips_run ON payslips(payroll_run_id);
+CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(expense_date);
+CREATE INDEX IF NOT EXISTS idx_expenses_category ON expenses(category);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_runs_validated ON payroll_runs(week) WHERE status <> 'brouillon';
 CREATE INDEX IF NOT EXISTS idx_cases_week ON cases(week);
 CREATE INDEX IF NOT EXISTS idx_cases_lawyer ON cases(lawyer);
 CREATE INDEX IF NOT EXISTS idx_cases_status ON cases(status);
@@ -80,6 +174,13 @@ INSERT INTO services (type, tarif, forfait, commission) VALUES
 ('Assurance', 170, '1600€', 17)
 ON CONFLICT (type) DO NOTHING;
 
+-- Tarif initial dans l'historique
+INSERT INTO service_prices (service_id, service_type, tarif, forfait, commission, valid_from)
+SELECT s.id, s.type, s.tarif, s.forfait, s.commission, s.created_at
+FROM services s
+LEFT JOIN service_prices p ON p.service_type = s.type
+WHERE p.id IS NULL;
+
 -- Fonction pour automatiquement mettre à jour updated_at
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -99,6 +200,12 @@ CREATE TRIGGER update_cases_updated_at BEFORE UPDATE ON cases
 CREATE TRIGGER update_services_updated_at BEFORE UPDATE ON services
     FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
 
+CREATE TRIGGER update_payroll_runs_updated_at BEFORE UPDATE ON payroll_runs
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
+CREATE TRIGGER update_expenses_updated_at BEFORE UPDATE ON expenses
+    FOR EACH ROW EXECUTE PROCEDURE update_updated_at_column();
+
 -- Vues utiles pour les rapports
 
 -- Vue des statistiques par semaine
@@ -115,8 +222,9 @@ FROM cases
 GROUP BY week
 ORDER BY week DESC;
 
--- Vue des performances par avocat
-CREATE OR REPLACE VIEW lawyer_performance AS
+-- Vue des performances par avocat (commission au taux de chaque affaire, à défaut celui de l'employé)
+DROP VIEW IF EXISTS lawyer_performance;
+CREATE VIEW lawyer_performance AS
 SELECT 
     e.name,
     e.role,
@@ -124,20 +232,20 @@ SELECT
     e.commission,
     COUNT(c.id) as cases_handled,
     COALESCE(SUM(c.honoraires), 0) as revenue_generated,
-    COALESCE(SUM(c.honoraires * e.commission / 100), 0) as total_commission
+    COALESCE(ROUND(SUM(c.honoraires * COALESCE(c.commission, e.commission) / 100.0)), 0) as total_commission
 FROM employees e
 LEFT JOIN cases c ON e.name = c.lawyer
 WHERE e.status = 'Actif'
 GROUP BY e.id, e.name, e.role, e.salary, e.commission
 ORDER BY revenue_generated DESC;
 
--- Vue du tableau de bord
+-- Vue du tableau de bord (semaine ISO courante, même format que cases.week)
 CREATE OR REPLACE VIEW dashboard_stats AS
 SELECT 
     (SELECT COUNT(*) FROM employees WHERE status = 'Actif') as active_employees,
-    (SELECT COUNT(*) FROM cases WHERE week = TO_CHAR(CURRENT_DATE, 'YYYY-"W"WW')) as current_week_cases,
-    (SELECT COALESCE(SUM(honoraires), 0) FROM cases WHERE week = TO_CHAR(CURRENT_DATE, 'YYYY-"W"WW')) as current_week_revenue,
-    (SELECT COALESCE(SUM(frais), 0) FROM cases WHERE week = TO_CHAR(CURRENT_DATE, 'YYYY-"W"WW')) as current_week_expenses;
+    (SELECT COUNT(*) FROM cases WHERE week = TO_CHAR(CURRENT_DATE, 'IYYY-"W"IW')) as current_week_cases,
+    (SELECT COALESCE(SUM(honoraires), 0) FROM cases WHERE week = TO_CHAR(CURRENT_DATE, 'IYYY-"W"IW')) as current_week_revenue,
+    (SELECT COALESCE(SUM(frais), 0) FROM cases WHERE week = TO_CHAR(CURRENT_DATE, 'IYYY-"W"IW')) as current_week_expenses;
 
 -- Commentaires sur les tables
 COMMENT ON TABLE employees IS 'Table des employés du cabinet d''avocats';
@@ -149,6 +257,15 @@ COMMENT ON COLUMN employees.commission IS 'Pourcentage de commission sur les aff
 COMMENT ON COLUMN cases.week IS 'Semaine au format YYYY-WXX (ex: 2025-W37)';
 COMMENT ON COLUMN cases.honoraires IS 'Montant des honoraires en euros';
 COMMENT ON COLUMN cases.frais IS 'Frais additionnels en euros';
+COMMENT ON COLUMN cases.hours IS 'Heures déclarées (services au tarif horaire)';
+COMMENT ON COLUMN cases.commission IS 'Pourcentage de commission de l''avocat sur cette affaire (défaut : commission du service)';
+COMMENT ON TABLE week_snapshots IS 'Clôtures de semaine : totaux et affaires figés au moment de la clôture';
+COMMENT ON TABLE service_prices IS 'Historique des tarifs pour valoriser les affaires au tarif en vigueur à leur création';
+COMMENT ON TABLE payroll_runs IS 'Calculs de paie hebdomadaires (brouillon, approuve, paye)';
+COMMENT ON TABLE expenses IS 'Frais généraux du cabinet, pris en compte dans le rapport financier';
+COMMENT ON COLUMN expenses.receipt_path IS 'Chemin du justificatif dans le dossier uploads/';
+COMMENT ON COLUMN payslips.deductions IS 'Frais des affaires traitées, déduits du total';
+COMMENT ON COLUMN week_snapshots.reopen_reason IS 'Motif saisi par l''administrateur lors de la réouverture';
 
 -- Permissions (à adapter selon vos besoins)
 -- GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA public TO cabinet_app;
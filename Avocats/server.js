@@ -1,10 +1,19 @@
 const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { Pool } = require('pg');
+const Cursor = require('pg-cursor');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const pdfParse = require('pdf-parse');
 require('dotenv').config();
 
 const app = express();
@@ -59,35 +68,135 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Simple rate limiting middleware
-const simpleRateLimit = new Map();
-const rateLimitMiddleware = (req, res, next) => {
-  const ip = req.ip || req.connection.remoteAddress || 'unknown';
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000;
-  const maxRequests = 100;
-  
-  if (!simpleRateLimit.has(ip)) {
-    simpleRateLimit.set(ip, { count: 1, resetTime: now + windowMs });
-    return next();
-  }
-  
-  const record = simpleRateLimit.get(ip);
-  
-  if (now > record.resetTime) {
-    record.count = 1;
-    record.resetTime = now + windowMs;
-    return next();
+// Limitation des tentatives de connexion, persistee en base (table login_attempts).
+// Au-dela du seuil, chaque echec supplementaire double la duree de blocage.
+const LOGIN_THROTTLE = {
+  email: { threshold: 5, windowMinutes: 60 },
+  ip: { threshold: 20, windowMinutes: 15 }
+};
+const LOGIN_LOCK_BASE_MS = 60 * 1000;
+const LOGIN_LOCK_MAX_MS = 60 * 60 * 1000;
+const LOGIN_DELAY_STEP_MS = 500;
+const LOGIN_DELAY_MAX_MS = 5000;
+const LOGIN_ATTEMPTS_RETENTION_DAYS = 90;
+const LOGIN_FAILED_MESSAGE = 'Email ou mot de passe incorrect';
+
+// Comparaison factice pour un email inconnu : meme temps de reponse qu'un mauvais mot de passe
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+const normalizeLoginEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const recordLoginAttempt = (req, { email = null, userId = null, success, reason }) => pool.query(
+  `INSERT INTO login_attempts (email, user_id, ip, user_agent, success, reason)
+  VALUES ($1, $2, $3, $4, $5, $6)`,
+  [email ? normalizeLoginEmail(email) : null, userId, req.ip, (req.get('user-agent') || '').slice(0, 255), success, reason]
+);
+
+// Echecs depuis la derniere remise a zero (connexion reussie pour un compte, deverrouillage admin)
+const getLoginThrottleState = async (scope, value) => {
+  const rule = LOGIN_THROTTLE[scope];
+  const since = new Date(Date.now() - rule.windowMinutes * 60 * 1000);
+  const resetCondition = scope === 'email' ? 'success IS NOT FALSE' : "reason = 'admin_unlock'";
+
+  const reset = await pool.query(
+    `SELECT MAX(created_at) AS reset_at FROM login_attempts WHERE ${scope} = $1 AND ${resetCondition}`,
+    [value]
+  );
+  const resetAt = reset.rows[0].reset_at ? new Date(reset.rows[0].reset_at) : null;
+
+  const result = await pool.query(
+    `SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure FROM login_attempts
+    WHERE ${scope} = $1 AND success = FALSE AND reason <> 'locked' AND created_at > $2`,
+    [value, resetAt && resetAt > since ? resetAt : since]
+  );
+  const failures = parseInt(result.rows[0].failures);
+  let lockedUntil = null;
+
+  if (failures >= rule.threshold) {
+    const duration = Math.min(LOGIN_LOCK_BASE_MS * Math.pow(2, failures - rule.threshold), LOGIN_LOCK_MAX_MS);
+    const until = new Date(new Date(result.rows[0].last_failure).getTime() + duration);
+    if (until > new Date()) lockedUntil = until;
   }
-  
-  if (record.count >= maxRequests) {
-    return res.status(429).json({ error: 'Trop de requetes' });
+
+  return { failures, lockedUntil };
+};
+
+const sendLoginLocked = (res, lockedUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  const minutes = Math.ceil(retryAfter / 60);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: `Trop de tentatives de connexion. Reessayez dans ${minutes} minute${minutes > 1 ? 's' : ''}.`,
+    retry_after: retryAfter
+  });
+};
+
+// Verifie le blocage par adresse IP et, si un email est fourni, par compte
+const loginThrottle = async (req, res, next) => {
+  try {
+    const email = normalizeLoginEmail(req.body && req.body.email);
+    const states = [await getLoginThrottleState('ip', req.ip)];
+    if (email) states.push(await getLoginThrottleState('email', email));
+
+    const locked = states.filter(state => state.lockedUntil)
+      .sort((a, b) => b.lockedUntil - a.lockedUntil)[0];
+
+    if (locked) {
+      await recordLoginAttempt(req, { email, success: false, reason: 'locked' });
+      return sendLoginLocked(res, locked.lockedUntil);
+    }
+
+    req.loginFailures = Math.max(...states.map(state => state.failures));
+    next();
+  } catch (error) {
+    console.error('Erreur limitation connexion:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
   }
-  
-  record.count++;
-  next();
 };
 
+// Ralentissement progressif des reponses d'echec
+const loginFailureDelay = (req) => new Promise(resolve => setTimeout(
+  resolve,
+  Math.min(((req.loginFailures || 0) + 1) * LOGIN_DELAY_STEP_MS, LOGIN_DELAY_MAX_MS)
+));
+
+// Routes accessibles tant que le mot de passe provisoire n'a pas ete change
+const PASSWORD_CHANGE_PATHS = ['/api/me', '/api/me/password'];
+// Routes accessibles tant que la double authentification imposee au role n'est pas configuree
+const TWO_FACTOR_SETUP_PATHS = ['/api/me', '/api/me/2fa', '/api/me/2fa/setup', '/api/me/2fa/enable'];
+
+// Sessions : token d'acces court (JWT) + refresh token a usage unique stocke hache en base
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || '30');
+// Delai pendant lequel l'ancien refresh token est refuse sans revoquer la session (onglets concurrents)
+const REFRESH_REUSE_GRACE_MS = 60 * 1000;
+const SESSION_TOUCH_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Libelle lisible de l'appareil a partir du User-Agent
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Appareil inconnu';
+
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([marker]) => userAgent.includes(marker));
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !os) return userAgent.slice(0, 60);
+  return `${browser ? browser[1] : 'Navigateur'} sur ${os ? os[1] : 'systeme inconnu'}`;
+};
+
+const revokeUserSessions = (userId, exceptSessionId = null) => pool.query(
+  `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+  WHERE user_id = $1 AND revoked_at IS NULL AND ($2::integer IS NULL OR id <> $2)`,
+  [userId, exceptSessionId]
+);
+
 // Middleware d'authentification
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -97,15 +206,279 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Token d\'acces requis' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'default-secret', (err, user) => {
+  jwt.verify(token, process.env.JWT_SECRET || 'default-secret', async (err, user) => {
     if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Session expiree', code: 'TOKEN_EXPIRED' });
+      }
       return res.status(403).json({ error: 'Token invalide' });
     }
+
+    try {
+      // La session doit exister, ne pas etre revoquee et le compte doit etre actif
+      const result = await pool.query(
+        `SELECT s.id, s.last_seen_at FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL
+          AND s.expires_at > CURRENT_TIMESTAMP AND u.active IS NOT FALSE`,
+        [user.sessionId || null, user.userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({ error: 'Session revoquee', code: 'SESSION_REVOKED' });
+      }
+
+      if (Date.now() - new Date(result.rows[0].last_seen_at).getTime() > SESSION_TOUCH_MS) {
+        await pool.query(
+          'UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP, ip = $1 WHERE id = $2',
+          [req.ip, user.sessionId]
+        );
+      }
+    } catch (error) {
+      console.error('Erreur verification session:', error);
+      return res.status(500).json({ error: 'Erreur serveur' });
+    }
+
+    // Mot de passe provisoire : seul le changement de mot de passe reste accessible
+    if (user.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(req.path)) {
+      return res.status(403).json({ error: 'Changement de mot de passe requis', code: 'PASSWORD_CHANGE_REQUIRED' });
+    }
+    if (user.twoFactorSetupRequired && !TWO_FACTOR_SETUP_PATHS.includes(req.path)) {
+      return res.status(403).json({ error: 'Double authentification obligatoire pour votre role', code: 'TWO_FACTOR_SETUP_REQUIRED' });
+    }
     req.user = user;
     next();
   });
 };
 
+// Roles et matrice des permissions (ressource:action). L'admin a tous les droits,
+// dont users:manage (gestion des comptes) et audit:read (journal d'audit) qui ne sont
+// accordes a aucun autre role.
+const ROLES = ['admin', 'associe', 'avocat', 'secretaire', 'comptable'];
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  associe: [
+    'clients:read', 'clients:write', 'clients:delete',
+    'dossiers:read', 'dossiers:write', 'dossiers:delete', 'trash:read',
+    'documents:read', 'documents:write', 'documents:delete',
+    'rdv:read', 'rdv:write', 'rdv:delete',
+    'employees:read', 'employees:write',
+    'cases:read', 'cases:write', 'weeks:read', 'weeks:close',
+    'services:read', 'services:write', 'stats:read',
+    'expenses:read', 'expenses:write', 'reports:read', 'export:run', 'import:run'
+  ],
+  avocat: [
+    'clients:read', 'clients:write',
+    'dossiers:read', 'dossiers:write',
+    'documents:read', 'documents:write',
+    'rdv:read', 'rdv:write', 'rdv:delete',
+    'employees:read', 'cases:read', 'cases:write', 'weeks:read',
+    'services:read', 'stats:read'
+  ],
+  secretaire: [
+    'clients:read', 'clients:write',
+    'dossiers:read', 'dossiers:write',
+    'documents:read', 'documents:write',
+    'rdv:read', 'rdv:write', 'rdv:delete',
+    'employees:read', 'cases:read', 'weeks:read',
+    'services:read', 'stats:read'
+  ],
+  comptable: [
+    'clients:read', 'dossiers:read', 'rdv:read',
+    'employees:read', 'employees:write',
+    'cases:read', 'cases:write', 'weeks:read', 'weeks:close',
+    'payroll:read', 'payroll:write',
+    'services:read', 'services:write', 'stats:read',
+    'expenses:read', 'expenses:write', 'reports:read', 'export:run', 'import:run'
+  ]
+};
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => {
+  const permissions = getPermissions(role);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Middleware d'autorisation, a placer apres authenticateToken
+const authorize = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ error: 'Acces refuse : permissions insuffisantes' });
+  }
+  next();
+};
+
+// Validation des requetes : schema { champ: { label, type, required, max, min, values, trim } }.
+// Types : string (defaut), email, integer, number, boolean, date, datetime, week et array (de values).
+// Les chaines sont nettoyees et les nombres convertis ; un champ vide devient null, un champ absent
+// reste absent. Les erreurs sont renvoyees par champ, au meme format que l'import : [{ field, error }].
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+const WEEK_FORMAT = /^\d{4}-W\d{2}$/;
+
+// Date.parse accepte 2025-02-31 (reporte au 3 mars) : la date relue doit etre identique
+const isCalendarDate = (text) => {
+  const date = new Date(`${text}T00:00:00Z`);
+  return DATE_FORMAT.test(text) && !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text;
+};
+
+const checkField = (field, raw) => {
+  const value = typeof raw === 'string' && field.trim !== false ? raw.trim() : raw;
+
+  if (field.type === 'integer' || field.type === 'number') {
+    const number = typeof value === 'string' || typeof value === 'number' ? Number(value) : NaN;
+    if (!Number.isFinite(number) || (field.type === 'integer' && !Number.isInteger(number))) {
+      return { error: `${field.label} : ${field.type === 'integer' ? 'nombre entier' : 'nombre'} attendu` };
+    }
+    if (field.min != null && number < field.min) {
+      return { error: `${field.label} : minimum ${field.min}` };
+    }
+    if (field.max != null && number > field.max) {
+      return { error: `${field.label} : maximum ${field.max}` };
+    }
+    return { value: number };
+  }
+
+  if (field.type === 'boolean') {
+    if (typeof value === 'boolean') return { value };
+    if (value === 'true' || value === 'false') return { value: value === 'true' };
+    return { error: `${field.label} : vrai ou faux attendu` };
+  }
+
+  if (field.type === 'array') {
+    if (!Array.isArray(value) || value.some(item => !field.values.includes(item))) {
+      return { error: `${field.label} : valeurs autorisees ${field.values.join(', ')}` };
+    }
+    return { value };
+  }
+
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { error: `${field.label} : texte attendu` };
+  }
+
+  const text = String(value);
+  if (field.max != null && text.length > field.max) {
+    return { error: `${field.label} : ${field.max} caracteres maximum` };
+  }
+  if (field.values && !field.values.includes(text)) {
+    return { error: `${field.label} invalide (${field.values.join(', ')})` };
+  }
+  if (field.type === 'email' && !EMAIL_FORMAT.test(text)) {
+    return { error: `${field.label} : email invalide` };
+  }
+  if (field.type === 'date' && !isCalendarDate(text)) {
+    return { error: `${field.label} : date invalide (format YYYY-MM-DD)` };
+  }
+  if (field.type === 'datetime' && (isNaN(Date.parse(text)) || (/^\d{4}-\d{2}-\d{2}T/.test(text) && !isCalendarDate(text.slice(0, 10))))) {
+    return { error: `${field.label} : date et heure invalides` };
+  }
+  if (field.type === 'week' && !WEEK_FORMAT.test(text)) {
+    return { error: `${field.label} : semaine invalide (format YYYY-WXX)` };
+  }
+  return { value: text };
+};
+
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({ error: errors.map(item => item.error).join(' ; '), errors });
+
+// Middleware de validation du corps de la requete, a placer apres authorize.
+// partial : seuls les champs presents sont controles (PATCH), un champ requis ne peut pas etre vide.
+const validateBody = (schema, { partial = false } = {}) => (req, res, next) => {
+  const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+  const cleaned = { ...body };
+  const errors = [];
+
+  Object.entries(schema).forEach(([key, field]) => {
+    const raw = body[key];
+
+    if (partial && raw === undefined) {
+      return;
+    }
+
+    if (raw == null || (typeof raw === 'string' && raw.trim() === '')) {
+      if (field.required) {
+        errors.push({ field: key, error: `${field.label} requis` });
+      } else if (raw !== undefined) {
+        cleaned[key] = null;
+      }
+      return;
+    }
+
+    const checked = checkField(field, raw);
+    if (checked.error) {
+      errors.push({ field: key, error: checked.error });
+    } else {
+      cleaned[key] = checked.value;
+    }
+  });
+
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  req.body = cleaned;
+  next();
+};
+
+// Identifiants numeriques dans l'URL
+['id', 'version'].forEach(param => {
+  app.param(param, (req, res, next, value) => {
+    if (!/^\d{1,9}$/.test(value)) {
+      return sendValidationErrors(res, [{ field: param, error: 'Identifiant invalide' }]);
+    }
+    next();
+  });
+});
+
+// Erreurs PostgreSQL : 400 pour une donnee refusee, 404 pour une reference inexistante,
+// 409 pour un doublon ou une suppression bloquee ; les autres erreurs restent des 500
+const DB_TABLE_LABELS = {
+  clients: 'Client',
+  dossiers: 'Dossier',
+  rendez_vous: 'Rendez-vous',
+  employees: 'Employe',
+  users: 'Utilisateur',
+  cases: 'Affaire',
+  services: 'Service',
+  documents: 'Document',
+  notes: 'Note'
+};
+
+const handleDbError = (error, res) => {
+  const detail = error.detail || '';
+  const key = /Key \(([^)]+)\)/.exec(detail);
+  const field = error.column || (key ? key[1].split(',')[0].trim() : null);
+  const send = (status, message) =>
+    res.status(status).json({ error: message, errors: field ? [{ field, error: message }] : [] });
+
+  switch (error.code) {
+    case '23505':
+      return send(409, field ? `Valeur deja utilisee (${field})` : 'Valeur deja utilisee');
+    case '23503': {
+      const table = /table "([^"]+)"/.exec(detail);
+      const label = table ? DB_TABLE_LABELS[table[1]] || table[1] : 'Element';
+      if (detail.includes('still referenced')) {
+        return res.status(409).json({ error: `Suppression impossible : encore utilise (${label})`, errors: [] });
+      }
+      return send(404, `${label} inexistant`);
+    }
+    case '23502':
+      return send(400, `${field || 'Champ'} requis`);
+    case '23514':
+      return send(400, 'Valeur hors des limites autorisees');
+    case '22001':
+      return send(400, 'Texte trop long');
+    case '22003':
+    case '22007':
+    case '22008':
+    case '22P02':
+      return send(400, 'Valeur invalide');
+    default:
+      console.error('Erreur serveur:', error);
+      return res.status(500).json({ error: 'Erreur serveur' });
+  }
+};
+
 // Routes de debug
 app.get('/debug-env', (req, res) => {
   const config = getDbConfig();
@@ -158,1284 +531,7086 @@ app.get('/debug-db', async (req, res) => {
   }
 });
 
-// Route pour créer toutes les tables
-app.post('/setup-tables', async (req, res) => {
-  try {
-    console.log('Creation des tables...');
+// Le schema (tables, vues, index, admin par defaut) est gere uniquement par setup.js :
+// cette ancienne route creait une base incomplete, elle renvoie desormais vers le script
+app.post('/setup-tables', (req, res) => {
+  res.status(410).json({ error: 'Route retiree : lancez node setup.js (npm run setup) pour creer ou mettre a jour la base' });
+});
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(50) UNIQUE NOT NULL,
-        email VARCHAR(100) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
-        role VARCHAR(20) DEFAULT 'user',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+// Routes API - Authentification
+const MIN_PASSWORD_LENGTH = 8;
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS clients (
-        id SERIAL PRIMARY KEY,
-        nom VARCHAR(100) NOT NULL,
-        prenom VARCHAR(100) NOT NULL,
-        email VARCHAR(100),
-        telephone VARCHAR(20),
-        adresse TEXT,
-        date_naissance DATE,
-        profession VARCHAR(100),
-        notes TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+// Utilisateur et obligation de double authentification issue de la politique de son role
+const AUTH_USER_SELECT = `
+  SELECT u.*, (COALESCE(p.required, FALSE) AND u.totp_enabled IS NOT TRUE) AS two_factor_setup_required
+  FROM users u
+  LEFT JOIN two_factor_policies p ON p.role = u.role
+`;
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS dossiers (
-        id SERIAL PRIMARY KEY,
-        numero_dossier VARCHAR(50) UNIQUE NOT NULL,
-        client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
-        titre VARCHAR(200) NOT NULL,
-        description TEXT,
-        type_affaire VARCHAR(100),
-        statut VARCHAR(50) DEFAULT 'ouvert',
-        date_ouverture DATE DEFAULT CURRENT_DATE,
-        date_fermeture DATE,
-        avocat_responsable VARCHAR(100),
-        priorite VARCHAR(20) DEFAULT 'normale',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+const findAuthUser = async (id) => {
+  const result = await pool.query(AUTH_USER_SELECT + ' WHERE u.id = $1', [id]);
+  return result.rows[0];
+};
 
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS rendez_vous (
-        id SERIAL PRIMARY KEY,
-        client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
-        dossier_id INTEGER REFERENCES dossiers(id) ON DELETE SET NULL,
-        titre VARCHAR(200) NOT NULL,
-        description TEXT,
-        date_rdv TIMESTAMP NOT NULL,
-        duree INTEGER DEFAULT 60,
-        lieu VARCHAR(200),
-        statut VARCHAR(50) DEFAULT 'prevu',
-        rappel_envoye BOOLEAN DEFAULT FALSE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+const signToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.id,
+    sessionId,
+    email: user.email,
+    role: user.role,
+    mustChangePassword: user.must_change_password === true,
+    twoFactorSetupRequired: user.two_factor_setup_required === true
+  },
+  process.env.JWT_SECRET || 'default-secret',
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
 
-    console.log('Tables creees avec succes');
+// Ouvre une session et renvoie le couple token d'acces / refresh token
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+  const result = await pool.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+    VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [user.id, hashToken(refreshToken), (req.get('user-agent') || '').slice(0, 500), req.ip, refreshTokenExpiry()]
+  );
 
-    const existingAdmin = await pool.query("SELECT * FROM users WHERE email = 'admin@cabinet.com'");
-    
-    if (existingAdmin.rows.length === 0) {
-      const passwordHash = await bcrypt.hash('admin123', 10);
-      
-      await pool.query(`
-        INSERT INTO users (username, email, password_hash, role)
-        VALUES ($1, $2, $3, $4)
-      `, ['admin', 'admin@cabinet.com', passwordHash, 'admin']);
-      
-      console.log('Utilisateur admin cree');
-    }
+  return { token: signToken(user, result.rows[0].id), refresh_token: refreshToken };
+};
 
-    res.json({ 
-      message: 'Setup termine avec succes!',
-      tables_created: ['users', 'clients', 'dossiers', 'rendez_vous'],
-      admin_created: existingAdmin.rows.length === 0
-    });
+const toUserProfile = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  employee_id: user.employee_id || null,
+  must_change_password: user.must_change_password === true,
+  two_factor_enabled: user.totp_enabled === true,
+  two_factor_setup_required: user.two_factor_setup_required === true,
+  permissions: getPermissions(user.role)
+});
 
-  } catch (error) {
-    console.error('Erreur setup tables:', error);
-    res.status(500).json({ 
-      error: 'Erreur lors du setup', 
-      details: error.message 
-    });
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Le mot de passe doit contenir au moins ${MIN_PASSWORD_LENGTH} caracteres`;
   }
-});
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Le mot de passe doit contenir au moins une lettre et un chiffre';
+  }
+  return null;
+};
 
-// Routes API - Authentification
-app.post('/api/login', rateLimitMiddleware, async (req, res) => {
+// Mot de passe provisoire communique une seule fois a l'administrateur
+const generateTemporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+// Double authentification (TOTP) : secret chiffre en base, codes de secours haches
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Cabinet Avocats';
+const TOTP_STEP_SECONDS = 30;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+const totpKey = crypto.createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || 'default-secret')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', totpKey, iv);
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, data] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', totpKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// Un code TOTP deja utilise (meme fenetre de 30 s) est refuse
+const verifyTotpCode = async (user, code) => {
+  if (!user.totp_secret || !code) return false;
+
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), decryptSecret(user.totp_secret));
+  if (delta === null) return false;
+
+  // Verification et enregistrement en une requete : deux envois simultanes du meme code ne passent pas
+  const counter = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+  const result = await pool.query(
+    `UPDATE users SET totp_last_counter = $1
+    WHERE id = $2 AND (totp_last_counter IS NULL OR totp_last_counter < $1) RETURNING id`,
+    [counter, user.id]
+  );
+  return result.rows.length > 0;
+};
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Remplace les codes de secours de l'utilisateur ; les codes en clair ne sont renvoyes qu'une fois
+const generateRecoveryCodes = async (userId, client = pool) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await client.query(
+      'INSERT INTO recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+};
+
+const useRecoveryCode = async (userId, code) => {
+  const result = await pool.query(
+    `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0;
+};
+
+// Second facteur : code de l'application ou, a defaut, un code de secours
+const verifySecondFactor = (user, { code, recovery_code }) => {
+  if (code) return verifyTotpCode(user, code);
+  if (recovery_code) return useRecoveryCode(user.id, recovery_code);
+  return false;
+};
+
+const isTwoFactorRequired = async (role) => {
+  const result = await pool.query('SELECT required FROM two_factor_policies WHERE role = $1', [role]);
+  return result.rows.length > 0 && result.rows[0].required === true;
+};
+
+// Derniere etape de connexion : ouverture de la session
+const completeLogin = async (user, req, res) => {
+  await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+  // Purge des sessions terminees depuis plus d'un mois
+  await pool.query(
+    "DELETE FROM sessions WHERE user_id = $1 AND COALESCE(revoked_at, expires_at) < CURRENT_TIMESTAMP - INTERVAL '30 days'",
+    [user.id]
+  );
+
+  await recordLoginAttempt(req, { email: user.email, userId: user.id, success: true, reason: 'success' });
+  await pool.query(
+    'DELETE FROM login_attempts WHERE created_at < $1',
+    [new Date(Date.now() - LOGIN_ATTEMPTS_RETENTION_DAYS * 24 * 60 * 60 * 1000)]
+  );
+
+  const session = await createSession(user, req);
+  res.json({
+    ...session,
+    user: toUserProfile(user)
+  });
+};
+
+const LOGIN_SCHEMA = {
+  email: { label: 'Email', required: true, max: 100 },
+  password: { label: 'Mot de passe', required: true, trim: false }
+};
+
+app.post('/api/login', validateBody(LOGIN_SCHEMA), loginThrottle, async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email et mot de passe requis' });
-    }
-    
-    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    const result = await pool.query(AUTH_USER_SELECT + ' WHERE LOWER(u.email) = LOWER($1)', [email]);
     const user = result.rows[0];
     
-    if (!user) {
-      return res.status(401).json({ error: 'Utilisateur non trouve' });
-    }
-    
-    const passwordMatch = await bcrypt.compare(password, user.password_hash);
+    // Message identique pour un email inconnu ou un mauvais mot de passe
+    const passwordMatch = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
     
-    if (!passwordMatch) {
-      return res.status(401).json({ error: 'Mot de passe incorrect' });
+    if (!user || !passwordMatch) {
+      await recordLoginAttempt(req, { email, userId: user ? user.id : null, success: false, reason: user ? 'bad_password' : 'unknown_user' });
+      await loginFailureDelay(req);
+      return res.status(401).json({ error: LOGIN_FAILED_MESSAGE });
     }
-    
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET || 'default-secret',
-      { expiresIn: '24h' }
-    );
-    
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      }
-    });
+
+    if (user.active === false) {
+      await recordLoginAttempt(req, { email, userId: user.id, success: false, reason: 'inactive' });
+      return res.status(403).json({ error: 'Compte desactive' });
+    }
+
+    // Double authentification : la session ne s'ouvre qu'apres /api/login/2fa
+    if (user.totp_enabled) {
+      const challengeToken = jwt.sign(
+        { userId: user.id, purpose: 'two_factor' },
+        process.env.JWT_SECRET || 'default-secret',
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+      return res.json({ two_factor_required: true, challenge_token: challengeToken });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Erreur login:', error);
     res.status(500).json({ error: 'Erreur serveur: ' + error.message });
   }
 });
 
-// Routes API - Clients
-app.get('/api/clients', authenticateToken, async (req, res) => {
+// Code TOTP a 6 chiffres ou code de secours (xxxxx-xxxxx)
+const TWO_FACTOR_CODE_FIELDS = {
+  code: { label: 'Code de verification', max: 10 },
+  recovery_code: { label: 'Code de secours', max: 20 }
+};
+
+const TWO_FACTOR_LOGIN_SCHEMA = {
+  challenge_token: { label: 'Jeton de verification', required: true, max: 2000, trim: false },
+  ...TWO_FACTOR_CODE_FIELDS
+};
+
+app.post('/api/login/2fa', validateBody(TWO_FACTOR_LOGIN_SCHEMA), loginThrottle, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM clients ORDER BY created_at DESC');
-    res.json(result.rows);
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({ error: 'Code de verification requis' });
+    }
+
+    let challenge;
+    try {
+      challenge = jwt.verify(challenge_token, process.env.JWT_SECRET || 'default-secret');
+    } catch (error) {
+      return res.status(401).json({ error: 'Verification expiree, veuillez vous reconnecter' });
+    }
+
+    const user = challenge.purpose === 'two_factor' ? await findAuthUser(challenge.userId) : null;
+    if (!user || user.active === false || !user.totp_enabled) {
+      return res.status(401).json({ error: 'Verification expiree, veuillez vous reconnecter' });
+    }
+
+    const accountState = await getLoginThrottleState('email', normalizeLoginEmail(user.email));
+    if (accountState.lockedUntil) {
+      await recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: 'locked' });
+      return sendLoginLocked(res, accountState.lockedUntil);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recovery_code }))) {
+      await recordLoginAttempt(req, { email: user.email, userId: user.id, success: false, reason: 'bad_2fa' });
+      await loginFailureDelay(req);
+      return res.status(401).json({ error: 'Code de verification invalide' });
+    }
+
+    await completeLogin(user, req, res);
   } catch (error) {
+    console.error('Erreur login 2FA:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
-app.post('/api/clients', authenticateToken, async (req, res) => {
+// Utilisateur connecte et ses permissions (l'interface masque les actions non autorisees)
+app.get('/api/me', authenticateToken, async (req, res) => {
   try {
-    const { nom, prenom, email, telephone, adresse, date_naissance, profession, notes } = req.body;
-    
-    const result = await pool.query(
-      'INSERT INTO clients (nom, prenom, email, telephone, adresse, date_naissance, profession, notes) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
-      [nom, prenom, email, telephone, adresse, date_naissance, profession, notes]
-    );
-    
-    res.status(201).json(result.rows[0]);
+    const user = await findAuthUser(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'Utilisateur non trouve' });
+    }
+
+    res.json(toUserProfile(user));
   } catch (error) {
-    res.status(500).json({ error: 'Erreur serveur' });
+    handleDbError(error, res);
   }
 });
 
-app.put('/api/clients/:id', authenticateToken, async (req, res) => {
+// Changement de son propre mot de passe ; renvoie un nouveau token sans l'obligation de changement
+const PASSWORD_CHANGE_SCHEMA = {
+  current_password: { label: 'Mot de passe actuel', required: true, trim: false },
+  new_password: { label: 'Nouveau mot de passe', required: true, trim: false }
+};
+
+app.put('/api/me/password', authenticateToken, validateBody(PASSWORD_CHANGE_SCHEMA), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { nom, prenom, email, telephone, adresse, date_naissance, profession, notes } = req.body;
-    
-    const result = await pool.query(
-      `UPDATE clients SET 
-        nom = $1, prenom = $2, email = $3, telephone = $4, 
-        adresse = $5, date_naissance = $6, profession = $7, notes = $8, 
-        updated_at = CURRENT_TIMESTAMP 
-      WHERE id = $9 RETURNING *`,
-      [nom, prenom, email, telephone, adresse, date_naissance, profession, notes, id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Client non trouve' });
+    const { current_password, new_password } = req.body;
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
     }
-    
-    res.json(result.rows[0]);
+
+    if (new_password === current_password) {
+      return res.status(400).json({ error: 'Le nouveau mot de passe doit etre different de l\'actuel' });
+    }
+
+    const existing = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    const user = existing.rows[0];
+
+    if (!user || user.active === false) {
+      return res.status(404).json({ error: 'Utilisateur non trouve' });
+    }
+
+    if (!(await bcrypt.compare(current_password, user.password_hash))) {
+      return res.status(400).json({ error: 'Mot de passe actuel incorrect' });
+    }
+
+    const passwordHash = await bcrypt.hash(new_password, 10);
+    await pool.query(
+      `UPDATE users SET password_hash = $1, must_change_password = FALSE,
+        password_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2`,
+      [passwordHash, user.id]
+    );
+
+    // Les autres appareils doivent se reconnecter avec le nouveau mot de passe
+    await revokeUserSessions(user.id, req.user.sessionId);
+
+    const updated = await findAuthUser(user.id);
+    res.json({ token: signToken(updated, req.user.sessionId), user: toUserProfile(updated) });
   } catch (error) {
+    console.error('Erreur changement mot de passe:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
-app.delete('/api/clients/:id', authenticateToken, async (req, res) => {
+// Rotation : chaque refresh token n'est utilisable qu'une fois. La reutilisation d'un
+// ancien token (vol probable) revoque la session.
+const REFRESH_SCHEMA = {
+  refresh_token: { label: 'Refresh token', required: true }
+};
+
+app.post('/api/token/refresh', validateBody(REFRESH_SCHEMA), loginThrottle, async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM clients WHERE id = $1 RETURNING id', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Client non trouve' });
+    const { refresh_token } = req.body;
+
+    const tokenHash = hashToken(refresh_token);
+    const result = await pool.query(
+      `SELECT s.*, u.active FROM sessions s
+      JOIN users u ON u.id = s.user_id
+      WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1`,
+      [tokenHash]
+    );
+    const session = result.rows[0];
+
+    if (!session) {
+      await recordLoginAttempt(req, { success: false, reason: 'bad_refresh' });
+      return res.status(401).json({ error: 'Session expiree', code: 'SESSION_REVOKED' });
     }
-    
-    res.json({ message: 'Client supprime avec succes' });
+
+    if (session.revoked_at || new Date(session.expires_at) <= new Date() || session.active === false) {
+      return res.status(401).json({ error: 'Session expiree', code: 'SESSION_REVOKED' });
+    }
+
+    if (session.refresh_token_hash !== tokenHash) {
+      if (Date.now() - new Date(session.rotated_at).getTime() > REFRESH_REUSE_GRACE_MS) {
+        await pool.query('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1', [session.id]);
+        console.warn(`Reutilisation d'un refresh token, session ${session.id} revoquee`);
+      }
+      return res.status(401).json({ error: 'Refresh token deja utilise', code: 'SESSION_REVOKED' });
+    }
+
+    const refreshToken = generateRefreshToken();
+    await pool.query(
+      `UPDATE sessions SET previous_token_hash = refresh_token_hash, refresh_token_hash = $1,
+        rotated_at = CURRENT_TIMESTAMP, last_seen_at = CURRENT_TIMESTAMP, ip = $2,
+        expires_at = $3
+      WHERE id = $4`,
+      [hashToken(refreshToken), req.ip, refreshTokenExpiry(), session.id]
+    );
+
+    const user = await findAuthUser(session.user_id);
+    res.json({
+      token: signToken(user, session.id),
+      refresh_token: refreshToken,
+      user: toUserProfile(user)
+    });
   } catch (error) {
+    console.error('Erreur refresh token:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
-// Routes API - Dossiers
-app.get('/api/dossiers', authenticateToken, async (req, res) => {
+// Deconnexion : revoque la session du refresh token (le token d'acces n'est plus accepte)
+app.post('/api/logout', validateBody(REFRESH_SCHEMA), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT d.*, c.nom, c.prenom 
-      FROM dossiers d 
-      LEFT JOIN clients c ON d.client_id = c.id 
-      ORDER BY d.created_at DESC
-    `);
-    res.json(result.rows);
+    const { refresh_token } = req.body;
+
+    await pool.query(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE refresh_token_hash = $1 AND revoked_at IS NULL',
+      [hashToken(refresh_token)]
+    );
+    res.json({ message: 'Deconnexion effectuee' });
   } catch (error) {
-    res.status(500).json({ error: 'Erreur serveur' });
+    handleDbError(error, res);
   }
 });
 
-app.post('/api/dossiers', authenticateToken, async (req, res) => {
+app.get('/api/sessions', authenticateToken, async (req, res) => {
   try {
-    const { numero_dossier, client_id, titre, description, type_affaire, avocat_responsable, priorite } = req.body;
-    
     const result = await pool.query(
-      'INSERT INTO dossiers (numero_dossier, client_id, titre, description, type_affaire, avocat_responsable, priorite) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
-      [numero_dossier, client_id, titre, description, type_affaire, avocat_responsable, priorite]
+      `SELECT id, user_agent, ip, created_at, last_seen_at, expires_at FROM sessions
+      WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      ORDER BY last_seen_at DESC`,
+      [req.user.userId]
     );
-    
-    res.status(201).json(result.rows[0]);
+
+    res.json(result.rows.map(session => ({
+      ...session,
+      device: describeDevice(session.user_agent),
+      current: session.id === req.user.sessionId
+    })));
   } catch (error) {
-    res.status(500).json({ error: 'Erreur serveur' });
+    handleDbError(error, res);
   }
 });
 
-app.put('/api/dossiers/:id', authenticateToken, async (req, res) => {
+app.delete('/api/sessions/:id', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { numero_dossier, client_id, titre, description, type_affaire, statut, avocat_responsable, priorite } = req.body;
-    
     const result = await pool.query(
-      `UPDATE dossiers SET 
-        numero_dossier = $1, client_id = $2, titre = $3, description = $4, 
-        type_affaire = $5, statut = $6, avocat_responsable = $7, priorite = $8, 
-        updated_at = CURRENT_TIMESTAMP 
-      WHERE id = $9 RETURNING *`,
-      [numero_dossier, client_id, titre, description, type_affaire, statut, avocat_responsable, priorite, id]
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id`,
+      [req.params.id, req.user.userId]
     );
-    
+
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Dossier non trouve' });
+      return res.status(404).json({ error: 'Session non trouvee' });
     }
-    
-    res.json(result.rows[0]);
+
+    res.json({ message: 'Session revoquee', current: result.rows[0].id === req.user.sessionId });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Double authentification
+app.get('/api/me/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await findAuthUser(req.user.userId);
+    const codes = await pool.query(
+      'SELECT COUNT(*) AS remaining FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [user.id]
+    );
+
+    res.json({
+      enabled: user.totp_enabled === true,
+      enabled_at: user.totp_enabled_at,
+      required: await isTwoFactorRequired(user.role),
+      recovery_codes_remaining: parseInt(codes.rows[0].remaining)
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Etape 1 : nouveau secret (non actif tant qu'un code n'a pas ete confirme)
+app.post('/api/me/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await findAuthUser(req.user.userId);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'La double authentification est deja activee' });
+    }
+
+    const secret = authenticator.generateSecret();
+    await pool.query(
+      'UPDATE users SET totp_secret = $1, totp_last_counter = NULL WHERE id = $2',
+      [encryptSecret(secret), user.id]
+    );
+
+    const otpauthUrl = authenticator.keyuri(user.email, TOTP_ISSUER, secret);
+    res.json({
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl)
+    });
   } catch (error) {
+    console.error('Erreur configuration 2FA:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
-app.delete('/api/dossiers/:id', authenticateToken, async (req, res) => {
+const TWO_FACTOR_CONFIRM_SCHEMA = {
+  code: { ...TWO_FACTOR_CODE_FIELDS.code, required: true }
+};
+
+const TWO_FACTOR_DISABLE_SCHEMA = {
+  password: { label: 'Mot de passe', required: true, trim: false },
+  ...TWO_FACTOR_CODE_FIELDS
+};
+
+// Etape 2 : confirmation par un premier code, generation des codes de secours
+app.post('/api/me/2fa/enable', authenticateToken, validateBody(TWO_FACTOR_CONFIRM_SCHEMA), async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM dossiers WHERE id = $1 RETURNING id', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Dossier non trouve' });
+    const user = await findAuthUser(req.user.userId);
+
+    if (user.totp_enabled) {
+      return res.status(409).json({ error: 'La double authentification est deja activee' });
     }
-    
-    res.json({ message: 'Dossier supprime avec succes' });
+
+    if (!user.totp_secret) {
+      return res.status(400).json({ error: 'Configuration de la double authentification non demarree' });
+    }
+
+    if (!(await verifyTotpCode(user, req.body.code))) {
+      return res.status(400).json({ error: 'Code de verification invalide' });
+    }
+
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE users SET totp_enabled = TRUE, totp_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [user.id]
+    );
+    const recoveryCodes = await generateRecoveryCodes(user.id, client);
+    await client.query('COMMIT');
+
+    const updated = await findAuthUser(user.id);
+    res.json({
+      recovery_codes: recoveryCodes,
+      token: signToken(updated, req.user.sessionId),
+      user: toUserProfile(updated)
+    });
   } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erreur activation 2FA:', error);
     res.status(500).json({ error: 'Erreur serveur' });
+  } finally {
+    client.release();
   }
 });
 
-// Routes API - Rendez-vous
-app.get('/api/rendez-vous', authenticateToken, async (req, res) => {
+app.post('/api/me/2fa/disable', authenticateToken, validateBody(TWO_FACTOR_DISABLE_SCHEMA), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT r.*, c.nom, c.prenom, d.titre as dossier_titre 
-      FROM rendez_vous r 
-      LEFT JOIN clients c ON r.client_id = c.id 
-      LEFT JOIN dossiers d ON r.dossier_id = d.id 
-      ORDER BY r.date_rdv ASC
-    `);
-    res.json(result.rows);
+    const { password, code, recovery_code } = req.body;
+    const user = await findAuthUser(req.user.userId);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'La double authentification n\'est pas activee' });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ error: 'La double authentification est obligatoire pour votre role' });
+    }
+
+    if (!(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(400).json({ error: 'Mot de passe incorrect' });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recovery_code }))) {
+      return res.status(400).json({ error: 'Code de verification invalide' });
+    }
+
+    await pool.query(
+      `UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_enabled_at = NULL,
+        totp_last_counter = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1`,
+      [user.id]
+    );
+    await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [user.id]);
+
+    res.json({ message: 'Double authentification desactivee' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/me/2fa/recovery-codes', authenticateToken, validateBody(TWO_FACTOR_CONFIRM_SCHEMA), async (req, res) => {
+  try {
+    const user = await findAuthUser(req.user.userId);
+
+    if (!user.totp_enabled) {
+      return res.status(400).json({ error: 'La double authentification n\'est pas activee' });
+    }
+
+    if (!(await verifyTotpCode(user, req.body.code))) {
+      return res.status(400).json({ error: 'Code de verification invalide' });
+    }
+
+    res.json({ recovery_codes: await generateRecoveryCodes(user.id) });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Politique : roles pour lesquels la double authentification est obligatoire
+app.get('/api/security/two-factor', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT role, required FROM two_factor_policies');
+    const required = new Set(result.rows.filter(row => row.required).map(row => row.role));
+
+    res.json(ROLES.map(role => ({ role, required: required.has(role) })));
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+const TWO_FACTOR_POLICY_SCHEMA = {
+  required_roles: { label: 'Roles', type: 'array', values: ROLES, required: true }
+};
+
+app.put('/api/security/two-factor', authenticateToken, authorize('users:manage'), validateBody(TWO_FACTOR_POLICY_SCHEMA), async (req, res) => {
+  const { required_roles } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    for (const role of ROLES) {
+      await client.query(
+        `INSERT INTO two_factor_policies (role, required, updated_by, updated_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+        ON CONFLICT (role) DO UPDATE SET required = EXCLUDED.required,
+          updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP`,
+        [role, required_roles.includes(role), req.user.userId]
+      );
+    }
+    await client.query('COMMIT');
+
+    res.json(ROLES.map(role => ({ role, required: required_roles.includes(role) })));
   } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erreur politique 2FA:', error);
     res.status(500).json({ error: 'Erreur serveur' });
+  } finally {
+    client.release();
   }
 });
 
-app.post('/api/rendez-vous', authenticateToken, async (req, res) => {
+// Routes API - Tentatives de connexion
+app.get('/api/security/login-attempts', authenticateToken, authorize('users:manage'), async (req, res) => {
   try {
-    const { client_id, dossier_id, titre, description, date_rdv, duree, lieu } = req.body;
-    
+    const { email, ip, success, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const conditions = [];
+    const params = [];
+
+    if (email) {
+      params.push(`%${normalizeLoginEmail(email)}%`);
+      conditions.push(`a.email LIKE $${params.length}`);
+    }
+    if (ip) {
+      params.push(ip);
+      conditions.push(`a.ip = $${params.length}`);
+    }
+    if (success === 'true' || success === 'false') {
+      params.push(success === 'true');
+      conditions.push(`a.success = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`a.created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`a.created_at::date <= $${params.length}`);
+    }
+
+    params.push(limit);
     const result = await pool.query(
-      'INSERT INTO rendez_vous (client_id, dossier_id, titre, description, date_rdv, duree, lieu) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
-      [client_id, dossier_id, titre, description, date_rdv, duree, lieu]
+      `SELECT a.*, u.username, ub.username AS unlocked_by_username FROM login_attempts a
+      LEFT JOIN users u ON u.id = a.user_id
+      LEFT JOIN users ub ON ub.id = a.unlocked_by
+      ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${params.length}`,
+      params
     );
-    
-    res.status(201).json(result.rows[0]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Erreur tentatives de connexion:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Comptes et adresses IP actuellement bloques
+app.get('/api/security/lockouts', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const lockouts = [];
+
+    for (const scope of Object.keys(LOGIN_THROTTLE)) {
+      const since = new Date(Date.now() - LOGIN_THROTTLE[scope].windowMinutes * 60 * 1000);
+      const candidates = await pool.query(
+        `SELECT ${scope} AS value, COUNT(*) AS failures FROM login_attempts
+        WHERE ${scope} IS NOT NULL AND success = FALSE AND created_at > $1
+        GROUP BY ${scope}`,
+        [since]
+      );
+
+      for (const { value, failures } of candidates.rows) {
+        if (parseInt(failures) < LOGIN_THROTTLE[scope].threshold) continue;
+
+        const state = await getLoginThrottleState(scope, value);
+        if (state.lockedUntil) {
+          lockouts.push({ scope, value, failures: state.failures, locked_until: state.lockedUntil });
+        }
+      }
+    }
+
+    res.json(lockouts);
+  } catch (error) {
+    console.error('Erreur blocages connexion:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Deverrouillage manuel : remet a zero le compteur d'echecs du compte ou de l'adresse IP
+const UNLOCK_SCHEMA = {
+  email: { label: 'Email', max: 100 },
+  ip: { label: 'Adresse IP', max: 45 }
+};
+
+app.post('/api/security/lockouts/unlock', authenticateToken, authorize('users:manage'), validateBody(UNLOCK_SCHEMA), async (req, res) => {
+  try {
+    const email = normalizeLoginEmail(req.body.email);
+    const { ip } = req.body;
+
+    if (!email && !ip) {
+      return res.status(400).json({ error: 'Email ou adresse IP requis' });
+    }
+
+    await pool.query(
+      `INSERT INTO login_attempts (email, ip, success, reason, unlocked_by)
+      VALUES ($1, $2, NULL, 'admin_unlock', $3)`,
+      [email || null, ip || null, req.user.userId]
+    );
+
+    res.json({ message: 'Deverrouillage effectue' });
   } catch (error) {
+    console.error('Erreur deverrouillage:', error);
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
-app.put('/api/rendez-vous/:id', authenticateToken, async (req, res) => {
+// Routes API - Utilisateurs
+const USER_SELECT = `
+  SELECT u.id, u.username, u.email, u.role, u.active, u.must_change_password,
+    u.totp_enabled AS two_factor_enabled, u.employee_id, e.name AS employee_name, u.last_login_at, u.password_changed_at,
+    u.created_at, u.updated_at
+  FROM users u
+  LEFT JOIN employees e ON e.id = u.employee_id
+`;
+
+const USER_SCHEMA = {
+  username: { label: 'Nom d\'utilisateur', required: true, max: 50 },
+  email: { label: 'Email', type: 'email', required: true, max: 100 },
+  role: { label: 'Role', values: ROLES },
+  employee_id: { label: 'Employe', type: 'integer', min: 1 },
+  password: { label: 'Mot de passe', trim: false, max: 200 }
+};
+
+const USER_UPDATE_SCHEMA = {
+  ...USER_SCHEMA,
+  role: { ...USER_SCHEMA.role, required: true }
+};
+
+const RESET_PASSWORD_SCHEMA = {
+  password: USER_SCHEMA.password
+};
+
+// Un compte admin actif doit toujours subsister
+const isLastActiveAdmin = async (userId) => {
+  const result = await pool.query(
+    "SELECT id FROM users WHERE role = 'admin' AND active IS NOT FALSE AND id <> $1 LIMIT 1",
+    [userId]
+  );
+  return result.rows.length === 0;
+};
+
+const handleUserWriteError = (error, res) => {
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'Nom d\'utilisateur, email ou employe deja associe a un compte' });
+  }
+  handleDbError(error, res);
+};
+
+app.get('/api/users', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const { active } = req.query;
+    let query = USER_SELECT;
+
+    if (active === 'true') {
+      query += ' WHERE u.active IS NOT FALSE';
+    } else if (active === 'false') {
+      query += ' WHERE u.active = FALSE';
+    }
+
+    const result = await pool.query(query + ' ORDER BY u.username');
+    res.json(result.rows);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/users/:id', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(USER_SELECT + ' WHERE u.id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouve' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Creation / invitation : sans mot de passe fourni, un mot de passe provisoire est genere.
+// Dans tous les cas le collaborateur devra le changer a sa premiere connexion.
+app.post('/api/users', authenticateToken, authorize('users:manage'), validateBody(USER_SCHEMA), async (req, res) => {
+  try {
+    const { username, email, employee_id, password } = req.body;
+    const role = req.body.role || 'secretaire';
+
+    if (password) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+    }
+
+    const temporaryPassword = password || generateTemporaryPassword();
+    const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+
+    const inserted = await pool.query(
+      `INSERT INTO users (username, email, password_hash, role, employee_id, must_change_password)
+      VALUES ($1, $2, $3, $4, $5, TRUE) RETURNING id`,
+      [username, email, passwordHash, role, employee_id || null]
+    );
+
+    const result = await pool.query(USER_SELECT + ' WHERE u.id = $1', [inserted.rows[0].id]);
+    res.status(201).json({
+      user: result.rows[0],
+      temporary_password: password ? null : temporaryPassword
+    });
+  } catch (error) {
+    handleUserWriteError(error, res);
+  }
+});
+
+app.put('/api/users/:id', authenticateToken, authorize('users:manage'), validateBody(USER_UPDATE_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { username, email, role, employee_id } = req.body;
+
+    const existing = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouve' });
+    }
+
+    if (existing.rows[0].role === 'admin' && role !== 'admin' && await isLastActiveAdmin(existing.rows[0].id)) {
+      return res.status(400).json({ error: 'Impossible de retirer le role du dernier administrateur actif' });
+    }
+
+    await pool.query(
+      `UPDATE users SET username = $1, email = $2, role = $3, employee_id = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5`,
+      [username, email, role, employee_id || null, id]
+    );
+
+    const result = await pool.query(USER_SELECT + ' WHERE u.id = $1', [id]);
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleUserWriteError(error, res);
+  }
+});
+
+// Desactivation : le compte est conserve mais la connexion est refusee
+app.delete('/api/users/:id', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (Number(id) === req.user.userId) {
+      return res.status(400).json({ error: 'Impossible de desactiver votre propre compte' });
+    }
+
+    const existing = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouve' });
+    }
+
+    if (existing.rows[0].role === 'admin' && await isLastActiveAdmin(existing.rows[0].id)) {
+      return res.status(400).json({ error: 'Impossible de desactiver le dernier administrateur actif' });
+    }
+
+    await pool.query('UPDATE users SET active = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    await revokeUserSessions(id);
+
+    const result = await pool.query(USER_SELECT + ' WHERE u.id = $1', [id]);
+    res.json({ message: 'Compte desactive', user: result.rows[0] });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/users/:id/reactivate', authenticateToken, authorize('users:manage'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { client_id, dossier_id, titre, description, date_rdv, duree, lieu, statut } = req.body;
-    
     const result = await pool.query(
-      `UPDATE rendez_vous SET 
-        client_id = $1, dossier_id = $2, titre = $3, description = $4, 
-        date_rdv = $5, duree = $6, lieu = $7, statut = $8,
-        updated_at = CURRENT_TIMESTAMP 
-      WHERE id = $9 RETURNING *`,
-      [client_id, dossier_id, titre, description, date_rdv, duree, lieu, statut, id]
+      'UPDATE users SET active = TRUE, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING id',
+      [id]
     );
-    
+
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Rendez-vous non trouve' });
+      return res.status(404).json({ error: 'Utilisateur non trouve' });
     }
-    
-    res.json(result.rows[0]);
+
+    const user = await pool.query(USER_SELECT + ' WHERE u.id = $1', [id]);
+    res.json(user.rows[0]);
   } catch (error) {
-    res.status(500).json({ error: 'Erreur serveur' });
+    handleDbError(error, res);
   }
 });
 
-app.delete('/api/rendez-vous/:id', authenticateToken, async (req, res) => {
+// Reinitialisation par un administrateur : nouveau mot de passe provisoire a changer a la connexion
+app.post('/api/users/:id/reset-password', authenticateToken, authorize('users:manage'), validateBody(RESET_PASSWORD_SCHEMA), async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query('DELETE FROM rendez_vous WHERE id = $1 RETURNING id', [id]);
-    
+    const { password } = req.body;
+
+    if (password) {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+    }
+
+    const temporaryPassword = password || generateTemporaryPassword();
+    const passwordHash = await bcrypt.hash(temporaryPassword, 10);
+
+    const result = await pool.query(
+      `UPDATE users SET password_hash = $1, must_change_password = TRUE, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 RETURNING id`,
+      [passwordHash, id]
+    );
+
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Rendez-vous non trouve' });
+      return res.status(404).json({ error: 'Utilisateur non trouve' });
     }
-    
-    res.json({ message: 'Rendez-vous supprime avec succes' });
+
+    await revokeUserSessions(id);
+    res.json({
+      message: 'Mot de passe reinitialise',
+      temporary_password: password ? null : temporaryPassword
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Erreur serveur' });
+    handleDbError(error, res);
   }
 });
 
-// Route principale avec HTML integre
-app.get('/', (req, res) => {
-  res.send(`<!DOCTYPE html>
-<html lang="fr">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Cabinet d'Avocats - GTA5 RP</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { 
-            font-family: 'Segoe UI', sans-serif; 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-            min-height: 100vh; 
-        }
+// Appareil perdu : l'utilisateur devra reconfigurer sa double authentification
+app.post('/api/users/:id/2fa/reset', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_enabled_at = NULL,
+        totp_last_counter = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 RETURNING id`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Utilisateur non trouve' });
+    }
+
+    await pool.query('DELETE FROM recovery_codes WHERE user_id = $1', [id]);
+    await revokeUserSessions(id);
+    res.json({ message: 'Double authentification reinitialisee' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Journal d'audit
+// Chaque creation, modification ou suppression est enregistree avec son auteur, son IP
+// et le detail des champs modifies ({ champ: { before, after } }).
+const AUDIT_ENTITIES = {
+  clients: 'Client',
+  dossiers: 'Dossier',
+  rendez_vous: 'Rendez-vous',
+  cases: 'Affaire',
+  employees: 'Employe',
+  services: 'Service',
+  documents: 'Document',
+  notes: 'Note'
+};
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'trash', 'restore'];
+const AUDIT_IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+const auditValue = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const auditDiff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields].reduce((changes, field) => {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) return changes;
+
+    const previous = auditValue(before ? before[field] : null);
+    const next = auditValue(after ? after[field] : null);
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { before: previous, after: next };
+    }
+    return changes;
+  }, {});
+};
+
+// db : pool ou client d'une transaction en cours, pour annuler la modification si l'audit echoue
+const recordAudit = async (db, req, { entity, entityId, action, before = null, after = null }) => {
+  const changes = auditDiff(before, after);
+
+  if (action === 'update' && Object.keys(changes).length === 0) return;
+
+  await db.query(
+    `INSERT INTO audit_log (entity_type, entity_id, action, user_id, ip, changes)
+    VALUES ($1, $2, $3, $4, $5, $6)`,
+    [entity, entityId, action, req.user.userId, req.ip, JSON.stringify(changes)]
+  );
+};
+
+app.get('/api/audit', authenticateToken, authorize('audit:read'), async (req, res) => {
+  try {
+    const { entity_type, entity_id, user_id, action, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const conditions = [];
+    const params = [];
+
+    if (entity_type) {
+      if (!AUDIT_ENTITIES[entity_type]) {
+        return res.status(400).json({ error: `Entite invalide (${Object.keys(AUDIT_ENTITIES).join(', ')})` });
+      }
+      params.push(entity_type);
+      conditions.push(`a.entity_type = $${params.length}`);
+    }
+    if (entity_id) {
+      params.push(parseInt(entity_id));
+      conditions.push(`a.entity_id = $${params.length}`);
+    }
+    if (user_id) {
+      params.push(parseInt(user_id));
+      conditions.push(`a.user_id = $${params.length}`);
+    }
+    if (action) {
+      if (!AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Action invalide (${AUDIT_ACTIONS.join(', ')})` });
+      }
+      params.push(action);
+      conditions.push(`a.action = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`a.created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`a.created_at::date <= $${params.length}`);
+    }
+
+    params.push(limit);
+    const result = await pool.query(
+      `SELECT a.*, u.username, u.email AS user_email FROM audit_log a
+      LEFT JOIN users u ON u.id = a.user_id
+      ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${params.length}`,
+      params
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Erreur journal d\'audit:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Listes paginees : ?limit=&offset=, tri sur liste blanche (?sort=&order=asc|desc) et recherche ?q=.
+// Le corps reste un tableau ; le nombre total de resultats est renvoye dans l'en-tete X-Total-Count.
+const LIST_DEFAULT_LIMIT = 50;
+const LIST_MAX_LIMIT = 500;
+
+// config : { select, from, where: filtre permanent, search: colonnes pour ?q=, sorts: { champ: expression },
+//   defaultSort: [champ, ordre], tieBreaker }
+const sendPaginatedList = async (req, res, config) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || LIST_DEFAULT_LIMIT, 1), LIST_MAX_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const sort = req.query.sort || config.defaultSort[0];
+  const order = String(req.query.order || (req.query.sort ? 'asc' : config.defaultSort[1])).toLowerCase();
+
+  if (!config.sorts[sort]) {
+    return res.status(400).json({ error: 'Tri invalide (champs autorises : ' + Object.keys(config.sorts).join(', ') + ')' });
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ error: 'Ordre invalide (asc ou desc)' });
+  }
+
+  const params = [];
+  const conditions = config.where ? [config.where] : [];
+  const q = String(req.query.q || '').trim();
+  if (q) {
+    params.push('%' + q.replace(/[\\%_]/g, '\\$&') + '%');
+    conditions.push('(' + config.search.map(column => `${column} ILIKE $1`).join(' OR ') + ')');
+  }
+  const where = conditions.length ? ' WHERE ' + conditions.join(' AND ') : '';
+
+  const count = await pool.query(`SELECT COUNT(*) AS total ${config.from}${where}`, params);
+
+  params.push(limit, offset);
+  const result = await pool.query(
+    `SELECT ${config.select} ${config.from}${where}
+    ORDER BY ${config.sorts[sort]} ${order.toUpperCase()}, ${config.tieBreaker} ${order.toUpperCase()}
+    LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  res.set('X-Total-Count', String(count.rows[0].total));
+  res.json(result.rows);
+};
+
+// Verrouillage optimiste : chaque modification incremente la colonne version, renvoyee dans l'en-tete ETag.
+// Le client renvoie la version lue (en-tete If-Match ou champ version) ; si l'enregistrement a change
+// entre-temps, la requete est refusee en 409 avec l'enregistrement courant.
+const getExpectedVersion = (req) => {
+  const header = req.get('If-Match');
+  const raw = header ? header.replace(/^W\//, '').replace(/"/g, '').trim() : req.body.version;
+
+  if (raw == null || raw === '') {
+    return undefined;
+  }
+  return /^\d{1,9}$/.test(String(raw)) ? Number(raw) : NaN;
+};
+
+// config : { table, entity (journal d'audit), notFound, fields: colonnes a mettre a jour, requireVersion,
+//   softDelete: les enregistrements en corbeille ne sont pas modifiables,
+//   check(db): controle supplementaire dans la transaction, renvoie { status, body } pour refuser }
+const sendVersionedUpdate = async (req, res, config) => {
+  const expected = getExpectedVersion(req);
+
+  if (Number.isNaN(expected)) {
+    return sendValidationErrors(res, [{ field: 'version', error: 'Version invalide' }]);
+  }
+  if (expected === undefined && config.requireVersion) {
+    return res.status(428).json({ error: 'Version requise (en-tete If-Match ou champ version)' });
+  }
+  if (config.fields.length === 0) {
+    return res.status(400).json({ error: 'Aucun champ a modifier' });
+  }
+
+  const outcome = await runInTransaction(async (db) => {
+    const active = config.softDelete ? ' AND deleted_at IS NULL' : '';
+    const existing = await db.query(`SELECT * FROM ${config.table} WHERE id = $1${active} FOR UPDATE`, [req.params.id]);
+    if (existing.rows.length === 0) return null;
+    if (expected !== undefined && existing.rows[0].version !== expected) return { conflict: existing.rows[0] };
+
+    const rejected = config.check ? await config.check(db) : null;
+    if (rejected) return { rejected };
+
+    const params = config.fields.map(field => req.body[field]);
+    const assignments = config.fields.map((field, index) => `${field} = $${index + 1}`);
+    params.push(req.params.id);
+
+    const result = await db.query(
+      `UPDATE ${config.table} SET ${assignments.join(', ')},
+        version = version + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${params.length} RETURNING *`,
+      params
+    );
+    await recordAudit(db, req, { entity: config.entity, entityId: result.rows[0].id, action: 'update', before: existing.rows[0], after: result.rows[0] });
+    return { updated: result.rows[0] };
+  });
+
+  if (!outcome) {
+    return res.status(404).json({ error: config.notFound });
+  }
+  if (outcome.rejected) {
+    return res.status(outcome.rejected.status).json(outcome.rejected.body);
+  }
+  if (outcome.conflict) {
+    res.set('ETag', `"${outcome.conflict.version}"`);
+    return res.status(409).json({
+      error: 'Modification refusee : l\'enregistrement a ete modifie entre-temps par un autre utilisateur',
+      current: outcome.conflict
+    });
+  }
+
+  res.set('ETag', `"${outcome.updated.version}"`);
+  res.json(outcome.updated);
+};
+
+// PUT remplace tous les champs du schema ; PATCH ne modifie que les champs fournis et exige la version
+const presentFields = (schema, body) => Object.keys(schema).filter(field => body[field] !== undefined);
+
+// Routes API - Clients
+const CLIENT_SCHEMA = {
+  nom: { label: 'Nom', required: true, max: 100 },
+  prenom: { label: 'Prénom', required: true, max: 100 },
+  email: { label: 'Email', type: 'email', max: 100 },
+  telephone: { label: 'Téléphone', max: 20 },
+  adresse: { label: 'Adresse' },
+  date_naissance: { label: 'Date de naissance', type: 'date' },
+  profession: { label: 'Profession', max: 100 },
+  notes: { label: 'Notes' }
+};
+
+const CLIENT_LIST = {
+  select: '*',
+  from: 'FROM clients',
+  where: 'deleted_at IS NULL',
+  search: ['nom', 'prenom', 'email', 'telephone', 'profession'],
+  sorts: { nom: 'nom', prenom: 'prenom', email: 'email', created_at: 'created_at', updated_at: 'updated_at' },
+  defaultSort: ['created_at', 'desc'],
+  tieBreaker: 'id'
+};
+
+app.get('/api/clients', authenticateToken, authorize('clients:read'), async (req, res) => {
+  try {
+    await sendPaginatedList(req, res, CLIENT_LIST);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/clients', authenticateToken, authorize('clients:write'), validateBody(CLIENT_SCHEMA), async (req, res) => {
+  try {
+    const { nom, prenom, email, telephone, adresse, date_naissance, profession, notes } = req.body;
+    
+    const created = await runInTransaction(async (db) => {
+      const result = await db.query(
+        'INSERT INTO clients (nom, prenom, email, telephone, adresse, date_naissance, profession, notes) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *',
+        [nom, prenom, email, telephone, adresse, date_naissance, profession, notes]
+      );
+      await recordAudit(db, req, { entity: 'clients', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+      return result.rows[0];
+    });
+    
+    res.status(201).json(created);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.put('/api/clients/:id', authenticateToken, authorize('clients:write'), validateBody(CLIENT_SCHEMA), async (req, res) => {
+  try {
+    await sendVersionedUpdate(req, res, {
+      table: 'clients', entity: 'clients', softDelete: true, notFound: 'Client non trouve', fields: Object.keys(CLIENT_SCHEMA)
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.patch('/api/clients/:id', authenticateToken, authorize('clients:write'), validateBody(CLIENT_SCHEMA, { partial: true }), async (req, res) => {
+  try {
+    await sendVersionedUpdate(req, res, {
+      table: 'clients', entity: 'clients', softDelete: true, notFound: 'Client non trouve', fields: presentFields(CLIENT_SCHEMA, req.body), requireVersion: true
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Mise en corbeille : le client et ses dossiers actifs sont masques mais conserves jusqu'a la purge
+app.delete('/api/clients/:id', authenticateToken, authorize('clients:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const trashed = await runInTransaction(async (db) => {
+      const existing = await db.query('SELECT * FROM clients WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      if (existing.rows.length === 0) return null;
+
+      const deletedAt = new Date();
+      const result = await db.query(
+        `UPDATE clients SET deleted_at = $2, deleted_by = $3, version = version + 1
+        WHERE id = $1 RETURNING *`,
+        [id, deletedAt, req.user.userId]
+      );
+      await recordAudit(db, req, { entity: 'clients', entityId: result.rows[0].id, action: 'trash', before: existing.rows[0], after: result.rows[0] });
+
+      // Meme date de suppression que le client : ces dossiers seront restaures avec lui
+      const dossiers = await db.query('SELECT * FROM dossiers WHERE client_id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      for (const dossier of dossiers.rows) {
+        const updated = await db.query(
+          `UPDATE dossiers SET deleted_at = $2, deleted_by = $3, version = version + 1
+          WHERE id = $1 RETURNING *`,
+          [dossier.id, deletedAt, req.user.userId]
+        );
+        await recordAudit(db, req, { entity: 'dossiers', entityId: dossier.id, action: 'trash', before: dossier, after: updated.rows[0] });
+      }
+      return result.rows[0];
+    });
+    
+    if (!trashed) {
+      return res.status(404).json({ error: 'Client non trouve' });
+    }
+    
+    res.json({ message: 'Client place dans la corbeille' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Dossiers
+const DOSSIER_SCHEMA = {
+  numero_dossier: { label: 'Numéro de dossier', required: true, max: 50 },
+  client_id: { label: 'Client', type: 'integer', min: 1 },
+  titre: { label: 'Titre', required: true, max: 200 },
+  description: { label: 'Description' },
+  type_affaire: { label: 'Type d\'affaire', max: 100 },
+  statut: { label: 'Statut', values: ['ouvert', 'en-cours', 'ferme'] },
+  avocat_responsable: { label: 'Avocat responsable', max: 100 },
+  priorite: { label: 'Priorité', values: ['basse', 'normale', 'haute', 'urgente'] }
+};
+
+const DOSSIER_LIST = {
+  select: 'd.*, c.nom, c.prenom',
+  from: 'FROM dossiers d LEFT JOIN clients c ON d.client_id = c.id',
+  where: 'd.deleted_at IS NULL',
+  search: ['d.numero_dossier', 'd.titre', 'd.description', 'd.type_affaire', 'd.avocat_responsable', 'c.nom', 'c.prenom'],
+  sorts: {
+    numero_dossier: 'd.numero_dossier',
+    titre: 'd.titre',
+    statut: 'd.statut',
+    priorite: 'd.priorite',
+    client: 'c.nom',
+    date_ouverture: 'd.date_ouverture',
+    created_at: 'd.created_at',
+    updated_at: 'd.updated_at'
+  },
+  defaultSort: ['created_at', 'desc'],
+  tieBreaker: 'd.id'
+};
+
+app.get('/api/dossiers', authenticateToken, authorize('dossiers:read'), async (req, res) => {
+  try {
+    await sendPaginatedList(req, res, DOSSIER_LIST);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Un client dans la corbeille ne recoit plus de dossier : meme reponse qu'un client inexistant.
+// Le verrou partage empeche sa mise en corbeille pendant l'ecriture du dossier.
+const checkDossierClient = async (clientId, db) => {
+  if (clientId == null) return null;
+
+  const result = await db.query('SELECT id FROM clients WHERE id = $1 AND deleted_at IS NULL FOR SHARE', [clientId]);
+  if (result.rows.length > 0) return null;
+
+  return { status: 404, body: { error: 'Client inexistant', errors: [{ field: 'client_id', error: 'Client inexistant' }] } };
+};
+
+app.post('/api/dossiers', authenticateToken, authorize('dossiers:write'), validateBody(DOSSIER_SCHEMA), async (req, res) => {
+  try {
+    const { numero_dossier, client_id, titre, description, type_affaire, avocat_responsable, priorite } = req.body;
+    
+    const created = await runInTransaction(async (db) => {
+      const rejected = await checkDossierClient(client_id, db);
+      if (rejected) return { rejected };
+
+      const result = await db.query(
+        'INSERT INTO dossiers (numero_dossier, client_id, titre, description, type_affaire, avocat_responsable, priorite) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+        [numero_dossier, client_id, titre, description, type_affaire, avocat_responsable, priorite]
+      );
+      await recordAudit(db, req, { entity: 'dossiers', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+      return { dossier: result.rows[0] };
+    });
+
+    if (created.rejected) {
+      return res.status(created.rejected.status).json(created.rejected.body);
+    }
+    
+    res.status(201).json(created.dossier);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.put('/api/dossiers/:id', authenticateToken, authorize('dossiers:write'), validateBody(DOSSIER_SCHEMA), async (req, res) => {
+  try {
+    await sendVersionedUpdate(req, res, {
+      table: 'dossiers', entity: 'dossiers', softDelete: true, notFound: 'Dossier non trouve', fields: Object.keys(DOSSIER_SCHEMA),
+      check: db => checkDossierClient(req.body.client_id, db)
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.patch('/api/dossiers/:id', authenticateToken, authorize('dossiers:write'), validateBody(DOSSIER_SCHEMA, { partial: true }), async (req, res) => {
+  try {
+    await sendVersionedUpdate(req, res, {
+      table: 'dossiers', entity: 'dossiers', softDelete: true, notFound: 'Dossier non trouve', fields: presentFields(DOSSIER_SCHEMA, req.body), requireVersion: true,
+      check: db => checkDossierClient(req.body.client_id, db)
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.delete('/api/dossiers/:id', authenticateToken, authorize('dossiers:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const trashed = await runInTransaction(async (db) => {
+      const existing = await db.query('SELECT * FROM dossiers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      if (existing.rows.length === 0) return null;
+
+      const result = await db.query(
+        `UPDATE dossiers SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2, version = version + 1
+        WHERE id = $1 RETURNING *`,
+        [id, req.user.userId]
+      );
+      await recordAudit(db, req, { entity: 'dossiers', entityId: result.rows[0].id, action: 'trash', before: existing.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+    
+    if (!trashed) {
+      return res.status(404).json({ error: 'Dossier non trouve' });
+    }
+    
+    res.json({ message: 'Dossier place dans la corbeille' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Rendez-vous
+const RDV_SCHEMA = {
+  client_id: { label: 'Client', type: 'integer', min: 1 },
+  dossier_id: { label: 'Dossier', type: 'integer', min: 1 },
+  titre: { label: 'Titre', required: true, max: 200 },
+  description: { label: 'Description' },
+  date_rdv: { label: 'Date du rendez-vous', type: 'datetime', required: true },
+  duree: { label: 'Durée', type: 'integer', min: 1, max: 1440 },
+  lieu: { label: 'Lieu', max: 200 },
+  statut: { label: 'Statut', values: ['prevu', 'en-cours', 'termine'] }
+};
+
+const RDV_LIST = {
+  select: 'r.*, c.nom, c.prenom, d.numero_dossier, d.titre as dossier_titre',
+  from: 'FROM rendez_vous r LEFT JOIN clients c ON r.client_id = c.id LEFT JOIN dossiers d ON r.dossier_id = d.id',
+  where: 'c.deleted_at IS NULL AND d.deleted_at IS NULL',
+  search: ['r.titre', 'r.description', 'r.lieu', 'c.nom', 'c.prenom', 'd.titre'],
+  sorts: { date_rdv: 'r.date_rdv', titre: 'r.titre', statut: 'r.statut', client: 'c.nom', created_at: 'r.created_at' },
+  defaultSort: ['date_rdv', 'asc'],
+  tieBreaker: 'r.id'
+};
+
+app.get('/api/rendez-vous', authenticateToken, authorize('rdv:read'), async (req, res) => {
+  try {
+    await sendPaginatedList(req, res, RDV_LIST);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/rendez-vous', authenticateToken, authorize('rdv:write'), validateBody(RDV_SCHEMA), async (req, res) => {
+  try {
+    const { client_id, dossier_id, titre, description, date_rdv, duree, lieu } = req.body;
+    
+    const created = await runInTransaction(async (db) => {
+      const result = await db.query(
+        'INSERT INTO rendez_vous (client_id, dossier_id, titre, description, date_rdv, duree, lieu) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *',
+        [client_id, dossier_id, titre, description, date_rdv, duree, lieu]
+      );
+      await recordAudit(db, req, { entity: 'rendez_vous', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+      return result.rows[0];
+    });
+    
+    res.status(201).json(created);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.put('/api/rendez-vous/:id', authenticateToken, authorize('rdv:write'), validateBody(RDV_SCHEMA), async (req, res) => {
+  try {
+    await sendVersionedUpdate(req, res, {
+      table: 'rendez_vous', entity: 'rendez_vous', notFound: 'Rendez-vous non trouve', fields: Object.keys(RDV_SCHEMA)
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.patch('/api/rendez-vous/:id', authenticateToken, authorize('rdv:write'), validateBody(RDV_SCHEMA, { partial: true }), async (req, res) => {
+  try {
+    await sendVersionedUpdate(req, res, {
+      table: 'rendez_vous', entity: 'rendez_vous', notFound: 'Rendez-vous non trouve', fields: presentFields(RDV_SCHEMA, req.body), requireVersion: true
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.delete('/api/rendez-vous/:id', authenticateToken, authorize('rdv:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = await runInTransaction(async (db) => {
+      const result = await db.query('DELETE FROM rendez_vous WHERE id = $1 RETURNING *', [id]);
+      if (result.rows.length === 0) return null;
+
+      await recordAudit(db, req, { entity: 'rendez_vous', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+      return result.rows[0];
+    });
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rendez-vous non trouve' });
+    }
+    
+    res.json({ message: 'Rendez-vous supprime avec succes' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Employes
+const EMPLOYEE_STATUSES = ['Actif', 'Inactif', 'Congé'];
+
+const EMPLOYEE_SCHEMA = {
+  name: { label: 'Nom', required: true, max: 255 },
+  role: { label: 'Poste', required: true, max: 100 },
+  salary: { label: 'Salaire', type: 'integer', required: true, min: 0 },
+  commission: { label: 'Commission', type: 'integer', required: true, min: 0, max: 100 },
+  hire_date: { label: 'Date d\'embauche', type: 'date' },
+  status: { label: 'Statut', values: EMPLOYEE_STATUSES }
+};
+
+const EMPLOYEE_UPDATE_SCHEMA = {
+  ...EMPLOYEE_SCHEMA,
+  hire_date: { ...EMPLOYEE_SCHEMA.hire_date, required: true }
+};
+
+// Modification journalisee d'un employe (null si introuvable)
+const updateEmployee = (req, id, sql, params) => runInTransaction(async (db) => {
+  const existing = await db.query('SELECT * FROM employees WHERE id = $1 FOR UPDATE', [id]);
+  if (existing.rows.length === 0) return null;
+
+  const result = await db.query(sql, params);
+  await recordAudit(db, req, { entity: 'employees', entityId: result.rows[0].id, action: 'update', before: existing.rows[0], after: result.rows[0] });
+  return result.rows[0];
+});
+
+app.get('/api/employees', authenticateToken, authorize('employees:read'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const params = [];
+    let query = 'SELECT * FROM employees';
+
+    if (status) {
+      params.push(status);
+      query += ' WHERE status = $1';
+    }
+
+    query += ' ORDER BY name ASC';
+
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/employees/:id', authenticateToken, authorize('employees:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('SELECT * FROM employees WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Employe non trouve' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/employees', authenticateToken, authorize('employees:write'), validateBody(EMPLOYEE_SCHEMA), async (req, res) => {
+  try {
+    const { name, role, salary, commission, hire_date, status } = req.body;
+
+    const employee = await runInTransaction(async (db) => {
+      const result = await db.query(
+        `INSERT INTO employees (name, role, salary, commission, hire_date, status)
+         VALUES ($1, $2, $3, $4, COALESCE($5, CURRENT_DATE), COALESCE($6, 'Actif')) RETURNING *`,
+        [name, role, salary, commission, hire_date || null, status || null]
+      );
+      await recordAudit(db, req, { entity: 'employees', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.status(201).json(employee);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.put('/api/employees/:id', authenticateToken, authorize('employees:write'), validateBody(EMPLOYEE_UPDATE_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, role, salary, commission, hire_date, status } = req.body;
+
+    const employee = await updateEmployee(req, id,
+      `UPDATE employees SET
+        name = $1, role = $2, salary = $3, commission = $4,
+        hire_date = $5, status = COALESCE($6, status),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7 RETURNING *`,
+      [name, role, salary, commission, hire_date, status || null, id]
+    );
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employe non trouve' });
+    }
+
+    res.json(employee);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Desactivation "douce" : l'employe reste en base pour l'historique des affaires
+app.delete('/api/employees/:id', authenticateToken, authorize('employees:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const employee = await updateEmployee(req, id,
+      `UPDATE employees SET status = 'Inactif', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employe non trouve' });
+    }
+
+    res.json(employee);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/employees/:id/reactivate', authenticateToken, authorize('employees:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const employee = await updateEmployee(req, id,
+      `UPDATE employees SET status = 'Actif', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [id]
+    );
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employe non trouve' });
+    }
+
+    res.json(employee);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Affaires
+const CASE_STATUSES = ['En cours', 'Terminé', 'En attente'];
+
+// Semaine ISO au format YYYY-WXX (ex: 2025-W37), identique a getWeekNumber cote client
+const getWeekKey = (date = new Date()) => {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const dayNum = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+// Une semaine est cloturee tant qu'une cloture non rouverte existe
+const isWeekClosed = async (week, db = pool) => {
+  const result = await db.query(
+    'SELECT 1 FROM week_snapshots WHERE week = $1 AND reopened_at IS NULL',
+    [week]
+  );
+  return result.rows.length > 0;
+};
+
+// Verrou de semaine tenu jusqu'a la fin de la transaction : la cloture et les ecritures
+// d'affaires d'une meme semaine s'executent l'une apres l'autre
+const lockWeek = (week, db) => db.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`week:${week}`]);
+
+const WEEK_CLOSED_ERROR = { error: 'Semaine cloturee : les affaires sont en lecture seule' };
+
+// Execute work(client) dans une transaction ; toute erreur annule l'ensemble
+const runInTransaction = async (work) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// La paie rattache les affaires aux employes par leur nom : l'avocat saisi doit donc
+// designer un employe actif, sans quoi ses affaires n'entreraient dans aucune fiche de paie
+const isActiveEmployee = async (name, db = pool) => {
+  const result = await db.query("SELECT 1 FROM employees WHERE name = $1 AND status <> 'Inactif'", [name]);
+  return result.rows.length > 0;
+};
+
+const UNKNOWN_LAWYER_ERROR = 'Avocat inconnu ou inactif : choisissez un employe actif';
+
+// Forfait saisi en texte libre dans le catalogue ('2500€', '-') -> montant entier ou null
+const parseForfait = (forfait) => {
+  const digits = String(forfait || '').replace(/\D/g, '');
+  return digits ? parseInt(digits) : null;
+};
+
+// Tarification d'une affaire a partir du catalogue des services :
+// forfait si le service en a un, sinon tarif horaire x heures declarees.
+// Retourne null si le type n'existe pas dans le catalogue.
+const priceCase = async (type, hours, db = pool) => {
+  const result = await db.query(
+    `SELECT s.type, s.tarif, s.forfait, s.commission, p.id AS service_price_id
+     FROM services s
+     LEFT JOIN service_prices p ON p.service_type = s.type AND p.valid_to IS NULL
+     WHERE s.type = $1`,
+    [type]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const service = result.rows[0];
+  const forfait = parseForfait(service.forfait);
+  const hasHours = hours != null && hours !== '';
+
+  return {
+    type: service.type,
+    service_price_id: service.service_price_id,
+    pricing: forfait != null ? 'forfait' : 'horaire',
+    tarif: service.tarif,
+    forfait,
+    hours: hasHours ? Number(hours) : null,
+    honoraires: forfait != null ? forfait : (hasHours ? Math.round(service.tarif * Number(hours)) : null),
+    commission: service.commission
+  };
+};
+
+const CASE_SCHEMA = {
+  client: { label: 'Client', required: true, max: 255 },
+  type: { label: 'Type', required: true, max: 100 },
+  lawyer: { label: 'Avocat', required: true, max: 255 },
+  honoraires: { label: 'Honoraires', type: 'integer', min: 0 },
+  frais: { label: 'Frais', type: 'integer', min: 0 },
+  commission: { label: 'Commission', type: 'integer', min: 0, max: 100 },
+  hours: { label: 'Heures', type: 'number', min: 0, max: 9999 },
+  status: { label: 'Statut', values: CASE_STATUSES },
+  description: { label: 'Description' },
+  week: { label: 'Semaine', type: 'week' }
+};
+
+const CASE_UPDATE_SCHEMA = {
+  ...CASE_SCHEMA,
+  honoraires: { ...CASE_SCHEMA.honoraires, required: true },
+  week: { ...CASE_SCHEMA.week, required: true }
+};
+
+const validateCasePricing = ({ hours }) => {
+  if (hours != null && hours !== '' && (isNaN(Number(hours)) || Number(hours) < 0)) {
+    return 'Heures invalides';
+  }
+  return null;
+};
+
+app.get('/api/cases', authenticateToken, authorize('cases:read'), async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    ['week', 'lawyer', 'status'].forEach(field => {
+      if (req.query[field]) {
+        params.push(req.query[field]);
+        conditions.push(`${field} = $${params.length}`);
+      }
+    });
+
+    const where = conditions.length ? ' WHERE ' + conditions.join(' AND ') : '';
+    const result = await pool.query(`SELECT * FROM cases${where} ORDER BY created_at DESC`, params);
+    res.json(result.rows);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Devis : honoraires et commission proposes pour un type de service (et des heures)
+app.get('/api/cases/quote', authenticateToken, authorize('cases:read'), async (req, res) => {
+  try {
+    const { type, hours } = req.query;
+
+    if (!type) {
+      return res.status(400).json({ error: 'Type de service requis' });
+    }
+
+    const pricingError = validateCasePricing({ hours });
+
+    if (pricingError) {
+      return res.status(400).json({ error: pricingError });
+    }
+
+    const quote = await priceCase(type, hours);
+
+    if (!quote) {
+      return res.status(404).json({ error: 'Type de service inconnu' });
+    }
+
+    res.json(quote);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/cases/:id', authenticateToken, authorize('cases:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('SELECT * FROM cases WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Affaire non trouvee' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/cases', authenticateToken, authorize('cases:write'), validateBody(CASE_SCHEMA), async (req, res) => {
+  try {
+    const { client, type, lawyer, frais, status, description, hours } = req.body;
+    const week = req.body.week || getWeekKey();
+
+    const outcome = await runInTransaction(async (db) => {
+      await lockWeek(week, db);
+      if (await isWeekClosed(week, db)) return { closed: true };
+      if (!(await isActiveEmployee(lawyer, db))) return { invalid: UNKNOWN_LAWYER_ERROR };
+
+      const quote = await priceCase(type, hours, db);
+      if (!quote) return { invalid: 'Type de service inconnu' };
+
+      // Honoraires et commission saisis explicitement priment sur le catalogue
+      const honoraires = req.body.honoraires != null && req.body.honoraires !== ''
+        ? req.body.honoraires
+        : quote.honoraires;
+      const commission = req.body.commission != null && req.body.commission !== ''
+        ? req.body.commission
+        : quote.commission;
+
+      if (honoraires == null) return { invalid: 'Heures requises pour un service au tarif horaire' };
+
+      const result = await db.query(
+        `INSERT INTO cases (client, type, lawyer, honoraires, frais, status, description, week, hours, commission, service_price_id)
+         VALUES ($1, $2, $3, $4, COALESCE($5, 0), COALESCE($6, 'En cours'), $7, $8, $9, $10, $11) RETURNING *`,
+        [client, type, lawyer, honoraires, frais, status || null, description, week,
+          quote.hours, commission, quote.service_price_id]
+      );
+      await recordAudit(db, req, { entity: 'cases', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+      return { created: result.rows[0] };
+    });
+
+    if (outcome.closed) {
+      return res.status(409).json(WEEK_CLOSED_ERROR);
+    }
+    if (outcome.invalid) {
+      return res.status(400).json({ error: outcome.invalid });
+    }
+
+    res.status(201).json(outcome.created);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.put('/api/cases/:id', authenticateToken, authorize('cases:write'), validateBody(CASE_UPDATE_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { client, type, lawyer, honoraires, frais, status, description, week, hours, commission } = req.body;
+
+    const outcome = await runInTransaction(async (db) => {
+      const before = await db.query('SELECT * FROM cases WHERE id = $1 FOR UPDATE', [id]);
+      if (before.rows.length === 0) return null;
+
+      // Semaine d'origine et semaine cible, verrouillees dans un ordre stable
+      const weeks = [...new Set([before.rows[0].week, week])].sort();
+      for (const item of weeks) {
+        await lockWeek(item, db);
+        if (await isWeekClosed(item, db)) return { closed: true };
+      }
+
+      // Une affaire deja attribuee a un ancien employe reste modifiable tant que l'avocat ne change pas
+      if (lawyer !== before.rows[0].lawyer && !(await isActiveEmployee(lawyer, db))) {
+        return { invalid: UNKNOWN_LAWYER_ERROR };
+      }
+
+      // Un changement de type doit viser un service du catalogue ; on rattache alors son tarif en vigueur
+      let servicePriceId = before.rows[0].service_price_id;
+
+      if (type !== before.rows[0].type) {
+        const quote = await priceCase(type, hours, db);
+        if (!quote) return { invalid: 'Type de service inconnu' };
+        servicePriceId = quote.service_price_id;
+      }
+
+      const result = await db.query(
+        `UPDATE cases SET
+          client = $1, type = $2, lawyer = $3, honoraires = $4, frais = COALESCE($5, 0),
+          status = COALESCE($6, status), description = $7, week = $8,
+          hours = COALESCE($9, hours), commission = COALESCE($10, commission), service_price_id = $11,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $12 RETURNING *`,
+        [client, type, lawyer, honoraires, frais, status || null, description, week,
+          hours === '' ? null : hours, commission === '' ? null : commission, servicePriceId, id]
+      );
+      await recordAudit(db, req, { entity: 'cases', entityId: result.rows[0].id, action: 'update', before: before.rows[0], after: result.rows[0] });
+      return { updated: result.rows[0] };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Affaire non trouvee' });
+    }
+    if (outcome.closed) {
+      return res.status(409).json(WEEK_CLOSED_ERROR);
+    }
+    if (outcome.invalid) {
+      return res.status(400).json({ error: outcome.invalid });
+    }
+
+    res.json(outcome.updated);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.delete('/api/cases/:id', authenticateToken, authorize('cases:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const outcome = await runInTransaction(async (db) => {
+      const existing = await db.query('SELECT * FROM cases WHERE id = $1 FOR UPDATE', [id]);
+      if (existing.rows.length === 0) return null;
+
+      await lockWeek(existing.rows[0].week, db);
+      if (await isWeekClosed(existing.rows[0].week, db)) return { closed: true };
+
+      await db.query('DELETE FROM cases WHERE id = $1', [id]);
+      await recordAudit(db, req, { entity: 'cases', entityId: existing.rows[0].id, action: 'delete', before: existing.rows[0] });
+      return { deleted: true };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Affaire non trouvee' });
+    }
+    if (outcome.closed) {
+      return res.status(409).json(WEEK_CLOSED_ERROR);
+    }
+
+    res.json({ message: 'Affaire supprimee avec succes' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Cloture des semaines
+app.get('/api/weeks', authenticateToken, authorize('weeks:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, week, total_cases, total_revenue, total_expenses, profit,
+        completed_cases, ongoing_cases, closed_by, closed_at,
+        reopened_by, reopened_at, reopen_reason
+      FROM week_snapshots
+      ORDER BY week DESC, closed_at DESC
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/weeks/:week', authenticateToken, authorize('weeks:read'), async (req, res) => {
+  try {
+    const { week } = req.params;
+
+    if (!WEEK_FORMAT.test(week)) {
+      return res.status(400).json({ error: 'Semaine invalide (format YYYY-WXX)' });
+    }
+
+    const snapshots = await pool.query(
+      'SELECT * FROM week_snapshots WHERE week = $1 ORDER BY closed_at DESC',
+      [week]
+    );
+    const current = snapshots.rows.find(snapshot => !snapshot.reopened_at) || null;
+
+    res.json({
+      week,
+      closed: current !== null,
+      snapshot: current,
+      history: snapshots.rows
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/weeks/:week/close', authenticateToken, authorize('weeks:close'), async (req, res) => {
+  const { week } = req.params;
+
+  if (!WEEK_FORMAT.test(week)) {
+    return res.status(400).json({ error: 'Semaine invalide (format YYYY-WXX)' });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await lockWeek(week, client);
+
+    if (await isWeekClosed(week, client)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Semaine deja cloturee' });
+    }
+
+    const stats = await client.query('SELECT * FROM weekly_stats WHERE week = $1', [week]);
+    const cases = await client.query('SELECT * FROM cases WHERE week = $1 ORDER BY id', [week]);
+    const totals = stats.rows[0] || {};
+
+    const result = await client.query(
+      `INSERT INTO week_snapshots (week, total_cases, total_revenue, total_expenses, profit,
+        completed_cases, ongoing_cases, cases, closed_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+      [
+        week,
+        parseInt(totals.total_cases || 0),
+        parseInt(totals.total_revenue || 0),
+        parseInt(totals.total_expenses || 0),
+        parseInt(totals.profit || 0),
+        parseInt(totals.completed_cases || 0),
+        parseInt(totals.ongoing_cases || 0),
+        JSON.stringify(cases.rows),
+        req.user.userId
+      ]
+    );
+
+    await client.query('COMMIT');
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // Violation de l'index unique : cloture concurrente de la meme semaine
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Semaine deja cloturee' });
+    }
+    console.error('Erreur cloture semaine:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  } finally {
+    client.release();
+  }
+});
+
+const REOPEN_SCHEMA = {
+  reason: { label: 'Motif de reouverture', required: true }
+};
+
+app.post('/api/weeks/:week/reopen', authenticateToken, authorize('weeks:reopen'), validateBody(REOPEN_SCHEMA), async (req, res) => {
+  try {
+    const { week } = req.params;
+    const { reason } = req.body;
+
+    if (!WEEK_FORMAT.test(week)) {
+      return res.status(400).json({ error: 'Semaine invalide (format YYYY-WXX)' });
+    }
+
+    const result = await pool.query(
+      `UPDATE week_snapshots SET
+        reopened_by = $1, reopened_at = CURRENT_TIMESTAMP, reopen_reason = $2
+      WHERE week = $3 AND reopened_at IS NULL RETURNING *`,
+      [req.user.userId, reason.trim(), week]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Aucune cloture active pour cette semaine' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Paie
+// Le salaire de base est verse par semaine ; la commission porte sur les honoraires
+// des affaires de l'avocat (meme calcul que la vue lawyer_performance) et les frais
+// de ces affaires sont deduits du total. Seuls les employes embauches au plus tard
+// le dimanche de la semaine sont payes.
+const computePayslips = async (week, db = pool) => {
+  const result = await db.query(`
+    SELECT e.id, e.name, e.role, e.salary, e.commission,
+      COUNT(c.id) as cases_handled,
+      COALESCE(SUM(c.honoraires), 0) as revenue_generated,
+      COALESCE(SUM(c.honoraires * COALESCE(c.commission, e.commission) / 100.0), 0) as commission_total,
+      COALESCE(SUM(c.frais), 0) as total_frais
+    FROM employees e
+    LEFT JOIN cases c ON c.lawyer = e.name AND c.week = $1
+    WHERE e.status <> 'Inactif' AND e.hire_date <= $2
+    GROUP BY e.id, e.name, e.role, e.salary, e.commission
+    ORDER BY e.name ASC
+  `, [week, toDateString(new Date(weekStartDate(week).getTime() + 6 * DAY_MS))]);
+
+  return result.rows.map(row => {
+    const revenue = parseInt(row.revenue_generated);
+    // Commission calculee affaire par affaire (taux de l'affaire, a defaut celui de l'employe)
+    const commissionAmount = Math.round(parseFloat(row.commission_total));
+    const deductions = parseInt(row.total_frais);
+
+    return {
+      employee_id: row.id,
+      employee_name: row.name,
+      employee_role: row.role,
+      base_salary: row.salary,
+      commission_rate: row.commission,
+      cases_handled: parseInt(row.cases_handled),
+      revenue_generated: revenue,
+      commission_amount: commissionAmount,
+      deductions,
+      total: row.salary + commissionAmount - deductions
+    };
+  });
+};
+
+const getPayrollRun = async (id, db = pool) => {
+  const run = await db.query('SELECT * FROM payroll_runs WHERE id = $1', [id]);
+
+  if (run.rows.length === 0) {
+    return null;
+  }
+
+  const payslips = await db.query(
+    'SELECT * FROM payslips WHERE payroll_run_id = $1 ORDER BY employee_name ASC',
+    [id]
+  );
+
+  return { ...run.rows[0], payslips: payslips.rows };
+};
+
+app.get('/api/payroll/runs', authenticateToken, authorize('payroll:read'), async (req, res) => {
+  try {
+    const { week } = req.query;
+    const params = [];
+    let query = 'SELECT * FROM payroll_runs';
+
+    if (week) {
+      params.push(week);
+      query += ' WHERE week = $1';
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/payroll/runs/:id', authenticateToken, authorize('payroll:read'), async (req, res) => {
+  try {
+    const run = await getPayrollRun(req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Calcul de paie non trouve' });
+    }
+
+    res.json(run);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+const PAYROLL_RUN_SCHEMA = {
+  week: { label: 'Semaine', type: 'week' }
+};
+
+app.post('/api/payroll/runs', authenticateToken, authorize('payroll:write'), validateBody(PAYROLL_RUN_SCHEMA), async (req, res) => {
+  const week = req.body.week || getWeekKey();
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const payslips = await computePayslips(week, client);
+    const totalAmount = payslips.reduce((sum, payslip) => sum + payslip.total, 0);
+
+    const run = await client.query(
+      'INSERT INTO payroll_runs (week, total_amount, created_by) VALUES ($1, $2, $3) RETURNING *',
+      [week, totalAmount, req.user.userId]
+    );
+
+    for (const payslip of payslips) {
+      await client.query(
+        `INSERT INTO payslips (payroll_run_id, employee_id, employee_name, employee_role, base_salary,
+          commission_rate, cases_handled, revenue_generated, commission_amount, deductions, total)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          run.rows[0].id, payslip.employee_id, payslip.employee_name, payslip.employee_role,
+          payslip.base_salary, payslip.commission_rate, payslip.cases_handled,
+          payslip.revenue_generated, payslip.commission_amount, payslip.deductions, payslip.total
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+    res.status(201).json(await getPayrollRun(run.rows[0].id));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erreur calcul paie:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  } finally {
+    client.release();
+  }
+});
+
+// Approbation : la semaine doit etre cloturee pour que les montants ne bougent plus,
+// et le calcul posterieur a cette cloture pour correspondre aux affaires figees
+app.post('/api/payroll/runs/:id/approve', authenticateToken, authorize('payroll:approve'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const run = await pool.query('SELECT * FROM payroll_runs WHERE id = $1', [id]);
+
+    if (run.rows.length === 0) {
+      return res.status(404).json({ error: 'Calcul de paie non trouve' });
+    }
+
+    if (run.rows[0].status !== 'brouillon') {
+      return res.status(409).json({ error: 'Seul un brouillon peut etre approuve' });
+    }
+
+    const snapshot = await pool.query(
+      `SELECT s.closed_at > r.created_at AS stale
+      FROM payroll_runs r
+      JOIN week_snapshots s ON s.week = r.week AND s.reopened_at IS NULL
+      WHERE r.id = $1`,
+      [id]
+    );
+
+    if (snapshot.rows.length === 0) {
+      return res.status(409).json({ error: 'La semaine doit etre cloturee avant approbation' });
+    }
+
+    if (snapshot.rows[0].stale) {
+      return res.status(409).json({ error: 'Calcul anterieur a la cloture de la semaine : relancez le calcul de paie' });
+    }
+
+    // Garde sur le statut : deux approbations simultanees ne peuvent aboutir toutes les deux
+    const result = await pool.query(
+      `UPDATE payroll_runs SET status = 'approuve', approved_by = $1, approved_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND status = 'brouillon'`,
+      [req.user.userId, id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(409).json({ error: 'Seul un brouillon peut etre approuve' });
+    }
+
+    res.json(await getPayrollRun(id));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Une paie est deja approuvee pour cette semaine' });
+    }
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/payroll/runs/:id/pay', authenticateToken, authorize('payroll:approve'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `UPDATE payroll_runs SET status = 'paye', paid_by = $1, paid_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND status = 'approuve' RETURNING id`,
+      [req.user.userId, id]
+    );
+
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT 1 FROM payroll_runs WHERE id = $1', [id]);
+      return exists.rows.length === 0
+        ? res.status(404).json({ error: 'Calcul de paie non trouve' })
+        : res.status(409).json({ error: 'Seule une paie approuvee peut etre payee' });
+    }
+
+    res.json(await getPayrollRun(id));
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.delete('/api/payroll/runs/:id', authenticateToken, authorize('payroll:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      "DELETE FROM payroll_runs WHERE id = $1 AND status = 'brouillon' RETURNING id",
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT 1 FROM payroll_runs WHERE id = $1', [id]);
+      return exists.rows.length === 0
+        ? res.status(404).json({ error: 'Calcul de paie non trouve' })
+        : res.status(409).json({ error: 'Seul un brouillon peut etre supprime' });
+    }
+
+    res.json({ message: 'Calcul de paie supprime avec succes' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Services
+const SERVICE_SCHEMA = {
+  type: { label: 'Type', required: true, max: 255 },
+  tarif: { label: 'Tarif', type: 'integer', required: true, min: 0 },
+  forfait: { label: 'Forfait', max: 100 },
+  commission: { label: 'Commission', type: 'integer', required: true, min: 0, max: 100 }
+};
+
+// Tarif en vigueur pour un type de service a une date donnee (historique service_prices)
+const getServicePriceAt = async (type, date = new Date(), db = pool) => {
+  const result = await db.query(
+    `SELECT * FROM service_prices
+     WHERE service_type = $1 AND valid_from <= $2 AND (valid_to IS NULL OR valid_to > $2)
+     ORDER BY valid_from DESC LIMIT 1`,
+    [type, date]
+  );
+  return result.rows[0] || null;
+};
+
+app.get('/api/services', authenticateToken, authorize('services:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM services ORDER BY type ASC');
+    res.json(result.rows);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/services/tarif', authenticateToken, authorize('services:read'), async (req, res) => {
+  try {
+    const { type, date } = req.query;
+
+    if (!type) {
+      return res.status(400).json({ error: 'Type de service requis' });
+    }
+
+    const at = date ? new Date(date) : new Date();
+
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ error: 'Date invalide' });
+    }
+
+    const price = await getServicePriceAt(type, at);
+
+    if (!price) {
+      return res.status(404).json({ error: 'Aucun tarif en vigueur a cette date' });
+    }
+
+    res.json(price);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/services/:id', authenticateToken, authorize('services:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM services WHERE id = $1', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Service non trouve' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/services/:id/prices', authenticateToken, authorize('services:read'), async (req, res) => {
+  try {
+    const service = await pool.query('SELECT type FROM services WHERE id = $1', [req.params.id]);
+
+    if (service.rows.length === 0) {
+      return res.status(404).json({ error: 'Service non trouve' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM service_prices WHERE service_id = $1 OR service_type = $2 ORDER BY valid_from DESC',
+      [req.params.id, service.rows[0].type]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/services', authenticateToken, authorize('services:write'), validateBody(SERVICE_SCHEMA), async (req, res) => {
+  const { type, tarif, forfait, commission } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'INSERT INTO services (type, tarif, forfait, commission) VALUES ($1, $2, $3, $4) RETURNING *',
+      [type, tarif, forfait || '-', commission]
+    );
+    const service = result.rows[0];
+
+    await client.query(
+      `INSERT INTO service_prices (service_id, service_type, tarif, forfait, commission, changed_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [service.id, service.type, service.tarif, service.forfait, service.commission, req.user.userId]
+    );
+    await recordAudit(client, req, { entity: 'services', entityId: service.id, action: 'create', after: service });
+
+    await client.query('COMMIT');
+    res.status(201).json(service);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Ce type de service existe deja' });
+    }
+    handleDbError(error, res);
+  } finally {
+    client.release();
+  }
+});
+
+// Tout changement de tarif ferme la periode en cours et en ouvre une nouvelle
+app.put('/api/services/:id', authenticateToken, authorize('services:write'), validateBody(SERVICE_SCHEMA), async (req, res) => {
+  const { id } = req.params;
+  const { type, tarif, forfait, commission } = req.body;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT * FROM services WHERE id = $1 FOR UPDATE', [id]);
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Service non trouve' });
+    }
+
+    const result = await client.query(
+      `UPDATE services SET
+        type = $1, tarif = $2, forfait = $3, commission = $4,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5 RETURNING *`,
+      [type, tarif, forfait || '-', commission, id]
+    );
+    const before = existing.rows[0];
+    const service = result.rows[0];
+    const priceChanged = ['type', 'tarif', 'forfait', 'commission']
+      .some(field => before[field] !== service[field]);
+
+    if (priceChanged) {
+      await client.query(
+        `UPDATE service_prices SET valid_to = CURRENT_TIMESTAMP
+         WHERE service_type = $1 AND valid_to IS NULL`,
+        [before.type]
+      );
+      await client.query(
+        `INSERT INTO service_prices (service_id, service_type, tarif, forfait, commission, changed_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [service.id, service.type, service.tarif, service.forfait, service.commission, req.user.userId]
+      );
+    }
+    await recordAudit(client, req, { entity: 'services', entityId: service.id, action: 'update', before, after: service });
+
+    await client.query('COMMIT');
+    res.json(service);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Ce type de service existe deja' });
+    }
+    handleDbError(error, res);
+  } finally {
+    client.release();
+  }
+});
+
+// L'historique des tarifs est conserve pour les affaires deja enregistrees
+app.delete('/api/services/:id', authenticateToken, authorize('services:write'), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query('DELETE FROM services WHERE id = $1 RETURNING *', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Service non trouve' });
+    }
+
+    await client.query(
+      'UPDATE service_prices SET valid_to = CURRENT_TIMESTAMP WHERE service_type = $1 AND valid_to IS NULL',
+      [result.rows[0].type]
+    );
+    await recordAudit(client, req, { entity: 'services', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+
+    await client.query('COMMIT');
+    res.json({ message: 'Service supprime avec succes' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    handleDbError(error, res);
+  } finally {
+    client.release();
+  }
+});
+
+// Routes API - Statistiques
+// Lundi (UTC) d'une semaine ISO YYYY-WXX
+const weekStartDate = (week) => {
+  const [year, num] = week.split('-W').map(Number);
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const monday = new Date(jan4);
+  monday.setUTCDate(jan4.getUTCDate() - ((jan4.getUTCDay() || 7) - 1) + (num - 1) * 7);
+  return monday;
+};
+
+const previousWeekKey = (week) => {
+  const monday = weekStartDate(week);
+  return getWeekKey(new Date(monday.getUTCFullYear(), monday.getUTCMonth(), monday.getUTCDate() - 7));
+};
+
+// Evolution en pourcentage (une decimale), null si la semaine precedente est a zero
+const evolution = (current, previous) => (
+  previous ? Math.round(((current - previous) / Math.abs(previous)) * 1000) / 10 : null
+);
+
+const DAY_MS = 86400000;
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+// Les SUM/COUNT des vues reviennent en texte (bigint) : conversion en nombres.
+// total_expenses et profit incluent les frais generaux de la semaine en plus des frais d'affaires.
+const toWeeklyStats = (week, row = {}, overhead = 0) => {
+  const revenue = parseInt(row.total_revenue) || 0;
+  const caseExpenses = parseInt(row.total_expenses) || 0;
+
+  return {
+    week,
+    total_cases: parseInt(row.total_cases) || 0,
+    total_revenue: revenue,
+    case_expenses: caseExpenses,
+    overhead,
+    total_expenses: caseExpenses + overhead,
+    profit: revenue - caseExpenses - overhead,
+    completed_cases: parseInt(row.completed_cases) || 0,
+    ongoing_cases: parseInt(row.ongoing_cases) || 0
+  };
+};
+
+// Statistiques de plusieurs semaines en une seule requete : les affaires (vue weekly_stats)
+// et les frais generaux, rattaches a leur semaine ISO, sont agreges ensemble par semaine.
+// Retourne une Map semaine -> statistiques, a zero pour une semaine sans activite.
+const getWeeklyStatsByWeek = async (weeks, db = pool) => {
+  const starts = weeks.map(week => weekStartDate(week).getTime());
+  const result = await db.query(`
+    SELECT week,
+      SUM(total_cases) as total_cases,
+      SUM(total_revenue) as total_revenue,
+      SUM(total_expenses) as total_expenses,
+      SUM(completed_cases) as completed_cases,
+      SUM(ongoing_cases) as ongoing_cases,
+      SUM(overhead) as overhead
+    FROM (
+      SELECT week, total_cases, total_revenue, total_expenses, completed_cases, ongoing_cases, 0 as overhead
+      FROM weekly_stats
+      WHERE week = ANY($1)
+      UNION ALL
+      SELECT TO_CHAR(expense_date, 'IYYY-"W"IW') as week, 0, 0, 0, 0, 0, SUM(amount)
+      FROM expenses
+      WHERE expense_date BETWEEN $2 AND $3
+      GROUP BY TO_CHAR(expense_date, 'IYYY-"W"IW')
+    ) totals
+    GROUP BY week
+  `, [
+    weeks,
+    toDateString(new Date(Math.min(...starts))),
+    toDateString(new Date(Math.max(...starts) + 6 * DAY_MS))
+  ]);
+
+  const rows = new Map(result.rows.map(row => [row.week, row]));
+  return new Map(weeks.map(week => {
+    const row = rows.get(week) || {};
+    return [week, toWeeklyStats(week, row, parseInt(row.overhead) || 0)];
+  }));
+};
+
+app.get('/api/stats/weekly', authenticateToken, authorize('stats:read'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 104);
+
+    if ((from && !WEEK_FORMAT.test(from)) || (to && !WEEK_FORMAT.test(to))) {
+      return res.status(400).json({ error: 'Semaine invalide (format YYYY-WXX)' });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (from) {
+      params.push(from);
+      conditions.push(`week >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`week <= $${params.length}`);
+    }
+
+    const where = conditions.length ? ' WHERE ' + conditions.join(' AND ') : '';
+    params.push(limit);
+    const result = await pool.query(
+      `SELECT * FROM weekly_stats${where} ORDER BY week DESC LIMIT $${params.length}`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.json([]);
+    }
+
+    // Semaines listees et semaines precedentes : une seule requete pour toute la periode
+    const keys = result.rows.map(row => row.week);
+    const stats = await getWeeklyStatsByWeek([...new Set([...keys, ...keys.map(previousWeekKey)])]);
+
+    const weeks = keys.map(week => {
+      const current = stats.get(week);
+      const previous = stats.get(previousWeekKey(week));
+
+      return {
+        ...current,
+        previous_week: previous.week,
+        evolution: {
+          revenue: evolution(current.total_revenue, previous.total_revenue),
+          cases: evolution(current.total_cases, previous.total_cases),
+          profit: evolution(current.profit, previous.profit)
+        }
+      };
+    });
+
+    res.json(weeks);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/stats/lawyers', authenticateToken, authorize('stats:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM lawyer_performance');
+
+    res.json(result.rows.map(row => ({
+      name: row.name,
+      role: row.role,
+      salary: row.salary,
+      commission: row.commission,
+      cases_handled: parseInt(row.cases_handled),
+      revenue_generated: parseInt(row.revenue_generated),
+      total_commission: Math.round(parseFloat(row.total_commission))
+    })));
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/stats/dashboard', authenticateToken, authorize('stats:read'), async (req, res) => {
+  try {
+    const week = req.query.week || getWeekKey();
+
+    if (!WEEK_FORMAT.test(week)) {
+      return res.status(400).json({ error: 'Semaine invalide (format YYYY-WXX)' });
+    }
+
+    const previousWeek = previousWeekKey(week);
+    const weekStart = weekStartDate(week);
+    const nextWeekStart = new Date(weekStart.getTime() + 7 * DAY_MS);
+
+    // Effectif d'une semaine passee : employes actifs deja embauches a la fin de cette semaine
+    const activeAt = (date) => pool.query(
+      "SELECT COUNT(*) as active_employees FROM employees WHERE status = 'Actif' AND hire_date < $1",
+      [date]
+    );
+
+    const [stats, currentEmployees, previousEmployees] = await Promise.all([
+      getWeeklyStatsByWeek([week, previousWeek]),
+      week === getWeekKey() ? pool.query('SELECT active_employees FROM dashboard_stats') : activeAt(nextWeekStart),
+      activeAt(weekStart)
+    ]);
+
+    const current = stats.get(week);
+    const previous = stats.get(previousWeek);
+    const activeEmployees = {
+      current: parseInt(currentEmployees.rows[0].active_employees),
+      previous: parseInt(previousEmployees.rows[0].active_employees)
+    };
+
+    res.json({
+      week,
+      previous_week: previousWeek,
+      current,
+      previous,
+      active_employees: activeEmployees,
+      evolution: {
+        revenue: evolution(current.total_revenue, previous.total_revenue),
+        expenses: evolution(current.total_expenses, previous.total_expenses),
+        profit: evolution(current.profit, previous.profit),
+        cases: evolution(current.total_cases, previous.total_cases),
+        active_employees: evolution(activeEmployees.current, activeEmployees.previous)
+      }
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Frais generaux
+const EXPENSE_CATEGORIES = ['Loyer', 'Véhicules', 'Licences', 'Amendes', 'Fournitures', 'Autre'];
+const RECEIPT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
+const RECEIPT_DIR = path.join(UPLOAD_DIR, 'receipts');
+
+fs.mkdirSync(RECEIPT_DIR, { recursive: true });
+
+const receiptUpload = multer({
+  storage: multer.diskStorage({
+    destination: RECEIPT_DIR,
+    filename: (req, file, cb) => {
+      cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    cb(null, RECEIPT_MIME_TYPES.includes(file.mimetype));
+  }
+});
+
+const removeReceipt = (receiptPath) => {
+  if (receiptPath) {
+    fs.unlink(path.join(RECEIPT_DIR, receiptPath), () => {});
+  }
+};
+
+const EXPENSE_SCHEMA = {
+  expense_date: { label: 'Date', type: 'date' },
+  category: { label: 'Catégorie', required: true, values: EXPENSE_CATEGORIES },
+  description: { label: 'Description' },
+  amount: { label: 'Montant', type: 'integer', required: true, min: 0 },
+  dossier_id: { label: 'Dossier', type: 'integer', min: 1 },
+  employee_id: { label: 'Employe', type: 'integer', min: 1 }
+};
+
+const EXPENSE_SELECT = `
+  SELECT x.*, d.numero_dossier, d.titre AS dossier_titre, e.name AS employee_name
+  FROM expenses x
+  LEFT JOIN dossiers d ON x.dossier_id = d.id
+  LEFT JOIN employees e ON x.employee_id = e.id
+`;
+
+app.get('/api/expenses/categories', authenticateToken, authorize('expenses:read'), (req, res) => {
+  res.json(EXPENSE_CATEGORIES);
+});
+
+app.get('/api/expenses', authenticateToken, authorize('expenses:read'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if ((from && !DATE_FORMAT.test(from)) || (to && !DATE_FORMAT.test(to))) {
+      return res.status(400).json({ error: 'Date invalide (format YYYY-MM-DD)' });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (from) {
+      params.push(from);
+      conditions.push(`x.expense_date >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`x.expense_date <= $${params.length}`);
+    }
+    ['category', 'dossier_id', 'employee_id'].forEach(field => {
+      if (req.query[field]) {
+        params.push(req.query[field]);
+        conditions.push(`x.${field} = $${params.length}`);
+      }
+    });
+
+    const where = conditions.length ? ' WHERE ' + conditions.join(' AND ') : '';
+    const result = await pool.query(
+      `${EXPENSE_SELECT}${where} ORDER BY x.expense_date DESC, x.id DESC`,
+      params
+    );
+    res.json(result.rows);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/expenses/:id', authenticateToken, authorize('expenses:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`${EXPENSE_SELECT} WHERE x.id = $1`, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Frais non trouve' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/expenses', authenticateToken, authorize('expenses:write'), validateBody(EXPENSE_SCHEMA), async (req, res) => {
+  try {
+    const { expense_date, category, description, amount, dossier_id, employee_id } = req.body;
+    const result = await pool.query(
+      `INSERT INTO expenses (expense_date, category, description, amount, dossier_id, employee_id, created_by)
+       VALUES (COALESCE($1, CURRENT_DATE), $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [expense_date || null, category, description, amount, dossier_id || null, employee_id || null, req.user.userId]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.put('/api/expenses/:id', authenticateToken, authorize('expenses:write'), validateBody(EXPENSE_SCHEMA), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { expense_date, category, description, amount, dossier_id, employee_id } = req.body;
+    const result = await pool.query(
+      `UPDATE expenses SET
+        expense_date = COALESCE($1, expense_date), category = $2, description = $3, amount = $4,
+        dossier_id = $5, employee_id = $6, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7 RETURNING *`,
+      [expense_date || null, category, description, amount, dossier_id || null, employee_id || null, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Frais non trouve' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.delete('/api/expenses/:id', authenticateToken, authorize('expenses:write'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM expenses WHERE id = $1 RETURNING receipt_path', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Frais non trouve' });
+    }
+
+    removeReceipt(result.rows[0].receipt_path);
+    res.json({ message: 'Frais supprime avec succes' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Justificatif (PDF ou image, 5 Mo max) : remplace le precedent s'il existe
+app.post('/api/expenses/:id/receipt', authenticateToken, authorize('expenses:write'), (req, res) => {
+  receiptUpload.single('receipt')(req, res, async (uploadError) => {
+    if (uploadError) {
+      const message = uploadError.code === 'LIMIT_FILE_SIZE' ? 'Fichier trop volumineux (5 Mo maximum)' : 'Envoi du fichier impossible';
+      return res.status(400).json({ error: message });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Justificatif requis (PDF, JPEG, PNG ou WebP)' });
+    }
+
+    try {
+      const existing = await pool.query('SELECT receipt_path FROM expenses WHERE id = $1', [req.params.id]);
+
+      if (existing.rows.length === 0) {
+        removeReceipt(req.file.filename);
+        return res.status(404).json({ error: 'Frais non trouve' });
+      }
+
+      const result = await pool.query(
+        `UPDATE expenses SET receipt_path = $1, receipt_name = $2, receipt_mime = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 RETURNING *`,
+        [req.file.filename, req.file.originalname, req.file.mimetype, req.params.id]
+      );
+
+      removeReceipt(existing.rows[0].receipt_path);
+      res.json(result.rows[0]);
+    } catch (error) {
+      removeReceipt(req.file.filename);
+      handleDbError(error, res);
+    }
+  });
+});
+
+app.get('/api/expenses/:id/receipt', authenticateToken, authorize('expenses:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT receipt_path, receipt_name, receipt_mime FROM expenses WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].receipt_path) {
+      return res.status(404).json({ error: 'Justificatif non trouve' });
+    }
+
+    const receipt = result.rows[0];
+    res.type(receipt.receipt_mime);
+    res.download(path.join(RECEIPT_DIR, receipt.receipt_path), receipt.receipt_name, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Justificatif non trouve' });
+      }
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Documents des dossiers
+const DOCUMENT_MAX_SIZE = parseInt(process.env.DOCUMENT_MAX_SIZE_MB || '20') * 1024 * 1024;
+// Types acceptes et extensions correspondantes
+const DOCUMENT_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+  'text/plain': ['.txt'],
+  'application/msword': ['.doc'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'application/vnd.oasis.opendocument.text': ['.odt']
+};
+// Signature (premiers octets) attendue pour les formats binaires courants
+const DOCUMENT_SIGNATURES = {
+  'application/pdf': '25504446',
+  'image/jpeg': 'ffd8ff',
+  'image/png': '89504e47',
+  // Anciens formats Office (.doc, .xls) : conteneur OLE2
+  'application/msword': 'd0cf11e0a1b11ae1',
+  'application/vnd.ms-excel': 'd0cf11e0a1b11ae1',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '504b0304',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '504b0304',
+  'application/vnd.oasis.opendocument.text': '504b0304'
+};
+
+// Stockage des fichiers : put(key, stream), get(key) -> flux de lecture (rejete si absent), remove(key).
+// Un stockage compatible S3 fournira les memes methodes et sera choisi via DOCUMENT_STORAGE.
+const createLocalStorage = (root) => {
+  fs.mkdirSync(root, { recursive: true });
+  const resolve = (key) => path.join(root, path.basename(key));
+
+  return {
+    name: 'local',
+    put: (key, stream) => new Promise((resolvePut, reject) => {
+      const output = fs.createWriteStream(resolve(key));
+      stream.on('error', reject);
+      output.on('error', reject);
+      output.on('finish', resolvePut);
+      stream.pipe(output);
+    }),
+    get: async (key) => {
+      await fs.promises.access(resolve(key), fs.constants.R_OK);
+      return fs.createReadStream(resolve(key));
+    },
+    remove: (key) => fs.promises.unlink(resolve(key)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    })
+  };
+};
+
+const DOCUMENT_STORAGES = {
+  local: () => createLocalStorage(path.join(UPLOAD_DIR, 'documents'))
+};
+const DOCUMENT_STORAGE = process.env.DOCUMENT_STORAGE || 'local';
+
+if (!DOCUMENT_STORAGES[DOCUMENT_STORAGE]) {
+  throw new Error(`Stockage de documents inconnu : ${DOCUMENT_STORAGE} (${Object.keys(DOCUMENT_STORAGES).join(', ')})`);
+}
+
+const documentStorage = DOCUMENT_STORAGES[DOCUMENT_STORAGE]();
+
+// Moteur multer : le fichier est transmis au stockage au fil de l'eau,
+// avec calcul du SHA-256, de la taille et controle de la signature
+const documentUpload = multer({
+  storage: {
+    _handleFile: (req, file, cb) => {
+      const key = `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
+      const hash = crypto.createHash('sha256');
+      const signature = DOCUMENT_SIGNATURES[file.mimetype];
+      let size = 0;
+      let header = Buffer.alloc(0);
+
+      file.stream.on('data', (chunk) => {
+        hash.update(chunk);
+        size += chunk.length;
+        if (header.length < 8) header = Buffer.concat([header, chunk]).subarray(0, 8);
+      });
+
+      documentStorage.put(key, file.stream).then(async () => {
+        if (signature && !header.toString('hex').startsWith(signature)) {
+          await documentStorage.remove(key);
+          const error = new Error('Contenu du fichier non conforme a son type');
+          error.code = 'INVALID_SIGNATURE';
+          return cb(error);
+        }
+        cb(null, { storageKey: key, size, checksum: hash.digest('hex') });
+      }, cb);
+    },
+    _removeFile: (req, file, cb) => {
+      documentStorage.remove(file.storageKey).then(() => cb(null), cb);
+    }
+  },
+  limits: { fileSize: DOCUMENT_MAX_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extensions = DOCUMENT_TYPES[file.mimetype];
+    if (!extensions || !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+      const error = new Error('Type de fichier non autorise');
+      error.code = 'INVALID_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+const DOCUMENT_SELECT = `
+  SELECT d.id, d.dossier_id, d.nom_original, d.type_fichier, d.taille_fichier, d.checksum, d.version,
+    d.contenu_texte IS NOT NULL AS texte_indexe, d.description, d.uploaded_by, u.username AS uploaded_by_name,
+    d.created_at, d.updated_at
+  FROM documents d
+  LEFT JOIN users u ON u.id = d.uploaded_by`;
+
+const documentUploadError = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return `Fichier trop volumineux (${Math.round(DOCUMENT_MAX_SIZE / 1024 / 1024)} Mo maximum)`;
+  }
+  if (error.code === 'INVALID_TYPE') {
+    return 'Type de fichier non autorise (PDF, images, texte, Word, Excel, OpenDocument)';
+  }
+  if (error.code === 'INVALID_SIGNATURE') {
+    return error.message;
+  }
+  return 'Envoi du fichier impossible';
+};
+
+// Texte extrait des PDF et fichiers texte, indexe pour la recherche plein texte
+const DOCUMENT_TEXT_TYPES = ['application/pdf', 'text/plain'];
+const DOCUMENT_TEXT_MAX_LENGTH = 500000;
+// Meme expression que l'index GIN idx_documents_search (setup.js)
+const DOCUMENT_SEARCH_VECTOR = "to_tsvector('french', COALESCE(d.nom_original, '') || ' ' || COALESCE(d.contenu_texte, ''))";
+const DOCUMENT_VERSION_FIELDS = ['version', 'nom_original', 'type_fichier', 'taille_fichier', 'checksum', 'uploaded_by_name', 'created_at', 'commentaire', 'restored_from'];
+
+const readStoredFile = async (key) => {
+  const chunks = [];
+  for await (const chunk of await documentStorage.get(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Une extraction en echec n'empeche pas l'enregistrement : le document n'est simplement pas indexe
+const extractDocumentText = async (key, mimetype) => {
+  if (!DOCUMENT_TEXT_TYPES.includes(mimetype)) return null;
+
+  try {
+    const buffer = await readStoredFile(key);
+    const text = mimetype === 'application/pdf' ? (await pdfParse(buffer)).text : buffer.toString('utf8');
+    return text.replace(/\u0000/g, '').replace(/\s+/g, ' ').trim().slice(0, DOCUMENT_TEXT_MAX_LENGTH) || null;
+  } catch (error) {
+    console.error(`Extraction du texte impossible (${key}):`, error.message);
+    return null;
+  }
+};
+
+const uploadedDocumentFile = async (req) => ({
+  chemin_fichier: req.file.storageKey,
+  nom_original: req.file.originalname,
+  type_fichier: req.file.mimetype,
+  taille_fichier: req.file.size,
+  checksum: req.file.checksum,
+  stockage: documentStorage.name,
+  contenu_texte: await extractDocumentText(req.file.storageKey, req.file.mimetype),
+  commentaire: req.body.commentaire || null,
+  restored_from: null
+});
+
+const insertDocumentVersion = (db, req, documentId, version, file) => db.query(
+  `INSERT INTO document_versions (document_id, version, nom_fichier, chemin_fichier, nom_original, type_fichier,
+    taille_fichier, checksum, stockage, contenu_texte, commentaire, restored_from, uploaded_by)
+  VALUES ($1, $2, $3, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+  [documentId, version, file.chemin_fichier, file.nom_original, file.type_fichier, file.taille_fichier,
+    file.checksum, file.stockage, file.contenu_texte, file.commentaire, file.restored_from, req.user.userId]
+);
+
+// Ajoute une version ; la ligne documents reflete toujours la version courante
+const addDocumentVersion = async (db, req, document, file) => {
+  const version = document.version + 1;
+
+  await insertDocumentVersion(db, req, document.id, version, file);
+
+  const result = await db.query(
+    `UPDATE documents SET nom_fichier = $1, chemin_fichier = $1, nom_original = $2, type_fichier = $3,
+      taille_fichier = $4, checksum = $5, stockage = $6, contenu_texte = $7, version = $8,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $9 RETURNING *`,
+    [file.chemin_fichier, file.nom_original, file.type_fichier, file.taille_fichier, file.checksum,
+      file.stockage, file.contenu_texte, version, document.id]
+  );
+  await recordAudit(db, req, { entity: 'documents', entityId: document.id, action: 'update', before: document, after: result.rows[0] });
+  return result.rows[0];
+};
+
+// Suppression journalisee des documents ; les fichiers de toutes les versions sont retires apres validation
+const deleteDocuments = async (db, req, where, params) => {
+  const versions = await db.query(
+    `SELECT DISTINCT chemin_fichier FROM document_versions
+    WHERE document_id IN (SELECT id FROM documents WHERE ${where})`,
+    params
+  );
+  const result = await db.query(`DELETE FROM documents WHERE ${where} RETURNING *`, params);
+
+  for (const document of result.rows) {
+    await recordAudit(db, req, { entity: 'documents', entityId: document.id, action: 'delete', before: document });
+  }
+
+  const files = new Set([...versions.rows, ...result.rows].map(row => row.chemin_fichier));
+  return { documents: result.rows, files: [...files] };
+};
+
+const removeDocumentFiles = (files) => Promise.all(files.map(key =>
+  documentStorage.remove(key).catch((error) => {
+    console.error(`Fichier ${key} non supprime:`, error.message);
+  })
+));
+
+// Envoi en flux ; l'empreinte SHA-256 est renvoyee dans l'en-tete ETag
+const sendDocumentFile = async (res, file) => {
+  let stream;
+
+  try {
+    stream = await documentStorage.get(file.chemin_fichier);
+  } catch (error) {
+    console.error(`Fichier ${file.chemin_fichier} introuvable dans le stockage:`, error.message);
+    return res.status(404).json({ error: 'Fichier introuvable' });
+  }
+
+  res.attachment(file.nom_original);
+  res.type(file.type_fichier || 'application/octet-stream');
+  if (file.taille_fichier != null) res.set('Content-Length', String(file.taille_fichier));
+  if (file.checksum) res.set('ETag', `"${file.checksum}"`);
+
+  stream.on('error', (error) => {
+    console.error('Erreur lecture document:', error.message);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Documents et notes d'un dossier place dans la corbeille sont masques avec lui (404) jusqu'a sa restauration
+const ACTIVE_DOSSIER_IDS = 'SELECT id FROM dossiers WHERE deleted_at IS NULL';
+const ACTIVE_DOCUMENT_IDS = `SELECT id FROM documents WHERE dossier_id IN (${ACTIVE_DOSSIER_IDS})`;
+
+// Recherche dans le contenu des documents : ?q= (syntaxe web : "expression exacte", -exclu, OR)
+app.get('/api/documents/search', authenticateToken, authorize('documents:read'), async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (q.length < 2) {
+      return res.status(400).json({ error: 'Recherche trop courte (2 caracteres minimum)' });
+    }
+
+    const params = [q];
+    let dossierFilter = '';
+
+    if (req.query.dossier_id) {
+      params.push(req.query.dossier_id);
+      dossierFilter = ` AND d.dossier_id = $${params.length}`;
+    }
+
+    params.push(limit);
+    const result = await pool.query(
+      `SELECT d.id, d.dossier_id, d.nom_original, d.type_fichier, d.version, d.created_at,
+        ds.numero_dossier, ds.titre AS dossier_titre,
+        ts_rank(${DOCUMENT_SEARCH_VECTOR}, websearch_to_tsquery('french', $1)) AS rank,
+        ts_headline('french', COALESCE(d.contenu_texte, ''), websearch_to_tsquery('french', $1),
+          'StartSel=[[, StopSel=]], MaxWords=35, MinWords=15, MaxFragments=2') AS extrait
+      FROM documents d
+      JOIN dossiers ds ON ds.id = d.dossier_id
+      WHERE ${DOCUMENT_SEARCH_VECTOR} @@ websearch_to_tsquery('french', $1) AND ds.deleted_at IS NULL${dossierFilter}
+      ORDER BY rank DESC, d.created_at DESC
+      LIMIT $${params.length}`,
+      params
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Erreur recherche documents:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+app.get('/api/dossiers/:id/documents', authenticateToken, authorize('documents:read'), async (req, res) => {
+  try {
+    const dossier = await pool.query('SELECT id FROM dossiers WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+
+    if (dossier.rows.length === 0) {
+      return res.status(404).json({ error: 'Dossier non trouve' });
+    }
+
+    const result = await pool.query(DOCUMENT_SELECT + ' WHERE d.dossier_id = $1 ORDER BY d.created_at DESC', [req.params.id]);
+    res.json(result.rows);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Envoi multipart : champ "file" (+ "description" et "commentaire" optionnels)
+app.post('/api/dossiers/:id/documents', authenticateToken, authorize('documents:write'), async (req, res) => {
+  try {
+    const dossier = await pool.query('SELECT id FROM dossiers WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+
+    if (dossier.rows.length === 0) {
+      return res.status(404).json({ error: 'Dossier non trouve' });
+    }
+  } catch (error) {
+    return handleDbError(error, res);
+  }
+
+  documentUpload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ error: documentUploadError(uploadError) });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Fichier requis (champ "file")' });
+    }
+
+    try {
+      const file = await uploadedDocumentFile(req);
+      const document = await runInTransaction(async (db) => {
+        // Le dossier a pu etre place dans la corbeille pendant l'envoi
+        const dossier = await db.query('SELECT id FROM dossiers WHERE id = $1 AND deleted_at IS NULL FOR SHARE', [req.params.id]);
+        if (dossier.rows.length === 0) return null;
+
+        const result = await db.query(
+          `INSERT INTO documents (dossier_id, nom_fichier, nom_original, type_fichier, taille_fichier,
+            chemin_fichier, stockage, checksum, contenu_texte, version, description, uploaded_by)
+          VALUES ($1, $2, $3, $4, $5, $2, $6, $7, $8, 1, $9, $10) RETURNING *`,
+          [req.params.id, file.chemin_fichier, file.nom_original, file.type_fichier, file.taille_fichier,
+            file.stockage, file.checksum, file.contenu_texte, req.body.description || null, req.user.userId]
+        );
+        await insertDocumentVersion(db, req, result.rows[0].id, 1, file);
+        await recordAudit(db, req, { entity: 'documents', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+        return result.rows[0];
+      });
+
+      if (!document) {
+        await documentStorage.remove(req.file.storageKey);
+        return res.status(404).json({ error: 'Dossier non trouve' });
+      }
+
+      const result = await pool.query(DOCUMENT_SELECT + ' WHERE d.id = $1', [document.id]);
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      await documentStorage.remove(req.file.storageKey).catch(() => {});
+      handleDbError(error, res);
+    }
+  });
+});
+
+app.get('/api/documents/:id/download', authenticateToken, authorize('documents:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT * FROM documents WHERE id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS})`, [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Document non trouve' });
+    }
+
+    await sendDocumentFile(res, result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.delete('/api/documents/:id', authenticateToken, authorize('documents:delete'), async (req, res) => {
+  try {
+    const deleted = await runInTransaction(db => deleteDocuments(db, req, `id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS})`, [req.params.id]));
+
+    if (deleted.documents.length === 0) {
+      return res.status(404).json({ error: 'Document non trouve' });
+    }
+
+    await removeDocumentFiles(deleted.files);
+    res.json({ message: 'Document supprime avec succes' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Versions d'un document (la plus recente en premier)
+app.get('/api/documents/:id/versions', authenticateToken, authorize('documents:read'), async (req, res) => {
+  try {
+    const document = await pool.query(`SELECT id, version FROM documents WHERE id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS})`, [req.params.id]);
+
+    if (document.rows.length === 0) {
+      return res.status(404).json({ error: 'Document non trouve' });
+    }
+
+    const result = await pool.query(
+      `SELECT v.id, v.version, v.nom_original, v.type_fichier, v.taille_fichier, v.checksum, v.commentaire,
+        v.restored_from, v.uploaded_by, u.username AS uploaded_by_name, v.created_at,
+        v.contenu_texte IS NOT NULL AS texte_indexe
+      FROM document_versions v
+      LEFT JOIN users u ON u.id = v.uploaded_by
+      WHERE v.document_id = $1
+      ORDER BY v.version DESC`,
+      [req.params.id]
+    );
+
+    res.json(result.rows.map(version => ({ ...version, current: version.version === document.rows[0].version })));
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Comparaison des metadonnees de deux versions : ?from=1&to=3 (par defaut : precedente et courante)
+app.get('/api/documents/:id/versions/compare', authenticateToken, authorize('documents:read'), async (req, res) => {
+  try {
+    const document = await pool.query(`SELECT version FROM documents WHERE id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS})`, [req.params.id]);
+
+    if (document.rows.length === 0) {
+      return res.status(404).json({ error: 'Document non trouve' });
+    }
+
+    const to = parseInt(req.query.to) || document.rows[0].version;
+    const from = parseInt(req.query.from) || to - 1;
+    const result = await pool.query(
+      `SELECT v.*, u.username AS uploaded_by_name FROM document_versions v
+      LEFT JOIN users u ON u.id = v.uploaded_by
+      WHERE v.document_id = $1 AND v.version IN ($2, $3)`,
+      [req.params.id, from, to]
+    );
+    const pick = (version) => {
+      const row = result.rows.find(item => item.version === version);
+      return row && DOCUMENT_VERSION_FIELDS.reduce((meta, field) => ({ ...meta, [field]: row[field] }), {});
+    };
+    const before = pick(from);
+    const after = pick(to);
+
+    if (!before || !after) {
+      return res.status(404).json({ error: 'Version non trouvee' });
+    }
+
+    res.json({
+      from: before,
+      to: after,
+      differences: auditDiff(before, after),
+      same_content: before.checksum === after.checksum,
+      size_delta: after.taille_fichier - before.taille_fichier
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/documents/:id/versions/:version/download', authenticateToken, authorize('documents:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM document_versions WHERE document_id = $1 AND version = $2 AND document_id IN (${ACTIVE_DOCUMENT_IDS})`,
+      [req.params.id, req.params.version]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Version non trouvee' });
+    }
+
+    await sendDocumentFile(res, result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Nouvelle version : multipart, champ "file" (+ "commentaire" optionnel)
+app.post('/api/documents/:id/versions', authenticateToken, authorize('documents:write'), async (req, res) => {
+  try {
+    const document = await pool.query(`SELECT id FROM documents WHERE id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS})`, [req.params.id]);
+
+    if (document.rows.length === 0) {
+      return res.status(404).json({ error: 'Document non trouve' });
+    }
+  } catch (error) {
+    return handleDbError(error, res);
+  }
+
+  documentUpload.single('file')(req, res, async (uploadError) => {
+    if (uploadError) {
+      return res.status(400).json({ error: documentUploadError(uploadError) });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Fichier requis (champ "file")' });
+    }
+
+    try {
+      const file = await uploadedDocumentFile(req);
+      const document = await runInTransaction(async (db) => {
+        const existing = await db.query(`SELECT * FROM documents WHERE id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS}) FOR UPDATE`, [req.params.id]);
+        if (existing.rows.length === 0) return null;
+
+        return addDocumentVersion(db, req, existing.rows[0], file);
+      });
+
+      if (!document) {
+        await documentStorage.remove(req.file.storageKey);
+        return res.status(404).json({ error: 'Document non trouve' });
+      }
+
+      const result = await pool.query(DOCUMENT_SELECT + ' WHERE d.id = $1', [document.id]);
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      await documentStorage.remove(req.file.storageKey).catch(() => {});
+      handleDbError(error, res);
+    }
+  });
+});
+
+// Restauration : la version choisie redevient courante sous un nouveau numero (l'historique est conserve)
+app.post('/api/documents/:id/versions/:version/restore', authenticateToken, authorize('documents:write'), async (req, res) => {
+  try {
+    const document = await runInTransaction(async (db) => {
+      const existing = await db.query(`SELECT * FROM documents WHERE id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS}) FOR UPDATE`, [req.params.id]);
+      const version = await db.query(
+        'SELECT * FROM document_versions WHERE document_id = $1 AND version = $2',
+        [req.params.id, req.params.version]
+      );
+      if (existing.rows.length === 0 || version.rows.length === 0) return null;
+
+      return addDocumentVersion(db, req, existing.rows[0], {
+        ...version.rows[0],
+        commentaire: req.body.commentaire || `Restauration de la version ${version.rows[0].version}`,
+        restored_from: version.rows[0].version
+      });
+    });
+
+    if (!document) {
+      return res.status(404).json({ error: 'Version non trouvee' });
+    }
+
+    const result = await pool.query(DOCUMENT_SELECT + ' WHERE d.id = $1', [document.id]);
+    res.json(result.rows[0]);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Notes des dossiers
+// Types de notes (valeur stockee -> libelle)
+const NOTE_TYPES = {
+  generale: 'Generale',
+  audience: 'Audience',
+  appel: 'Appel',
+  strategie: 'Strategie'
+};
+
+const NOTE_SELECT = `
+  SELECT n.*, u.username AS auteur
+  FROM notes n
+  LEFT JOIN users u ON u.id = n.user_id
+`;
+
+// Seul l'auteur modifie ou supprime sa note, sauf pour les roles qui peuvent supprimer un dossier
+const canEditNote = (req, note) =>
+  note.user_id === req.user.userId || hasPermission(req.user.role, 'dossiers:delete');
+
+const NOTE_SCHEMA = {
+  contenu: { label: 'Contenu', required: true },
+  type_note: { label: 'Type de note', values: Object.keys(NOTE_TYPES) },
+  epingle: { label: 'Epingle', type: 'boolean' }
+};
+
+const NOTE_PIN_SCHEMA = {
+  epingle: { ...NOTE_SCHEMA.epingle, required: true }
+};
+
+// Notes d'un dossier par ordre chronologique inverse ; filtre optionnel ?type_note=
+app.get('/api/dossiers/:id/notes', authenticateToken, authorize('dossiers:read'), async (req, res) => {
+  try {
+    const dossier = await pool.query('SELECT id FROM dossiers WHERE id = $1 AND deleted_at IS NULL', [req.params.id]);
+
+    if (dossier.rows.length === 0) {
+      return res.status(404).json({ error: 'Dossier non trouve' });
+    }
+
+    const params = [req.params.id];
+    let typeFilter = '';
+    if (req.query.type_note) {
+      params.push(req.query.type_note);
+      typeFilter = ` AND n.type_note = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      NOTE_SELECT + ` WHERE n.dossier_id = $1${typeFilter} ORDER BY n.created_at DESC, n.id DESC`,
+      params
+    );
+
+    res.json(result.rows.map(note => ({ ...note, modifiable: canEditNote(req, note) })));
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/dossiers/:id/notes', authenticateToken, authorize('dossiers:write'), validateBody(NOTE_SCHEMA), async (req, res) => {
+  try {
+    const { contenu, type_note, epingle } = req.body;
+
+    const created = await runInTransaction(async (db) => {
+      const dossier = await db.query('SELECT id FROM dossiers WHERE id = $1 AND deleted_at IS NULL FOR SHARE', [req.params.id]);
+      if (dossier.rows.length === 0) return null;
+
+      const result = await db.query(
+        'INSERT INTO notes (dossier_id, user_id, contenu, type_note, epingle) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [req.params.id, req.user.userId, contenu, type_note || 'generale', epingle === true]
+      );
+      await recordAudit(db, req, { entity: 'notes', entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    if (!created) {
+      return res.status(404).json({ error: 'Dossier non trouve' });
+    }
+
+    const result = await pool.query(NOTE_SELECT + ' WHERE n.id = $1', [created.id]);
+    res.status(201).json({ ...result.rows[0], modifiable: true });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.put('/api/notes/:id', authenticateToken, authorize('dossiers:write'), validateBody(NOTE_SCHEMA), async (req, res) => {
+  try {
+    const { contenu, type_note } = req.body;
+
+    const updated = await runInTransaction(async (db) => {
+      const existing = await db.query(`SELECT * FROM notes WHERE id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS}) FOR UPDATE`, [req.params.id]);
+      if (existing.rows.length === 0) return null;
+      if (!canEditNote(req, existing.rows[0])) return { forbidden: true };
+
+      const result = await db.query(
+        `UPDATE notes SET contenu = $1, type_note = COALESCE($2, type_note), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 RETURNING *`,
+        [contenu, type_note || null, req.params.id]
+      );
+      await recordAudit(db, req, { entity: 'notes', entityId: result.rows[0].id, action: 'update', before: existing.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Note non trouvee' });
+    }
+    if (updated.forbidden) {
+      return res.status(403).json({ error: 'Seul l\'auteur de la note peut la modifier' });
+    }
+
+    const result = await pool.query(NOTE_SELECT + ' WHERE n.id = $1', [updated.id]);
+    res.json({ ...result.rows[0], modifiable: true });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Epingler / desepingler : ouvert a tous ceux qui peuvent modifier le dossier
+app.put('/api/notes/:id/epingle', authenticateToken, authorize('dossiers:write'), validateBody(NOTE_PIN_SCHEMA), async (req, res) => {
+  try {
+    const updated = await runInTransaction(async (db) => {
+      const existing = await db.query(`SELECT * FROM notes WHERE id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS}) FOR UPDATE`, [req.params.id]);
+      if (existing.rows.length === 0) return null;
+
+      const result = await db.query(
+        'UPDATE notes SET epingle = $1 WHERE id = $2 RETURNING *',
+        [req.body.epingle, req.params.id]
+      );
+      await recordAudit(db, req, { entity: 'notes', entityId: result.rows[0].id, action: 'update', before: existing.rows[0], after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Note non trouvee' });
+    }
+
+    const result = await pool.query(NOTE_SELECT + ' WHERE n.id = $1', [updated.id]);
+    res.json({ ...result.rows[0], modifiable: canEditNote(req, result.rows[0]) });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.delete('/api/notes/:id', authenticateToken, authorize('dossiers:write'), async (req, res) => {
+  try {
+    const deleted = await runInTransaction(async (db) => {
+      const existing = await db.query(`SELECT * FROM notes WHERE id = $1 AND dossier_id IN (${ACTIVE_DOSSIER_IDS}) FOR UPDATE`, [req.params.id]);
+      if (existing.rows.length === 0) return null;
+      if (!canEditNote(req, existing.rows[0])) return { forbidden: true };
+
+      const result = await db.query('DELETE FROM notes WHERE id = $1 RETURNING *', [req.params.id]);
+      await recordAudit(db, req, { entity: 'notes', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+      return result.rows[0];
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Note non trouvee' });
+    }
+    if (deleted.forbidden) {
+      return res.status(403).json({ error: 'Seul l\'auteur de la note peut la supprimer' });
+    }
+
+    res.json({ message: 'Note supprimee avec succes' });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Corbeille
+// Les clients et dossiers supprimes restent restaurables pendant TRASH_RETENTION_DAYS jours ; passe ce delai,
+// un administrateur peut les purger definitivement (rendez-vous, documents et notes compris).
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+
+const getPurgeThreshold = () => new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+const withPurgeDate = (row) => ({
+  ...row,
+  purge_after: new Date(new Date(row.deleted_at).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+});
+
+// Elements rattaches a un client ou a un dossier, listes avant la mise en corbeille et avant la purge.
+// A la purge d'un client ses rendez-vous sont supprimes ; ceux d'un dossier et les frais sont seulement detaches.
+const getDeletionImpact = async (entity, id, db = pool) => {
+  const dossierWhere = entity === 'clients' ? 'client_id = $1' : 'id = $1';
+  const inDossiers = `dossier_id IN (SELECT id FROM dossiers WHERE ${dossierWhere})`;
+
+  const dossiers = await db.query(
+    `SELECT id, numero_dossier, titre, deleted_at FROM dossiers WHERE ${dossierWhere} ORDER BY numero_dossier`,
+    [id]
+  );
+  const rendezVous = await db.query(
+    `SELECT id, titre, date_rdv FROM rendez_vous WHERE ${entity === 'clients' ? 'client_id' : 'dossier_id'} = $1 ORDER BY date_rdv`,
+    [id]
+  );
+  const documents = await db.query(`SELECT COUNT(*) AS total FROM documents WHERE ${inDossiers}`, [id]);
+  const notes = await db.query(`SELECT COUNT(*) AS total FROM notes WHERE ${inDossiers}`, [id]);
+  const frais = await db.query(`SELECT COUNT(*) AS total FROM expenses WHERE ${inDossiers}`, [id]);
+
+  return {
+    dossiers: entity === 'clients' ? dossiers.rows : [],
+    rendez_vous: rendezVous.rows,
+    documents: parseInt(documents.rows[0].total),
+    notes: parseInt(notes.rows[0].total),
+    frais: parseInt(frais.rows[0].total)
+  };
+};
+
+// Suppression definitive ; les lignes supprimees en cascade sont journalisees individuellement.
+// Renvoie les fichiers a retirer du stockage une fois la transaction validee.
+const purgeClient = async (db, req, id) => {
+  const documents = await deleteDocuments(db, req, 'dossier_id IN (SELECT id FROM dossiers WHERE client_id = $1)', [id]);
+  for (const entity of ['rendez_vous', 'dossiers']) {
+    const cascaded = await db.query(`DELETE FROM ${entity} WHERE client_id = $1 RETURNING *`, [id]);
+    for (const row of cascaded.rows) {
+      await recordAudit(db, req, { entity, entityId: row.id, action: 'delete', before: row });
+    }
+  }
+
+  const result = await db.query('DELETE FROM clients WHERE id = $1 RETURNING *', [id]);
+  await recordAudit(db, req, { entity: 'clients', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+  return documents.files;
+};
+
+const purgeDossier = async (db, req, id) => {
+  const documents = await deleteDocuments(db, req, 'dossier_id = $1', [id]);
+  const result = await db.query('DELETE FROM dossiers WHERE id = $1 RETURNING *', [id]);
+  await recordAudit(db, req, { entity: 'dossiers', entityId: result.rows[0].id, action: 'delete', before: result.rows[0] });
+  return documents.files;
+};
+
+// Elements dont le delai de conservation est depasse. Les dossiers d'un client expire partent avec lui.
+const findExpiredTrash = async (db = pool) => {
+  const threshold = getPurgeThreshold();
+  const clients = await db.query(
+    'SELECT id, nom, prenom, email, deleted_at FROM clients WHERE deleted_at < $1 ORDER BY deleted_at',
+    [threshold]
+  );
+  const dossiers = await db.query(
+    `SELECT id, numero_dossier, titre, client_id, deleted_at FROM dossiers
+    WHERE deleted_at < $1
+      AND (client_id IS NULL OR client_id NOT IN (SELECT id FROM clients WHERE deleted_at < $1))
+    ORDER BY deleted_at`,
+    [threshold]
+  );
+  return { threshold, clients: clients.rows, dossiers: dossiers.rows };
+};
+
+app.get('/api/clients/:id/impact', authenticateToken, authorize('clients:delete'), async (req, res) => {
+  try {
+    const client = await pool.query('SELECT id FROM clients WHERE id = $1', [req.params.id]);
+
+    if (client.rows.length === 0) {
+      return res.status(404).json({ error: 'Client non trouve' });
+    }
+
+    res.json(await getDeletionImpact('clients', req.params.id));
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.get('/api/dossiers/:id/impact', authenticateToken, authorize('dossiers:delete'), async (req, res) => {
+  try {
+    const dossier = await pool.query('SELECT id FROM dossiers WHERE id = $1', [req.params.id]);
+
+    if (dossier.rows.length === 0) {
+      return res.status(404).json({ error: 'Dossier non trouve' });
+    }
+
+    res.json(await getDeletionImpact('dossiers', req.params.id));
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Contenu de la corbeille. Les dossiers mis en corbeille avec leur client sont comptes avec lui.
+app.get('/api/corbeille', authenticateToken, authorize('trash:read'), async (req, res) => {
+  try {
+    const clients = await pool.query(
+      `SELECT c.id, c.nom, c.prenom, c.email, c.deleted_at, u.username AS deleted_by_name,
+        COALESCE(dc.total, 0) AS dossiers
+      FROM clients c
+      LEFT JOIN users u ON u.id = c.deleted_by
+      LEFT JOIN (SELECT client_id, COUNT(*) AS total FROM dossiers GROUP BY client_id) dc ON dc.client_id = c.id
+      WHERE c.deleted_at IS NOT NULL
+      ORDER BY c.deleted_at DESC`
+    );
+    const dossiers = await pool.query(
+      `SELECT d.id, d.numero_dossier, d.titre, d.client_id, d.deleted_at, u.username AS deleted_by_name,
+        c.nom, c.prenom, c.deleted_at IS NOT NULL AS client_supprime
+      FROM dossiers d
+      LEFT JOIN clients c ON c.id = d.client_id
+      LEFT JOIN users u ON u.id = d.deleted_by
+      WHERE d.deleted_at IS NOT NULL AND (c.deleted_at IS NULL OR c.deleted_at <> d.deleted_at)
+      ORDER BY d.deleted_at DESC`
+    );
+
+    res.json({
+      retention_days: TRASH_RETENTION_DAYS,
+      clients: clients.rows.map(withPurgeDate),
+      dossiers: dossiers.rows.map(withPurgeDate)
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Restauration du client et des dossiers mis en corbeille en meme temps que lui
+app.post('/api/clients/:id/restore', authenticateToken, authorize('clients:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const restored = await runInTransaction(async (db) => {
+      const existing = await db.query('SELECT * FROM clients WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE', [id]);
+      if (existing.rows.length === 0) return null;
+
+      const result = await db.query(
+        'UPDATE clients SET deleted_at = NULL, deleted_by = NULL, version = version + 1 WHERE id = $1 RETURNING *',
+        [id]
+      );
+      await recordAudit(db, req, { entity: 'clients', entityId: result.rows[0].id, action: 'restore', before: existing.rows[0], after: result.rows[0] });
+
+      const dossiers = await db.query(
+        'SELECT * FROM dossiers WHERE client_id = $1 AND deleted_at = $2 FOR UPDATE',
+        [id, existing.rows[0].deleted_at]
+      );
+      for (const dossier of dossiers.rows) {
+        const updated = await db.query(
+          'UPDATE dossiers SET deleted_at = NULL, deleted_by = NULL, version = version + 1 WHERE id = $1 RETURNING *',
+          [dossier.id]
+        );
+        await recordAudit(db, req, { entity: 'dossiers', entityId: dossier.id, action: 'restore', before: dossier, after: updated.rows[0] });
+      }
+      return { client: result.rows[0], dossiers: dossiers.rows.length };
+    });
+
+    if (!restored) {
+      return res.status(404).json({ error: 'Client non trouve dans la corbeille' });
+    }
+
+    res.json({ message: 'Client restaure', client: restored.client, dossiers_restaures: restored.dossiers });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+app.post('/api/dossiers/:id/restore', authenticateToken, authorize('dossiers:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const restored = await runInTransaction(async (db) => {
+      const existing = await db.query('SELECT * FROM dossiers WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE', [id]);
+      if (existing.rows.length === 0) return null;
+
+      const client = await db.query('SELECT deleted_at FROM clients WHERE id = $1', [existing.rows[0].client_id]);
+      if (client.rows.length > 0 && client.rows[0].deleted_at) return { clientTrashed: true };
+
+      const result = await db.query(
+        'UPDATE dossiers SET deleted_at = NULL, deleted_by = NULL, version = version + 1 WHERE id = $1 RETURNING *',
+        [id]
+      );
+      await recordAudit(db, req, { entity: 'dossiers', entityId: result.rows[0].id, action: 'restore', before: existing.rows[0], after: result.rows[0] });
+      return { dossier: result.rows[0] };
+    });
+
+    if (!restored) {
+      return res.status(404).json({ error: 'Dossier non trouve dans la corbeille' });
+    }
+    if (restored.clientTrashed) {
+      return res.status(409).json({ error: 'Le client de ce dossier est dans la corbeille : restaurez d\'abord le client' });
+    }
+
+    res.json({ message: 'Dossier restaure', dossier: restored.dossier });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Apercu de la purge : elements expires et tout ce qui sera supprime avec eux
+app.get('/api/corbeille/purge', authenticateToken, authorize('trash:purge'), async (req, res) => {
+  try {
+    const expired = await findExpiredTrash();
+
+    for (const client of expired.clients) {
+      client.impact = await getDeletionImpact('clients', client.id);
+    }
+    for (const dossier of expired.dossiers) {
+      dossier.impact = await getDeletionImpact('dossiers', dossier.id);
+    }
+
+    res.json({ retention_days: TRASH_RETENTION_DAYS, ...expired });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Purge definitive des elements expires (permission reservee aux administrateurs)
+app.post('/api/corbeille/purge', authenticateToken, authorize('trash:purge'), async (req, res) => {
+  try {
+    const purged = await runInTransaction(async (db) => {
+      const expired = await findExpiredTrash(db);
+      const files = [];
+
+      for (const client of expired.clients) {
+        files.push(...await purgeClient(db, req, client.id));
+      }
+      for (const dossier of expired.dossiers) {
+        files.push(...await purgeDossier(db, req, dossier.id));
+      }
+      return { clients: expired.clients.length, dossiers: expired.dossiers.length, files };
+    });
+
+    await removeDocumentFiles(purged.files);
+
+    res.json({
+      message: `Corbeille purgee : ${purged.clients} client(s), ${purged.dossiers} dossier(s)`,
+      clients: purged.clients,
+      dossiers: purged.dossiers
+    });
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Recherche globale
+// Configuration plein texte creee par setup.js : racinisation francaise + unaccent
+const SEARCH_CONFIG = 'fr_unaccent';
+const SEARCH_DEFAULT_LIMIT = 10;
+const SEARCH_MAX_LIMIT = 50;
+
+// Sources interrogees, filtrees selon les permissions. Les vecteurs reprennent les index GIN de setup.js ;
+// $1 : requete plein texte, $2 : chiffres du numero de telephone recherche (ou NULL)
+const SEARCH_SOURCES = [
+  {
+    permission: 'clients:read',
+    sql: `SELECT 'client' AS type, c.id, c.prenom || ' ' || c.nom AS titre,
+        COALESCE(c.email, c.telephone) AS detail, NULL::integer AS dossier_id, c.nom AS filtre,
+        CASE WHEN regexp_replace(COALESCE(c.telephone, ''), '[^0-9]', '', 'g') LIKE $2 THEN 1
+          ELSE ts_rank(%VECTOR%, to_tsquery('${SEARCH_CONFIG}', $1)) END AS rank
+      FROM clients c
+      WHERE c.deleted_at IS NULL AND (%VECTOR% @@ to_tsquery('${SEARCH_CONFIG}', $1)
+        OR regexp_replace(COALESCE(c.telephone, ''), '[^0-9]', '', 'g') LIKE $2)`,
+    vector: `to_tsvector('${SEARCH_CONFIG}', COALESCE(c.nom, '') || ' ' || COALESCE(c.prenom, '') || ' ' ||
+      translate(COALESCE(c.email, ''), '@.-_', '    ') || ' ' || COALESCE(c.telephone, ''))`
+  },
+  {
+    permission: 'dossiers:read',
+    sql: `SELECT 'dossier' AS type, d.id, d.numero_dossier || ' - ' || d.titre AS titre,
+        cl.prenom || ' ' || cl.nom AS detail, d.id AS dossier_id, d.numero_dossier AS filtre,
+        ts_rank(%VECTOR%, to_tsquery('${SEARCH_CONFIG}', $1)) AS rank
+      FROM dossiers d
+      LEFT JOIN clients cl ON cl.id = d.client_id
+      WHERE d.deleted_at IS NULL AND %VECTOR% @@ to_tsquery('${SEARCH_CONFIG}', $1)`,
+    vector: `to_tsvector('${SEARCH_CONFIG}', COALESCE(d.numero_dossier, '') || ' ' || COALESCE(d.titre, ''))`
+  },
+  {
+    permission: 'rdv:read',
+    sql: `SELECT 'rendez_vous' AS type, r.id, r.titre,
+        cl.prenom || ' ' || cl.nom AS detail, r.dossier_id, r.titre AS filtre,
+        ts_rank(%VECTOR%, to_tsquery('${SEARCH_CONFIG}', $1)) AS rank
+      FROM rendez_vous r
+      LEFT JOIN clients cl ON cl.id = r.client_id
+      LEFT JOIN dossiers d ON d.id = r.dossier_id
+      WHERE cl.deleted_at IS NULL AND d.deleted_at IS NULL AND %VECTOR% @@ to_tsquery('${SEARCH_CONFIG}', $1)`,
+    vector: `to_tsvector('${SEARCH_CONFIG}', COALESCE(r.titre, '') || ' ' || COALESCE(r.lieu, ''))`
+  },
+  {
+    permission: 'cases:read',
+    sql: `SELECT 'case' AS type, x.id, x.client || ' - ' || x.type AS titre,
+        substring(COALESCE(x.description, '') from 1 for 120) AS detail, NULL::integer AS dossier_id, x.week AS filtre,
+        ts_rank(%VECTOR%, to_tsquery('${SEARCH_CONFIG}', $1)) AS rank
+      FROM cases x
+      WHERE %VECTOR% @@ to_tsquery('${SEARCH_CONFIG}', $1)`,
+    vector: `to_tsvector('${SEARCH_CONFIG}', COALESCE(x.client, '') || ' ' || COALESCE(x.type, '') || ' ' || COALESCE(x.description, ''))`
+  },
+  {
+    permission: 'dossiers:read',
+    sql: `SELECT 'note' AS type, n.id, d.numero_dossier || ' - ' || d.titre AS titre,
+        substring(n.contenu from 1 for 120) AS detail, n.dossier_id, NULL AS filtre,
+        ts_rank(%VECTOR%, to_tsquery('${SEARCH_CONFIG}', $1)) AS rank
+      FROM notes n
+      JOIN dossiers d ON d.id = n.dossier_id
+      WHERE d.deleted_at IS NULL AND %VECTOR% @@ to_tsquery('${SEARCH_CONFIG}', $1)`,
+    vector: `to_tsvector('${SEARCH_CONFIG}', COALESCE(n.contenu, ''))`
+  }
+];
+
+// Recherche par prefixe de chaque mot saisi (saisie au fil de l'eau) : "dup jea" -> dup:* & jea:*
+const buildPrefixQuery = (q) => {
+  const terms = q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, 8).map(term => term + ':*').join(' & ');
+};
+
+// ?q= (2 caracteres minimum) et ?limit= ; resultats de tous types classes par pertinence
+app.get('/api/search', authenticateToken, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || SEARCH_DEFAULT_LIMIT, SEARCH_MAX_LIMIT);
+    const tsquery = buildPrefixQuery(q);
+
+    if (q.length < 2 || !tsquery) {
+      return res.status(400).json({ error: 'Recherche trop courte (2 caracteres minimum)' });
+    }
+
+    const sources = SEARCH_SOURCES.filter(source => hasPermission(req.user.role, source.permission));
+
+    if (sources.length === 0) {
+      return res.json([]);
+    }
+
+    const digits = q.replace(/\D/g, '');
+    const union = sources.map(source => source.sql.split('%VECTOR%').join(source.vector)).join('\nUNION ALL\n');
+    const result = await pool.query(
+      `SELECT * FROM (${union}) results ORDER BY rank DESC, titre ASC LIMIT $3`,
+      [tsquery, digits.length >= 4 ? '%' + digits + '%' : null, limit]
+    );
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Erreur recherche globale:', error);
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Routes API - Rapports financiers
+const MONTH_FORMAT = /^\d{4}-\d{2}$/;
+const MAX_REPORT_DAYS = 731;
+
+// Periode du rapport (bornes incluses) : ?week=YYYY-WXX, ?month=YYYY-MM ou ?from=YYYY-MM-DD&to=YYYY-MM-DD.
+// Sans parametre : semaine courante.
+const resolveReportPeriod = ({ week, month, from, to }) => {
+  if (month) {
+    if (!MONTH_FORMAT.test(month)) {
+      return { error: 'Mois invalide (format YYYY-MM)' };
+    }
+    const [year, num] = month.split('-').map(Number);
+    return {
+      type: 'month',
+      label: `Mois ${month}`,
+      from: new Date(Date.UTC(year, num - 1, 1)),
+      to: new Date(Date.UTC(year, num, 0))
+    };
+  }
+
+  if (from || to) {
+    if (!DATE_FORMAT.test(from || '') || !DATE_FORMAT.test(to || '')) {
+      return { error: 'Dates de debut et de fin requises (format YYYY-MM-DD)' };
+    }
+    const start = new Date(`${from}T00:00:00Z`);
+    const end = new Date(`${to}T00:00:00Z`);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      return { error: 'Periode invalide' };
+    }
+    if ((end - start) / DAY_MS > MAX_REPORT_DAYS) {
+      return { error: 'Periode trop longue (2 ans maximum)' };
+    }
+    return { type: 'custom', label: `Du ${from} au ${to}`, from: start, to: end };
+  }
+
+  const key = week || getWeekKey();
+  if (!WEEK_FORMAT.test(key)) {
+    return { error: 'Semaine invalide (format YYYY-WXX)' };
+  }
+  const start = weekStartDate(key);
+  return { type: 'week', label: `Semaine ${key}`, from: start, to: new Date(start.getTime() + 6 * DAY_MS) };
+};
+
+// Les affaires et la paie sont saisies par semaine : une semaine appartient a la periode
+// qui contient son jeudi (meme regle que le rattachement ISO d'une semaine a son annee)
+const weeksInPeriod = (from, to) => {
+  const weeks = [];
+  for (let day = new Date(from); day <= to; day = new Date(day.getTime() + DAY_MS)) {
+    if (day.getUTCDay() === 4) {
+      weeks.push(getWeekKey(new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate())));
+    }
+  }
+  return weeks;
+};
+
+const buildFinancialReport = async (period, db = pool) => {
+  const weeks = weeksInPeriod(period.from, period.to);
+  // Semaines contigues et triables en texte : un BETWEEN suffit
+  const weekRange = [weeks[0] || '', weeks[weeks.length - 1] || ''];
+  const currentWeek = getWeekKey();
+
+  const [cases, runs, overhead] = await Promise.all([
+    db.query(
+      `SELECT week, COUNT(*) as total_cases,
+        COALESCE(SUM(honoraires), 0) as revenue,
+        COALESCE(SUM(frais), 0) as case_expenses
+       FROM cases WHERE week BETWEEN $1 AND $2
+       GROUP BY week`,
+      weekRange
+    ),
+    db.query(
+      "SELECT week, status, total_amount FROM payroll_runs WHERE week BETWEEN $1 AND $2 AND status <> 'brouillon'",
+      weekRange
+    ),
+    db.query(
+      `SELECT category, COUNT(*) as count, COALESCE(SUM(amount), 0) as total
+       FROM expenses WHERE expense_date BETWEEN $1 AND $2
+       GROUP BY category ORDER BY total DESC`,
+      [toDateString(period.from), toDateString(period.to)]
+    )
+  ]);
+
+  const casesByWeek = new Map(cases.rows.map(row => [row.week, row]));
+  const runsByWeek = new Map(runs.rows.map(row => [row.week, row]));
+
+  const weekly = [];
+  for (const week of weeks) {
+    const row = casesByWeek.get(week) || {};
+    const run = runsByWeek.get(week);
+    let payroll = 0;
+    let payrollStatus = 'a venir';
+
+    if (run) {
+      payroll = run.total_amount;
+      payrollStatus = run.status;
+    } else if (week <= currentWeek) {
+      // Pas encore de paie validee : estimation a partir des affaires de la semaine,
+      // limitee aux employes deja embauches a cette date
+      const payslips = await computePayslips(week, db);
+      payroll = payslips.reduce((sum, payslip) => sum + payslip.total, 0);
+      payrollStatus = 'estimation';
+    }
+
+    weekly.push({
+      week,
+      total_cases: parseInt(row.total_cases) || 0,
+      revenue: parseInt(row.revenue) || 0,
+      case_expenses: parseInt(row.case_expenses) || 0,
+      payroll,
+      payroll_status: payrollStatus
+    });
+  }
+
+  const overheadByCategory = overhead.rows.map(row => ({
+    category: row.category,
+    count: parseInt(row.count),
+    total: parseInt(row.total)
+  }));
+
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+  const revenue = sum(weekly, 'revenue');
+  const caseExpenses = sum(weekly, 'case_expenses');
+  const payroll = sum(weekly, 'payroll');
+  const overheadTotal = sum(overheadByCategory, 'total');
+  // Les frais d'affaires sont avances par le cabinet puis deduits des fiches de paie :
+  // on les retire du CA et la paie (deja nette de ces frais) est comptee en charge
+  const netProfit = revenue - caseExpenses - payroll - overheadTotal;
+
+  return {
+    period: {
+      type: period.type,
+      label: period.label,
+      from: toDateString(period.from),
+      to: toDateString(period.to),
+      weeks
+    },
+    totals: {
+      revenue,
+      case_expenses: caseExpenses,
+      payroll,
+      overhead: overheadTotal,
+      net_profit: netProfit,
+      margin: revenue ? Math.round((netProfit / revenue) * 1000) / 10 : null
+    },
+    payroll_estimated: weekly.some(week => week.payroll_status === 'estimation'),
+    weeks: weekly,
+    overhead_by_category: overheadByCategory,
+    generated_at: new Date().toISOString()
+  };
+};
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatEuros = (amount) => `${amount.toLocaleString('fr-FR')} €`;
+
+const PAYROLL_STATUS_LABELS = {
+  approuve: 'Approuvée',
+  paye: 'Payée',
+  estimation: 'Estimation',
+  'a venir': 'À venir'
+};
+
+const renderFinancialReportHtml = (report) => `<!DOCTYPE html>
+<html lang="fr">
+<head>
+  <meta charset="UTF-8">
+  <title>Rapport financier - ${escapeHtml(report.period.label)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; margin: 30px; }
+    h1 { color: #2c3e50; margin-bottom: 5px; }
+    .meta { color: #666; margin-bottom: 25px; }
+    .totals { display: flex; gap: 15px; margin-bottom: 25px; }
+    .total { flex: 1; border: 1px solid #ddd; border-top: 4px solid #667eea; border-radius: 6px; padding: 15px; text-align: center; }
+    .total strong { display: block; font-size: 1.5em; margin-bottom: 5px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 25px; }
+    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+    th { background: #f8f9fa; }
+    td.amount { text-align: right; }
+    .note { color: #856404; background: #fff3cd; padding: 10px; border-radius: 6px; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <button class="no-print" onclick="window.print()">🖨️ Imprimer</button>
+  <h1>⚖️ Rapport financier</h1>
+  <div class="meta">${escapeHtml(report.period.label)} (du ${report.period.from} au ${report.period.to}) - généré le ${new Date(report.generated_at).toLocaleString('fr-FR')}</div>
+
+  <div class="totals">
+    <div class="total"><strong>${formatEuros(report.totals.revenue)}</strong>CA Total</div>
+    <div class="total"><strong>${formatEuros(report.totals.payroll)}</strong>Salaires & Charges</div>
+    <div class="total"><strong>${formatEuros(report.totals.overhead)}</strong>Frais Généraux</div>
+    <div class="total"><strong>${formatEuros(report.totals.net_profit)}</strong>Bénéfice Net${report.totals.margin !== null ? ` (${report.totals.margin}%)` : ''}</div>
+  </div>
+
+  <h2>Détail par semaine</h2>
+  <table>
+    <thead>
+      <tr><th>Semaine</th><th>Affaires</th><th>CA</th><th>Frais d'affaires</th><th>Paie</th><th>Statut paie</th></tr>
+    </thead>
+    <tbody>
+      ${report.weeks.map(week => `
+      <tr>
+        <td>${week.week}</td>
+        <td>${week.total_cases}</td>
+        <td class="amount">${formatEuros(week.revenue)}</td>
+        <td class="amount">${formatEuros(week.case_expenses)}</td>
+        <td class="amount">${formatEuros(week.payroll)}</td>
+        <td>${PAYROLL_STATUS_LABELS[week.payroll_status] || week.payroll_status}</td>
+      </tr>`).join('') || '<tr><td colspan="6">Aucune semaine dans la période</td></tr>'}
+    </tbody>
+  </table>
+
+  <h2>Frais généraux par catégorie</h2>
+  <table>
+    <thead>
+      <tr><th>Catégorie</th><th>Écritures</th><th>Total</th></tr>
+    </thead>
+    <tbody>
+      ${report.overhead_by_category.map(row => `
+      <tr>
+        <td>${escapeHtml(row.category)}</td>
+        <td>${row.count}</td>
+        <td class="amount">${formatEuros(row.total)}</td>
+      </tr>`).join('') || '<tr><td colspan="3">Aucun frais général sur la période</td></tr>'}
+    </tbody>
+  </table>
+
+  ${report.payroll_estimated ? '<p class="note">Certaines semaines n\'ont pas encore de paie approuvée : leur coût salarial est estimé à partir des affaires saisies.</p>' : ''}
+</body>
+</html>`;
+
+app.get('/api/reports/financial', authenticateToken, authorize('reports:read'), async (req, res) => {
+  try {
+    const period = resolveReportPeriod(req.query);
+
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+
+    const report = await buildFinancialReport(period);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderFinancialReportHtml(report));
+    }
+
+    res.json(report);
+  } catch (error) {
+    handleDbError(error, res);
+  }
+});
+
+// Routes API - Export des donnees
+// Chaque jeu de donnees : colonnes exportees et requete filtree sur la periode (bornes incluses).
+// Les affaires et la paie etant saisies par semaine, elles sont filtrees par semaines (cf. weeksInPeriod).
+const EXPORT_DATASETS = {
+  clients: {
+    label: 'Clients',
+    columns: [
+      { key: 'id', header: 'ID' },
+      { key: 'nom', header: 'Nom' },
+      { key: 'prenom', header: 'Prénom' },
+      { key: 'email', header: 'Email' },
+      { key: 'telephone', header: 'Téléphone' },
+      { key: 'adresse', header: 'Adresse' },
+      { key: 'date_naissance', header: 'Date de naissance', type: 'date' },
+      { key: 'profession', header: 'Profession' },
+      { key: 'created_at', header: 'Créé le', type: 'datetime' }
+    ],
+    // Les clients et dossiers de la corbeille ne sont pas exportes
+    query: (range) => ({
+      text: `SELECT * FROM clients
+             WHERE deleted_at IS NULL
+               AND ($1::timestamp IS NULL OR created_at >= $1::timestamp)
+               AND ($2::timestamp IS NULL OR created_at < $2::timestamp + INTERVAL '1 day')
+             ORDER BY id`,
+      params: [range.from, range.to]
+    })
+  },
+  dossiers: {
+    label: 'Dossiers',
+    columns: [
+      { key: 'id', header: 'ID' },
+      { key: 'numero_dossier', header: 'Numéro' },
+      { key: 'titre', header: 'Titre' },
+      { key: 'client', header: 'Client' },
+      { key: 'type_affaire', header: "Type d'affaire" },
+      { key: 'statut', header: 'Statut' },
+      { key: 'priorite', header: 'Priorité' },
+      { key: 'avocat_responsable', header: 'Avocat responsable' },
+      { key: 'date_ouverture', header: 'Ouverture', type: 'date' },
+      { key: 'date_fermeture', header: 'Fermeture', type: 'date' }
+    ],
+    query: (range) => ({
+      text: `SELECT d.*, CONCAT(c.nom, ' ', c.prenom) AS client
+             FROM dossiers d LEFT JOIN clients c ON d.client_id = c.id
+             WHERE d.deleted_at IS NULL
+               AND ($1::date IS NULL OR d.date_ouverture >= $1::date) AND ($2::date IS NULL OR d.date_ouverture <= $2::date)
+             ORDER BY d.id`,
+      params: [range.from, range.to]
+    })
+  },
+  rendez_vous: {
+    label: 'Rendez-vous',
+    columns: [
+      { key: 'id', header: 'ID' },
+      { key: 'date_rdv', header: 'Date', type: 'datetime' },
+      { key: 'titre', header: 'Titre' },
+      { key: 'client', header: 'Client' },
+      { key: 'numero_dossier', header: 'Dossier' },
+      { key: 'duree', header: 'Durée (min)' },
+      { key: 'lieu', header: 'Lieu' },
+      { key: 'statut', header: 'Statut' }
+    ],
+    query: (range) => ({
+      text: `SELECT r.*, CONCAT(c.nom, ' ', c.prenom) AS client, d.numero_dossier
+             FROM rendez_vous r
+             LEFT JOIN clients c ON r.client_id = c.id
+             LEFT JOIN dossiers d ON r.dossier_id = d.id
+             WHERE ($1::timestamp IS NULL OR r.date_rdv >= $1::timestamp)
+               AND ($2::timestamp IS NULL OR r.date_rdv < $2::timestamp + INTERVAL '1 day')
+             ORDER BY r.date_rdv`,
+      params: [range.from, range.to]
+    })
+  },
+  cases: {
+    label: 'Affaires',
+    columns: [
+      { key: 'id', header: 'ID' },
+      { key: 'week', header: 'Semaine' },
+      { key: 'client', header: 'Client' },
+      { key: 'type', header: 'Type' },
+      { key: 'lawyer', header: 'Avocat' },
+      { key: 'hours', header: 'Heures', type: 'number' },
+      { key: 'honoraires', header: 'Honoraires (€)' },
+      { key: 'commission', header: 'Commission (%)' },
+      { key: 'frais', header: 'Frais (€)' },
+      { key: 'status', header: 'Statut' },
+      { key: 'description', header: 'Description' }
+    ],
+    query: (range) => ({
+      text: `SELECT * FROM cases
+             WHERE ($1::text IS NULL OR week >= $1::text) AND ($2::text IS NULL OR week <= $2::text)
+             ORDER BY week, id`,
+      params: [range.firstWeek, range.lastWeek]
+    })
+  },
+  employees: {
+    label: 'Employés',
+    columns: [
+      { key: 'id', header: 'ID' },
+      { key: 'name', header: 'Nom' },
+      { key: 'role', header: 'Rôle' },
+      { key: 'salary', header: 'Salaire (€)' },
+      { key: 'commission', header: 'Commission (%)' },
+      { key: 'hire_date', header: "Date d'embauche", type: 'date' },
+      { key: 'status', header: 'Statut' }
+    ],
+    // Referentiel : toujours exporte en entier
+    query: () => ({ text: 'SELECT * FROM employees ORDER BY name', params: [] })
+  },
+  payroll: {
+    label: 'Paie',
+    columns: [
+      { key: 'week', header: 'Semaine' },
+      { key: 'run_status', header: 'Statut paie' },
+      { key: 'employee_name', header: 'Employé' },
+      { key: 'employee_role', header: 'Rôle' },
+      { key: 'base_salary', header: 'Salaire de base (€)' },
+      { key: 'commission_rate', header: 'Commission (%)' },
+      { key: 'cases_handled', header: 'Affaires' },
+      { key: 'revenue_generated', header: 'CA généré (€)' },
+      { key: 'commission_amount', header: 'Commission (€)' },
+      { key: 'deductions', header: 'Déductions (€)' },
+      { key: 'total', header: 'Total (€)' }
+    ],
+    query: (range) => ({
+      text: `SELECT r.week, r.status AS run_status, p.*
+             FROM payslips p JOIN payroll_runs r ON p.payroll_run_id = r.id
+             WHERE ($1::text IS NULL OR r.week >= $1::text) AND ($2::text IS NULL OR r.week <= $2::text)
+             ORDER BY r.week, r.id, p.employee_name`,
+      params: [range.firstWeek, range.lastWeek]
+    })
+  },
+  expenses: {
+    label: 'Frais généraux',
+    columns: [
+      { key: 'id', header: 'ID' },
+      { key: 'expense_date', header: 'Date', type: 'date' },
+      { key: 'category', header: 'Catégorie' },
+      { key: 'amount', header: 'Montant (€)' },
+      { key: 'numero_dossier', header: 'Dossier' },
+      { key: 'employee_name', header: 'Employé' },
+      { key: 'description', header: 'Description' },
+      { key: 'receipt_name', header: 'Justificatif' }
+    ],
+    query: (range) => ({
+      text: `${EXPENSE_SELECT}
+             WHERE ($1::date IS NULL OR x.expense_date >= $1::date) AND ($2::date IS NULL OR x.expense_date <= $2::date)
+             ORDER BY x.expense_date, x.id`,
+      params: [range.from, range.to]
+    })
+  }
+};
+
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const pad2 = (value) => String(value).padStart(2, '0');
+
+// Dates au fuseau du serveur (celui utilise par pg pour les colonnes DATE)
+const formatExportValue = (value, type) => {
+  if (value == null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    const date = `${value.getFullYear()}-${pad2(value.getMonth() + 1)}-${pad2(value.getDate())}`;
+    return type === 'date' ? date : `${date} ${pad2(value.getHours())}:${pad2(value.getMinutes())}`;
+  }
+  return value;
+};
+
+// CSV pour Excel en France : separateur point-virgule, champs entre guillemets si necessaire
+const toCsvLine = (values) => values.map(value => {
+  const text = String(value);
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(';') + '\r\n';
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Lecture par lots via un curseur : la memoire reste bornee quelle que soit la periode exportee
+const forEachExportBatch = async (db, query, onBatch) => {
+  const cursor = db.query(new Cursor(query.text, query.params));
+
+  try {
+    let rows = await cursor.read(EXPORT_BATCH_SIZE);
+    while (rows.length > 0) {
+      await onBatch(rows);
+      rows = await cursor.read(EXPORT_BATCH_SIZE);
+    }
+  } finally {
+    await cursor.close();
+  }
+};
+
+// Contre-pression : attend que le client ait vide le tampon avant de lire le lot suivant
+const writeExportChunk = (res, chunk) => {
+  if (res.destroyed) {
+    return Promise.reject(new Error('Export interrompu par le client'));
+  }
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+app.get('/api/export', authenticateToken, authorize('export:run'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const datasets = (req.query.datasets || Object.keys(EXPORT_DATASETS).join(','))
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    const { from, to } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: 'Format invalide (csv, json ou xlsx)' });
+    }
+
+    if (datasets.length === 0 || datasets.some(name => !EXPORT_DATASETS[name])) {
+      return res.status(400).json({ error: `Donnees invalides (${Object.keys(EXPORT_DATASETS).join(', ')})` });
+    }
+
+    // La paie reste reservee aux roles qui peuvent la consulter
+    if (datasets.includes('payroll') && !hasPermission(req.user.role, 'payroll:read')) {
+      return res.status(403).json({ error: 'Acces refuse : export de la paie non autorise' });
+    }
+
+    if (format === 'csv' && datasets.length > 1) {
+      return res.status(400).json({ error: 'Le format CSV exporte un seul jeu de donnees a la fois' });
+    }
+
+    if ((from && !DATE_FORMAT.test(from)) || (to && !DATE_FORMAT.test(to)) || (from && to && from > to)) {
+      return res.status(400).json({ error: 'Periode invalide (format YYYY-MM-DD)' });
+    }
+
+    // Semaines couvertes par la periode (semaine du jour de debut / de fin)
+    const range = {
+      from: from || null,
+      to: to || null,
+      firstWeek: from ? getWeekKey(new Date(`${from}T00:00:00`)) : null,
+      lastWeek: to ? getWeekKey(new Date(`${to}T00:00:00`)) : null
+    };
+
+    const filename = `export_${datasets.length === 1 ? datasets[0] : 'cabinet'}_${from || 'debut'}_${to || toDateString(new Date())}`;
+    const db = await pool.connect();
+
+    try {
+      // Chaque jeu de donnees est lu par lots et ecrit au fur et a mesure
+      const eachBatch = (name, onBatch) => forEachExportBatch(db, EXPORT_DATASETS[name].query(range), onBatch);
+
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+      if (format === 'csv') {
+        const dataset = EXPORT_DATASETS[datasets[0]];
+
+        res.type('text/csv; charset=utf-8');
+        // BOM UTF-8 pour qu'Excel detecte l'encodage
+        await writeExportChunk(res, '\uFEFF' + toCsvLine(dataset.columns.map(column => column.header)));
+        await eachBatch(datasets[0], rows => writeExportChunk(res, rows.map(row => (
+          toCsvLine(dataset.columns.map(column => formatExportValue(row[column.key], column.type)))
+        )).join('')));
+        return res.end();
+      }
+
+      if (format === 'xlsx') {
+        res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+
+        for (const name of datasets) {
+          const dataset = EXPORT_DATASETS[name];
+          const sheet = workbook.addWorksheet(dataset.label);
+
+          sheet.columns = dataset.columns.map(column => ({
+            header: column.header,
+            key: column.key,
+            width: Math.max(12, column.header.length + 2),
+            style: column.type === 'date' ? { numFmt: 'dd/mm/yyyy' } : column.type === 'datetime' ? { numFmt: 'dd/mm/yyyy hh:mm' } : {}
+          }));
+          sheet.getRow(1).font = { bold: true };
+          sheet.getRow(1).commit();
+
+          await eachBatch(name, async rows => {
+            rows.forEach(row => {
+              sheet.addRow(dataset.columns.reduce((values, column) => {
+                const value = row[column.key];
+                values[column.key] = column.type === 'number' && value != null ? Number(value) : value;
+                return values;
+              }, {})).commit();
+            });
+          });
+          sheet.commit();
+        }
+
+        return await workbook.commit();
+      }
+
+      // JSON : un tableau par jeu de donnees, ecrit lot par lot
+      res.type('application/json; charset=utf-8');
+      await writeExportChunk(res, `{"exported_at":${JSON.stringify(new Date().toISOString())},"period":${JSON.stringify({ from: range.from, to: range.to })}`);
+      for (const name of datasets) {
+        let first = true;
+        await writeExportChunk(res, `,${JSON.stringify(name)}:[`);
+        await eachBatch(name, rows => {
+          const chunk = (first ? '' : ',') + rows.map(row => JSON.stringify(row)).join(',');
+          first = false;
+          return writeExportChunk(res, chunk);
+        });
+        await writeExportChunk(res, ']');
+      }
+      res.end('}');
+    } finally {
+      db.release();
+    }
+  } catch (error) {
+    // Une erreur en cours de flux ne peut plus changer le statut : on coupe la reponse
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Routes API - Import de donnees
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// CSV (RFC 4180) : separateur ; ou , detecte sur la ligne d'en-tete, guillemets doubles, BOM ignore
+const parseCsv = (content) => {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [headers = [], ...lines] = records.filter(line => line.some(value => value.trim() !== ''));
+  const columns = headers.map(header => header.trim());
+  return {
+    columns,
+    rows: lines.map(line => columns.reduce((row, column, index) => {
+      row[column] = line[index] !== undefined ? line[index].trim() : '';
+      return row;
+    }, {}))
+  };
+};
+
+// JSON : tableau d'objets, ou objet issu de /api/export ({ clients: [...] })
+const parseJsonImport = (content, entity) => {
+  const data = typeof content === 'string' ? JSON.parse(content.replace(/^\uFEFF/, '')) : content;
+  const rows = Array.isArray(data) ? data : data && data[entity];
+
+  if (!Array.isArray(rows)) {
+    throw new Error(`Tableau "${entity}" introuvable`);
+  }
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+  return { columns, rows };
+};
+
+const normalizeColumn = (name) => String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toImportDate = (value) => {
+  const french = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(value);
+  const iso = french ? `${french[3]}-${french[2]}-${french[1]}` : value;
+  return DATE_FORMAT.test(iso) && !isNaN(new Date(`${iso}T00:00:00Z`).getTime()) ? iso : null;
+};
+
+// Montants saisis a la francaise : "2 500 €", "1500,50"
+const toImportNumber = (value) => {
+  const number = Number(String(value).replace(/[\s€%]/g, '').replace(',', '.'));
+  return isNaN(number) ? null : number;
+};
+
+// Champs importables construits depuis le schema de l'API (types, longueurs, valeurs autorisees) :
+// un libelle seul reprend le champ du schema, un objet decrit un champ propre a l'import.
+// Le libelle sert aussi a reconnaitre les colonnes des exports.
+const importFields = (schema, fields) => Object.fromEntries(Object.entries(fields).map(([key, field]) => [
+  key,
+  typeof field === 'string' ? { ...schema[key], label: field } : field
+]));
+
+// Champs importables par entite
+const IMPORT_ENTITIES = {
+  clients: {
+    permission: 'clients:write',
+    fields: importFields(CLIENT_SCHEMA, {
+      nom: 'Nom',
+      prenom: 'Prénom',
+      email: 'Email',
+      telephone: 'Téléphone',
+      adresse: 'Adresse',
+      date_naissance: 'Date de naissance',
+      profession: 'Profession',
+      notes: 'Notes'
+    }),
+    loadContext: async (db) => {
+      const result = await db.query('SELECT LOWER(email) AS email, LOWER(nom) AS nom, LOWER(prenom) AS prenom FROM clients');
+      return {
+        emails: new Set(result.rows.filter(row => row.email).map(row => row.email)),
+        names: new Set(result.rows.map(row => `${row.nom}|${row.prenom}`))
+      };
+    },
+    findDuplicate: (row, context) => {
+      const email = row.email && row.email.toLowerCase();
+      const name = `${row.nom.toLowerCase()}|${row.prenom.toLowerCase()}`;
+
+      if (email && context.emails.has(email)) {
+        return `Email deja utilise (${row.email})`;
+      }
+      if (context.names.has(name)) {
+        return `Client deja present (${row.nom} ${row.prenom})`;
+      }
+      if (email) {
+        context.emails.add(email);
+      }
+      context.names.add(name);
+      return null;
+    },
+    insert: (row, db) => db.query(
+      `INSERT INTO clients (nom, prenom, email, telephone, adresse, date_naissance, profession, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [row.nom, row.prenom, row.email, row.telephone, row.adresse, row.date_naissance, row.profession, row.notes]
+    )
+  },
+  dossiers: {
+    permission: 'dossiers:write',
+    fields: importFields(DOSSIER_SCHEMA, {
+      numero_dossier: 'Numéro',
+      titre: 'Titre',
+      client_id: 'Client ID',
+      client_email: { label: 'Email client', type: 'email', max: 100 },
+      description: 'Description',
+      type_affaire: "Type d'affaire",
+      statut: 'Statut',
+      priorite: 'Priorité',
+      avocat_responsable: 'Avocat responsable',
+      date_ouverture: { label: 'Ouverture', type: 'date' }
+    }),
+    loadContext: async (db) => {
+      const [dossiers, clients] = await Promise.all([
+        db.query('SELECT numero_dossier FROM dossiers'),
+        db.query('SELECT id, LOWER(email) AS email FROM clients WHERE deleted_at IS NULL')
+      ]);
+      return {
+        numeros: new Set(dossiers.rows.map(row => row.numero_dossier)),
+        clientIds: new Set(clients.rows.map(row => row.id)),
+        clientsByEmail: new Map(clients.rows.filter(row => row.email).map(row => [row.email, row.id]))
+      };
+    },
+    // Le client est designe par son ID ou par son email
+    resolve: (row, context) => {
+      if (row.client_id != null && !context.clientIds.has(row.client_id)) {
+        return `Client ${row.client_id} inexistant`;
+      }
+      if (row.client_id == null && row.client_email) {
+        const clientId = context.clientsByEmail.get(row.client_email.toLowerCase());
+        if (!clientId) {
+          return `Aucun client avec l'email ${row.client_email}`;
+        }
+        row.client_id = clientId;
+      }
+      return null;
+    },
+    findDuplicate: (row, context) => {
+      if (context.numeros.has(row.numero_dossier)) {
+        return `Numero de dossier deja utilise (${row.numero_dossier})`;
+      }
+      context.numeros.add(row.numero_dossier);
+      return null;
+    },
+    insert: (row, db) => db.query(
+      `INSERT INTO dossiers (numero_dossier, client_id, titre, description, type_affaire, statut, priorite, avocat_responsable, date_ouverture)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6, 'ouvert'), COALESCE($7, 'normale'), $8, COALESCE($9, CURRENT_DATE)) RETURNING *`,
+      [row.numero_dossier, row.client_id, row.titre, row.description, row.type_affaire,
+        row.statut, row.priorite, row.avocat_responsable, row.date_ouverture]
+    )
+  },
+  cases: {
+    permission: 'cases:write',
+    fields: importFields(CASE_SCHEMA, {
+      client: 'Client',
+      type: 'Type',
+      lawyer: 'Avocat',
+      week: 'Semaine',
+      hours: 'Heures',
+      honoraires: 'Honoraires (€)',
+      commission: 'Commission (%)',
+      frais: 'Frais (€)',
+      status: 'Statut',
+      description: 'Description'
+    }),
+    loadContext: async (db) => {
+      const lawyers = await db.query("SELECT name FROM employees WHERE status <> 'Inactif'");
+      return { closedWeeks: new Map(), lawyers: new Set(lawyers.rows.map(row => row.name)) };
+    },
+    // Memes regles que POST /api/cases : semaine ouverte, avocat actif, service du catalogue, tarification
+    resolve: async (row, context, db) => {
+      row.week = row.week || getWeekKey();
+
+      if (!context.closedWeeks.has(row.week)) {
+        context.closedWeeks.set(row.week, await isWeekClosed(row.week, db));
+      }
+      if (context.closedWeeks.get(row.week)) {
+        return `Semaine ${row.week} cloturee`;
+      }
+      if (!context.lawyers.has(row.lawyer)) {
+        return `Avocat inconnu ou inactif (${row.lawyer})`;
+      }
+
+      const quote = await priceCase(row.type, row.hours, db);
+      if (!quote) {
+        return `Type de service inconnu (${row.type})`;
+      }
+
+      row.honoraires = row.honoraires != null ? row.honoraires : quote.honoraires;
+      row.commission = row.commission != null ? row.commission : quote.commission;
+      row.service_price_id = quote.service_price_id;
+
+      if (row.honoraires == null) {
+        return 'Heures requises pour un service au tarif horaire';
+      }
+      return null;
+    },
+    findDuplicate: () => null,
+    // Dans la transaction : une semaine cloturee depuis la verification annule l'import
+    beforeInsert: async (rows, db) => {
+      const weeks = [...new Set(rows.map(row => row.week))].sort();
+      for (const week of weeks) {
+        await lockWeek(week, db);
+        if (await isWeekClosed(week, db)) {
+          return `Semaine ${week} cloturee`;
+        }
+      }
+      return null;
+    },
+    insert: (row, db) => db.query(
+      `INSERT INTO cases (client, type, lawyer, honoraires, frais, status, description, week, hours, commission, service_price_id)
+       VALUES ($1, $2, $3, $4, COALESCE($5, 0), COALESCE($6, 'En cours'), $7, $8, $9, $10, $11) RETURNING *`,
+      [row.client, row.type, row.lawyer, row.honoraires, row.frais, row.status, row.description,
+        row.week, row.hours, row.commission, row.service_price_id]
+    )
+  }
+};
+
+// Correspondance champ -> colonne du fichier : mapping fourni, sinon colonne de meme nom ou libelle
+const resolveImportMapping = (entity, columns, mapping = {}) => {
+  const byName = new Map(columns.map(column => [normalizeColumn(column), column]));
+
+  return Object.entries(entity.fields).reduce((resolved, [key, field]) => {
+    const column = mapping[key] || byName.get(normalizeColumn(key)) || byName.get(normalizeColumn(field.label));
+    if (column && columns.includes(column)) {
+      resolved[key] = column;
+    }
+    return resolved;
+  }, {});
+};
+
+// Convertit une ligne source en enregistrement type ; retourne les erreurs par champ
+const mapImportRow = (entity, mapping, source) => {
+  const row = {};
+  const errors = [];
+
+  Object.entries(entity.fields).forEach(([key, field]) => {
+    const raw = mapping[key] ? source[mapping[key]] : undefined;
+    const value = raw == null ? '' : String(raw).trim();
+
+    if (value === '') {
+      row[key] = null;
+      if (field.required) {
+        errors.push({ field: key, error: `${field.label} requis` });
+      }
+      return;
+    }
+
+    // Formats francais ramenes au format de l'API, puis memes controles que validateBody
+    let normalized = value;
+    if (field.type === 'date') {
+      normalized = toImportDate(value) || value;
+    } else if (field.type === 'number' || field.type === 'integer') {
+      const number = toImportNumber(value);
+      normalized = number == null ? value : field.type === 'integer' ? Math.round(number) : number;
+    }
+
+    const checked = checkField(field, normalized);
+    if (checked.error) {
+      row[key] = value;
+      errors.push({ field: key, error: checked.error });
+    } else {
+      row[key] = checked.value;
+    }
+  });
+
+  return { row, errors };
+};
+
+const IMPORT_OPTIONS_SCHEMA = {
+  format: { label: 'Format', values: ['csv', 'json'] },
+  dry_run: { label: 'Simulation', type: 'boolean' },
+  skip_invalid: { label: 'Ignorer les lignes en erreur', type: 'boolean' }
+};
+
+// POST /api/import/:entity (multipart "file" ou JSON { content | rows }) avec :
+// - format : csv ou json (deduit de l'extension du fichier par defaut)
+// - mapping : { champ: "Colonne du fichier" } (objet ou chaine JSON)
+// - dry_run : true par defaut, rien n'est ecrit tant que dry_run=false n'est pas envoye
+// - skip_invalid : importer les lignes valides meme si d'autres sont en erreur
+app.post('/api/import/:entity', authenticateToken, authorize('import:run'), importUpload.single('file'), validateBody(IMPORT_OPTIONS_SCHEMA), async (req, res) => {
+  const entity = IMPORT_ENTITIES[req.params.entity];
+
+  if (!entity) {
+    return res.status(404).json({ error: `Import disponible pour : ${Object.keys(IMPORT_ENTITIES).join(', ')}` });
+  }
+
+  if (!hasPermission(req.user.role, entity.permission)) {
+    return res.status(403).json({ error: 'Acces refuse : permissions insuffisantes' });
+  }
+
+  const dryRun = req.body.dry_run !== false;
+  const skipInvalid = req.body.skip_invalid === true;
+  let parsed;
+  let mapping;
+  let format;
+
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : (req.body.rows || req.body.content);
+    format = req.body.format
+      || (req.file && /\.json$/i.test(req.file.originalname) ? 'json' : null)
+      || (req.body.rows ? 'json' : 'csv');
+
+    if (!content) {
+      return res.status(400).json({ error: 'Fichier ou contenu a importer requis' });
+    }
+
+    parsed = format === 'json' ? parseJsonImport(content, req.params.entity) : parseCsv(content);
+    mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping || '{}') : (req.body.mapping || {});
+  } catch (error) {
+    return res.status(400).json({ error: `Fichier illisible : ${error.message}` });
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.values(mapping).some(column => typeof column !== 'string')) {
+    return sendValidationErrors(res, [{ field: 'mapping', error: 'Correspondance des colonnes invalide' }]);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const appliedMapping = resolveImportMapping(entity, parsed.columns, mapping);
+    const context = await entity.loadContext(client);
+    const report = [];
+
+    for (const [index, source] of parsed.rows.entries()) {
+      // Numero de ligne du fichier (la ligne 1 d'un CSV est l'en-tete), rang de l'element en JSON
+      const line = format === 'json' ? index + 1 : index + 2;
+      const { row, errors } = mapImportRow(entity, appliedMapping, source);
+
+      if (errors.length === 0 && entity.resolve) {
+        const error = await entity.resolve(row, context, client);
+        if (error) errors.push({ error });
+      }
+
+      const duplicate = errors.length === 0 ? entity.findDuplicate(row, context) : null;
+      report.push({
+        line,
+        status: errors.length ? 'error' : duplicate ? 'duplicate' : 'valid',
+        errors: duplicate ? [{ error: duplicate }] : errors,
+        data: row
+      });
+    }
+
+    const summary = {
+      entity: req.params.entity,
+      dry_run: dryRun,
+      fields: Object.keys(entity.fields),
+      columns: parsed.columns,
+      mapping: appliedMapping,
+      total: report.length,
+      valid: report.filter(row => row.status === 'valid').length,
+      errors: report.filter(row => row.status === 'error').length,
+      duplicates: report.filter(row => row.status === 'duplicate').length,
+      inserted: 0,
+      rows: report
+    };
+
+    if (dryRun) {
+      return res.json(summary);
+    }
+
+    if (summary.errors > 0 && !skipInvalid) {
+      return res.status(422).json({ ...summary, error: 'Lignes en erreur : corrigez le fichier ou utilisez skip_invalid' });
+    }
+
+    // Tout ou rien : une erreur d'insertion annule l'import complet
+    await client.query('BEGIN');
+    const validRows = report.filter(item => item.status === 'valid');
+    const rejection = entity.beforeInsert ? await entity.beforeInsert(validRows.map(item => item.data), client) : null;
+    if (rejection) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ ...summary, error: `${rejection}, aucune ligne importee` });
+    }
+    for (const row of validRows) {
+      const result = await entity.insert(row.data, client);
+      await recordAudit(client, req, { entity: req.params.entity, entityId: result.rows[0].id, action: 'create', after: result.rows[0] });
+    }
+    await client.query('COMMIT');
+
+    res.status(201).json({ ...summary, inserted: summary.valid });
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Doublon detecte pendant l\'import, aucune ligne importee' });
+    }
+    handleDbError(error, res);
+  } finally {
+    client.release();
+  }
+});
+
+// Interface de comptabilite (public/index.html)
+app.use(express.static(path.join(__dirname, 'public'), { index: false }));
+
+// Route principale avec HTML integre
+app.get('/', (req, res) => {
+  res.send(`<!DOCTYPE html>
+<html lang="fr">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Cabinet d'Avocats - GTA5 RP</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { 
+            font-family: 'Segoe UI', sans-serif; 
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+            min-height: 100vh; 
+        }
         .container { 
             background: white; 
-            margin: 20px auto; 
-            border-radius: 15px; 
-            box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1); 
-            width: 95%; 
-            max-width: 1200px; 
-            overflow: hidden; 
+            margin: 20px auto; 
+            border-radius: 15px; 
+            box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1); 
+            width: 95%; 
+            max-width: 1200px; 
+            overflow: hidden; 
+        }
+        .login-container { 
+            padding: 3rem; 
+            text-align: center; 
+            min-height: 100vh; 
+            display: flex; 
+            align-items: center; 
+            justify-content: center; 
+        }
+        .login-box { 
+            background: white; 
+            padding: 3rem; 
+            border-radius: 15px; 
+            box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1); 
+            width: 100%; 
+            max-width: 400px; 
+        }
+        .logo { margin-bottom: 2rem; }
+        .logo h1 { color: #2d3748; font-size: 2rem; margin-bottom: 0.5rem; }
+        .logo p { color: #718096; font-size: 1rem; }
+        .form-group { margin-bottom: 1.5rem; text-align: left; }
+        label { display: block; margin-bottom: 0.5rem; color: #2d3748; font-weight: 500; }
+        input, select, textarea { 
+            width: 100%; 
+            padding: 0.75rem; 
+            border: 2px solid #e2e8f0; 
+            border-radius: 8px; 
+            font-size: 1rem; 
+            transition: border-color 0.3s; 
+        }
+        input:focus, select:focus, textarea:focus { outline: none; border-color: #667eea; }
+        input.invalid, select.invalid, textarea.invalid { border-color: #e53e3e; }
+        .field-error { color: #e53e3e; font-size: 0.85rem; margin-top: 0.25rem; }
+        .btn { 
+            padding: 0.75rem 1.5rem; 
+            border: none; 
+            border-radius: 8px; 
+            font-size: 1rem; 
+            font-weight: 600; 
+            cursor: pointer; 
+            transition: all 0.3s; 
+            text-decoration: none; 
+            display: inline-block; 
+            text-align: center; 
+        }
+        .btn-primary { 
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+            color: white; 
+            width: 100%; 
+        }
+        .btn-primary:hover { 
+            transform: translateY(-2px); 
+            box-shadow: 0 8px 15px rgba(102, 126, 234, 0.4); 
+        }
+        .btn-secondary { 
+            background: #f7fafc; 
+            color: #4a5568; 
+            border: 2px solid #e2e8f0; 
+        }
+        .btn-secondary:hover { background: #edf2f7; }
+        .btn-danger { background: #f56565; color: white; }
+        .btn-success { background: #48bb78; color: white; }
+        .btn-info { background: #4299e1; color: white; }
+        .btn-warning { background: #ed8936; color: white; }
+        .btn-sm { padding: 0.5rem 1rem; font-size: 0.875rem; }
+        .test-accounts { 
+            margin-top: 2rem; 
+            padding: 1rem; 
+            background: linear-gradient(135deg, #e6fffa 0%, #f0fff4 100%); 
+            border-radius: 8px; 
+            font-size: 0.9rem; 
+            color: #4a5568; 
+            border: 1px solid #81e6d9;
+        }
+        .test-accounts h3 { margin-bottom: 0.5rem; color: #2d3748; }
+        .dashboard { display: none; }
+        .dashboard.active { display: block; }
+        .navbar { 
+            background: linear-gradient(135deg, #2d3748 0%, #4a5568 100%); 
+            color: white; 
+            padding: 1.5rem; 
+            display: flex; 
+            justify-content: space-between; 
+            align-items: center; 
+            flex-wrap: wrap; 
+            gap: 1rem; 
+        }
+        .navbar h2 { margin: 0; font-size: 1.5rem; }
+        .nav-links { display: flex; gap: 0.5rem; flex-wrap: wrap; }
+        .nav-link { 
+            padding: 0.5rem 1rem; 
+            background: rgba(255,255,255,0.1); 
+            border: none; 
+            color: white; 
+            border-radius: 8px; 
+            cursor: pointer; 
+            font-size: 0.9rem; 
+            transition: all 0.3s; 
+        }
+        .nav-link:hover { 
+            background: rgba(255,255,255,0.2); 
+            transform: translateY(-1px); 
+        }
+        .nav-link.active { 
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+            box-shadow: 0 4px 12px rgba(102, 126, 234, 0.3);
+        }
+        .content { padding: 2rem; min-height: 600px; }
+        .section { display: none; }
+        .section.active { display: block; }
+        .section-header { 
+            display: flex; 
+            justify-content: space-between; 
+            align-items: center; 
+            margin-bottom: 2rem; 
+            flex-wrap: wrap; 
+            gap: 1rem; 
+        }
+        .section-header h2 { color: #2d3748; margin: 0; }
+        .stats { 
+            display: grid; 
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); 
+            gap: 1.5rem; 
+            margin-bottom: 2rem; 
+        }
+        .stat-card { 
+            background: linear-gradient(135deg, #fff 0%, #f8fafc 100%); 
+            padding: 2rem; 
+            border-radius: 12px; 
+            text-align: center; 
+            box-shadow: 0 4px 6px rgba(0,0,0,0.1); 
+            border: 1px solid #e2e8f0; 
+            transition: all 0.3s; 
+        }
+        .stat-card:hover { 
+            transform: translateY(-4px); 
+            box-shadow: 0 8px 25px rgba(0,0,0,0.15); 
+        }
+        .stat-card:nth-child(1) { border-left: 4px solid #48bb78; }
+        .stat-card:nth-child(2) { border-left: 4px solid #ed8936; }
+        .stat-card:nth-child(3) { border-left: 4px solid #4299e1; }
+        .stat-icon { font-size: 2.5rem; margin-bottom: 1rem; }
+        .stat-number { 
+            font-size: 2.5rem; 
+            font-weight: bold; 
+            margin-bottom: 0.5rem; 
+        }
+        .stat-card:nth-child(1) .stat-number { color: #48bb78; }
+        .stat-card:nth-child(2) .stat-number { color: #ed8936; }
+        .stat-card:nth-child(3) .stat-number { color: #4299e1; }
+        .stat-label { color: #718096; font-size: 0.9rem; font-weight: 500; }
+        .welcome-card { 
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+            color: white; 
+            padding: 2rem; 
+            border-radius: 12px; 
+            text-align: center; 
+            margin-bottom: 2rem; 
+            box-shadow: 0 8px 25px rgba(102, 126, 234, 0.3);
+        }
+        .welcome-icon { font-size: 3rem; margin-bottom: 1rem; }
+        .welcome-card h3 { margin-bottom: 1rem; font-size: 1.5rem; }
+        .welcome-card p { margin-bottom: 1.5rem; opacity: 0.9; }
+        .card { 
+            background: linear-gradient(135deg, #f8f9fa 0%, #ffffff 100%); 
+            padding: 2rem; 
+            border-radius: 12px; 
+            margin-bottom: 2rem; 
+            border: 1px solid #e2e8f0; 
+            box-shadow: 0 2px 4px rgba(0,0,0,0.05);
+        }
+        .card h3 { color: #2d3748; margin-bottom: 1.5rem; }
+        .form-row { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+        .form-actions { display: flex; gap: 1rem; margin-top: 2rem; flex-wrap: wrap; }
+        .data-list { max-height: 500px; overflow-y: auto; }
+        .data-item { 
+            background: linear-gradient(135deg, #fff 0%, #f8fafc 100%); 
+            padding: 1.5rem; 
+            border-radius: 8px; 
+            margin-bottom: 1rem; 
+            border-left: 4px solid #667eea; 
+            transition: all 0.3s; 
+            box-shadow: 0 2px 4px rgba(0,0,0,0.05);
+        }
+        .data-item:hover { 
+            transform: translateY(-2px); 
+            box-shadow: 0 4px 12px rgba(0,0,0,0.1); 
+            border-left-color: #764ba2;
+        }
+        .data-item-header { 
+            display: flex; 
+            justify-content: space-between; 
+            align-items: center; 
+            margin-bottom: 0.5rem; 
+        }
+        .data-item-title { font-weight: bold; color: #2d3748; font-size: 1.1rem; }
+        .data-item-info { color: #718096; font-size: 0.9rem; line-height: 1.4; margin-bottom: 1rem; }
+        .data-item-actions { display: flex; gap: 0.5rem; }
+        .error { 
+            background: linear-gradient(135deg, #fed7d7 0%, #feb2b2 100%); 
+            color: #c53030; 
+            padding: 0.75rem; 
+            border-radius: 8px; 
+            margin-bottom: 1rem; 
+            border-left: 4px solid #e53e3e;
+        }
+        .success { 
+            background: linear-gradient(135deg, #c6f6d5 0%, #9ae6b4 100%); 
+            color: #2f855a; 
+            padding: 0.75rem; 
+            border-radius: 8px; 
+            margin-bottom: 1rem; 
+            border-left: 4px solid #38a169;
+        }
+        .loading { 
+            background: linear-gradient(135deg, #bee3f8 0%, #90cdf4 100%); 
+            color: #2b6cb0; 
+            padding: 0.75rem; 
+            border-radius: 8px; 
+            margin-bottom: 1rem; 
+            border-left: 4px solid #3182ce;
+        }
+        .modal { 
+            display: none; 
+            position: fixed; 
+            top: 0; 
+            left: 0; 
+            width: 100%; 
+            height: 100%; 
+            background: rgba(0,0,0,0.5); 
+            z-index: 1000; 
+        }
+        .modal.active { display: flex; align-items: center; justify-content: center; }
+        .modal-content { 
+            background: white; 
+            padding: 2rem; 
+            border-radius: 12px; 
+            width: 90%; 
+            max-width: 500px; 
+            max-height: 90vh; 
+            overflow-y: auto; 
+            box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
+        }
+        .modal-header { 
+            display: flex; 
+            justify-content: space-between; 
+            align-items: center; 
+            margin-bottom: 1.5rem; 
+        }
+        .modal-header h3 { margin: 0; color: #2d3748; }
+        .modal-content.modal-wide { max-width: 760px; }
+        .document-item { display: flex; justify-content: space-between; align-items: center; gap: 1rem; padding: 0.75rem 0; border-bottom: 1px solid #e2e8f0; }
+        .document-item:last-child { border-bottom: none; }
+        .document-meta { color: #718096; font-size: 0.85rem; }
+        .document-versions { margin: 0.5rem 0 0.5rem 1rem; padding-left: 1rem; border-left: 3px solid #e2e8f0; }
+        .document-search { display: flex; gap: 0.5rem; margin-bottom: 1rem; }
+        .document-search input { flex: 1; }
+        mark { background: #fbd38d; padding: 0 2px; }
+        .list-toolbar { display: flex; gap: 0.5rem; margin-bottom: 1rem; }
+        .list-toolbar input { flex: 1; }
+        .list-toolbar select { width: auto; }
+        .select-search { margin-bottom: 0.5rem; }
+        .global-search { position: relative; flex: 1; max-width: 420px; }
+        .global-search input { width: 100%; }
+        .search-results { display: none; position: absolute; top: 100%; left: 0; right: 0; margin-top: 4px; background: white; color: #2d3748; border-radius: 8px; box-shadow: 0 10px 25px rgba(0,0,0,0.2); max-height: 400px; overflow-y: auto; z-index: 1000; }
+        .search-results.active { display: block; }
+        .search-result { padding: 0.6rem 0.75rem; cursor: pointer; border-bottom: 1px solid #edf2f7; }
+        .search-result:hover, .search-result.selected { background: #edf2f7; }
+        .search-result .document-meta { display: block; }
+        .pagination { display: flex; justify-content: space-between; align-items: center; margin-top: 1rem; color: #718096; }
+        .notes-timeline { border-left: 3px solid #e2e8f0; margin: 1rem 0 1rem 0.5rem; padding-left: 1rem; }
+        .note-item { position: relative; padding: 0.75rem; margin-bottom: 0.75rem; background: #f7fafc; border-radius: 6px; }
+        .note-item::before { content: ''; position: absolute; left: -1.45rem; top: 1rem; width: 10px; height: 10px; border-radius: 50%; background: #4299e1; }
+        .note-item.note-pinned { background: #fffaf0; border: 1px solid #fbd38d; }
+        .note-content { white-space: pre-wrap; margin: 0.5rem 0; }
+        .close-btn { 
+            background: none; 
+            border: none; 
+            font-size: 1.5rem; 
+            cursor: pointer; 
+            color: #718096; 
+            transition: color 0.3s;
+        }
+        .close-btn:hover { color: #e53e3e; }
+        
+        .status-badge {
+            padding: 0.25rem 0.75rem;
+            border-radius: 12px;
+            font-size: 0.75rem;
+            font-weight: 600;
+            text-transform: uppercase;
+        }
+        .status-ouvert { background: #c6f6d5; color: #2f855a; }
+        .status-ferme { background: #fed7d7; color: #c53030; }
+        .status-en-cours { background: #fbd38d; color: #c05621; }
+        .status-prevu { background: #bee3f8; color: #2b6cb0; }
+        .status-termine { background: #e2e8f0; color: #4a5568; }
+        
+        .priority-haute { background: #fed7d7; color: #c53030; }
+        .priority-normale { background: #bee3f8; color: #2b6cb0; }
+        .priority-basse { background: #c6f6d5; color: #2f855a; }
+        .priority-urgente { background: #e53e3e; color: white; }
+        
+        @media (max-width: 768px) {
+            .container { margin: 10px; width: calc(100% - 20px); }
+            .navbar { padding: 1rem; flex-direction: column; gap: 1rem; }
+            .nav-links { width: 100%; justify-content: center; }
+            .form-row { grid-template-columns: 1fr; }
+            .stats { grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); }
+            .section-header { flex-direction: column; align-items: stretch; }
+            .modal-content { margin: 1rem; width: calc(100% - 2rem); }
+        }
+        
+        .no-permission { display: none !important; }
+    </style>
+</head>
+<body>
+    <div class="login-container" id="loginContainer">
+        <div class="login-box">
+            <div class="logo">
+                <h1>Cabinet d'Avocats</h1>
+                <p>Connexion au système GTA5 RP</p>
+            </div>
+            <div id="loginMessage"></div>
+            <form id="loginForm">
+                <div class="form-group">
+                    <label for="email">Email :</label>
+                    <input type="email" id="email" name="email" value="admin@cabinet.com" required>
+                </div>
+                <div class="form-group">
+                    <label for="password">Mot de passe :</label>
+                    <input type="password" id="password" name="password" value="admin123" required>
+                </div>
+                <button type="submit" class="btn btn-primary">Se connecter</button>
+            </form>
+            <form id="twoFactorForm" style="display: none;">
+                <div class="form-group">
+                    <label for="twoFactorCode">Code de vérification (application ou code de secours) :</label>
+                    <input type="text" id="twoFactorCode" name="code" autocomplete="one-time-code" required>
+                </div>
+                <button type="submit" class="btn btn-primary">Vérifier</button>
+            </form>
+            <div class="test-accounts">
+                <h3>Compte de test :</h3>
+                <strong>admin@cabinet.com</strong> / <strong>admin123</strong>
+            </div>
+        </div>
+    </div>
+    
+    <div class="container dashboard" id="dashboard">
+        <div class="navbar">
+            <h2>Cabinet d'Avocats</h2>
+            <div class="global-search">
+                <input type="search" id="globalSearch" placeholder="🔍 Rechercher un client, un dossier, un téléphone..." autocomplete="off">
+                <div class="search-results" id="globalSearchResults"></div>
+            </div>
+            <div class="nav-links">
+                <button class="nav-link active" onclick="showSection('overview', this)">Aperçu</button>
+                <button class="nav-link" onclick="showSection('clients', this)">Clients</button>
+                <button class="nav-link" onclick="showSection('dossiers', this)">Dossiers</button>
+                <button class="nav-link" onclick="showSection('rendez-vous', this)">Rendez-vous</button>
+                <button class="nav-link" data-permission="trash:read" onclick="showSection('corbeille', this)">Corbeille</button>
+                <button class="nav-link" onclick="location.href = '/index.html'">Comptabilité</button>
+                <button class="nav-link" onclick="openPasswordModal()">Mot de passe</button>
+                <button class="nav-link" onclick="logout()">Déconnexion</button>
+            </div>
+        </div>
+        
+        <div class="content">
+            <div id="overview" class="section active">
+                <div class="stats">
+                    <div class="stat-card">
+                        <div class="stat-icon">👥</div>
+                        <div class="stat-number" id="clientCount">0</div>
+                        <div class="stat-label">Clients</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-icon">📁</div>
+                        <div class="stat-number" id="dossierCount">0</div>
+                        <div class="stat-label">Dossiers</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-icon">📅</div>
+                        <div class="stat-number" id="rdvCount">0</div>
+                        <div class="stat-label">Rendez-vous</div>
+                    </div>
+                </div>
+                <div class="welcome-card">
+                    <div class="welcome-icon">🎉</div>
+                    <h3>Bienvenue dans votre Cabinet d'Avocats !</h3>
+                    <p>Votre système de gestion est opérationnel et prêt à l'emploi.</p>
+                </div>
+            </div>
+            
+            <div id="clients" class="section">
+                <div class="section-header">
+                    <h2>Gestion des Clients</h2>
+                    <button class="btn btn-success" data-permission="clients:write" onclick="openClientModal()">+ Nouveau Client</button>
+                </div>
+                <div class="card">
+                    <div class="list-toolbar">
+                        <input type="search" id="clientsSearch" placeholder="Rechercher un client (nom, email, téléphone...)" oninput="searchList('clients', this.value)">
+                        <select id="clientsSort" onchange="sortList('clients', this.value)">
+                            <option value="created_at:desc">Plus récents</option>
+                            <option value="nom:asc">Nom (A-Z)</option>
+                            <option value="nom:desc">Nom (Z-A)</option>
+                            <option value="updated_at:desc">Modifiés récemment</option>
+                        </select>
+                    </div>
+                    <div class="data-list" id="clientsList">
+                        <p>Chargement des clients...</p>
+                    </div>
+                    <div class="pagination" id="clientsPagination"></div>
+                </div>
+            </div>
+            
+            <div id="dossiers" class="section">
+                <div class="section-header">
+                    <h2>Gestion des Dossiers</h2>
+                    <button class="btn btn-warning" data-permission="dossiers:write" onclick="openDossierModal()">+ Nouveau Dossier</button>
+                </div>
+                <div class="card" data-permission="documents:read">
+                    <form class="document-search" id="documentSearchForm">
+                        <input type="search" id="documentSearch" placeholder='Rechercher dans les documents (ex : "clause de non-concurrence")'>
+                        <button type="submit" class="btn btn-info">Rechercher</button>
+                    </form>
+                    <div id="documentSearchResults"></div>
+                </div>
+                <div class="card">
+                    <div class="list-toolbar">
+                        <input type="search" id="dossiersSearch" placeholder="Rechercher un dossier (numéro, titre, client...)" oninput="searchList('dossiers', this.value)">
+                        <select id="dossiersSort" onchange="sortList('dossiers', this.value)">
+                            <option value="created_at:desc">Plus récents</option>
+                            <option value="numero_dossier:asc">Numéro</option>
+                            <option value="titre:asc">Titre (A-Z)</option>
+                            <option value="client:asc">Client (A-Z)</option>
+                            <option value="statut:asc">Statut</option>
+                            <option value="priorite:asc">Priorité</option>
+                        </select>
+                    </div>
+                    <div class="data-list" id="dossiersList">
+                        <p>Chargement des dossiers...</p>
+                    </div>
+                    <div class="pagination" id="dossiersPagination"></div>
+                </div>
+            </div>
+            
+            <div id="rendez-vous" class="section">
+                <div class="section-header">
+                    <h2>Gestion des Rendez-vous</h2>
+                    <button class="btn btn-info" data-permission="rdv:write" onclick="openRdvModal()">+ Nouveau Rendez-vous</button>
+                </div>
+                <div class="card">
+                    <div class="list-toolbar">
+                        <input type="search" id="rendezVousSearch" placeholder="Rechercher un rendez-vous (titre, lieu, client...)" oninput="searchList('rendezVous', this.value)">
+                        <select id="rendezVousSort" onchange="sortList('rendezVous', this.value)">
+                            <option value="date_rdv:asc">Date (plus proches)</option>
+                            <option value="date_rdv:desc">Date (plus lointains)</option>
+                            <option value="titre:asc">Titre (A-Z)</option>
+                            <option value="client:asc">Client (A-Z)</option>
+                            <option value="statut:asc">Statut</option>
+                        </select>
+                    </div>
+                    <div class="data-list" id="rdvList">
+                        <p>Chargement des rendez-vous...</p>
+                    </div>
+                    <div class="pagination" id="rendezVousPagination"></div>
+                </div>
+            </div>
+            
+            <div id="corbeille" class="section">
+                <div class="section-header">
+                    <h2>Corbeille</h2>
+                    <button class="btn btn-danger" data-permission="trash:purge" onclick="purgeTrash()">Purger les éléments expirés</button>
+                </div>
+                <p id="trashInfo" style="color: #718096; margin-bottom: 1rem;"></p>
+                <div class="card">
+                    <h3>Clients supprimés</h3>
+                    <div class="data-list" id="trashClients">
+                        <p>Chargement de la corbeille...</p>
+                    </div>
+                </div>
+                <div class="card">
+                    <h3>Dossiers supprimés</h3>
+                    <div class="data-list" id="trashDossiers"></div>
+                </div>
+            </div>
+        </div>
+    </div>
+    
+    <!-- Modal Client -->
+    <div id="clientModal" class="modal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3 id="clientModalTitle">Nouveau Client</h3>
+                <button class="close-btn" onclick="closeClientModal()">&times;</button>
+            </div>
+            <form id="clientForm">
+                <input type="hidden" id="clientId">
+                <input type="hidden" id="clientVersion">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="clientPrenom">Prénom :</label>
+                        <input type="text" id="clientPrenom" name="prenom" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="clientNom">Nom :</label>
+                        <input type="text" id="clientNom" name="nom" required>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="clientEmail">Email :</label>
+                        <input type="email" id="clientEmail" name="email">
+                    </div>
+                    <div class="form-group">
+                        <label for="clientTelephone">Téléphone :</label>
+                        <input type="tel" id="clientTelephone" name="telephone">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="clientAdresse">Adresse :</label>
+                    <textarea id="clientAdresse" name="adresse" rows="3"></textarea>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="clientDateNaissance">Date de naissance :</label>
+                        <input type="date" id="clientDateNaissance" name="date_naissance">
+                    </div>
+                    <div class="form-group">
+                        <label for="clientProfession">Profession :</label>
+                        <input type="text" id="clientProfession" name="profession">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="clientNotes">Notes :</label>
+                    <textarea id="clientNotes" name="notes" rows="3"></textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-success">Enregistrer</button>
+                    <button type="button" class="btn btn-secondary" onclick="closeClientModal()">Annuler</button>
+                </div>
+            </form>
+        </div>
+    </div>
+    
+    <!-- Modal Dossier -->
+    <div id="dossierModal" class="modal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3 id="dossierModalTitle">Nouveau Dossier</h3>
+                <button class="close-btn" onclick="closeDossierModal()">&times;</button>
+            </div>
+            <form id="dossierForm">
+                <input type="hidden" id="dossierId">
+                <input type="hidden" id="dossierVersion">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="dossierNumero">Numéro de dossier :</label>
+                        <input type="text" id="dossierNumero" name="numero_dossier" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="dossierClient">Client :</label>
+                        <input type="search" id="dossierClientSearch" class="select-search" placeholder="Rechercher un client..." oninput="searchSelectOptions('dossierClient')">
+                        <select id="dossierClient" name="client_id" required>
+                            <option value="">Sélectionner un client</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="dossierTitre">Titre :</label>
+                    <input type="text" id="dossierTitre" name="titre" required>
+                </div>
+                <div class="form-group">
+                    <label for="dossierDescription">Description :</label>
+                    <textarea id="dossierDescription" name="description" rows="3"></textarea>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="dossierType">Type d'affaire :</label>
+                        <select id="dossierType" name="type_affaire">
+                            <option value="">Sélectionner un type</option>
+                            <option value="Civil">Civil</option>
+                            <option value="Pénal">Pénal</option>
+                            <option value="Commercial">Commercial</option>
+                            <option value="Famille">Famille</option>
+                            <option value="Immobilier">Immobilier</option>
+                            <option value="Travail">Travail</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="dossierPriorite">Priorité :</label>
+                        <select id="dossierPriorite" name="priorite">
+                            <option value="basse">Basse</option>
+                            <option value="normale" selected>Normale</option>
+                            <option value="haute">Haute</option>
+                            <option value="urgente">Urgente</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="dossierAvocat">Avocat responsable :</label>
+                    <input type="text" id="dossierAvocat" name="avocat_responsable">
+                </div>
+                <div class="form-group" id="dossierStatutGroup" style="display: none;">
+                    <label for="dossierStatut">Statut :</label>
+                    <select id="dossierStatut" name="statut">
+                        <option value="ouvert">Ouvert</option>
+                        <option value="en-cours">En cours</option>
+                        <option value="ferme">Fermé</option>
+                    </select>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-warning">Enregistrer</button>
+                    <button type="button" class="btn btn-secondary" onclick="closeDossierModal()">Annuler</button>
+                </div>
+            </form>
+        </div>
+    </div>
+    
+    <!-- Modal Rendez-vous -->
+    <div id="rdvModal" class="modal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3 id="rdvModalTitle">Nouveau Rendez-vous</h3>
+                <button class="close-btn" onclick="closeRdvModal()">&times;</button>
+            </div>
+            <form id="rdvForm">
+                <input type="hidden" id="rdvId">
+                <input type="hidden" id="rdvVersion">
+                <div class="form-group">
+                    <label for="rdvTitre">Titre :</label>
+                    <input type="text" id="rdvTitre" name="titre" required>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rdvClient">Client :</label>
+                        <input type="search" id="rdvClientSearch" class="select-search" placeholder="Rechercher un client..." oninput="searchSelectOptions('rdvClient')">
+                        <select id="rdvClient" name="client_id" required>
+                            <option value="">Sélectionner un client</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="rdvDossier">Dossier (optionnel) :</label>
+                        <input type="search" id="rdvDossierSearch" class="select-search" placeholder="Rechercher un dossier..." oninput="searchSelectOptions('rdvDossier')">
+                        <select id="rdvDossier" name="dossier_id">
+                            <option value="">Aucun dossier</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="rdvDate">Date et heure :</label>
+                        <input type="datetime-local" id="rdvDate" name="date_rdv" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="rdvDuree">Durée (minutes) :</label>
+                        <input type="number" id="rdvDuree" name="duree" value="60" min="15" max="480">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="rdvLieu">Lieu :</label>
+                    <input type="text" id="rdvLieu" name="lieu">
+                </div>
+                <div class="form-group">
+                    <label for="rdvDescription">Description :</label>
+                    <textarea id="rdvDescription" name="description" rows="3"></textarea>
+                </div>
+                <div class="form-group" id="rdvStatutGroup" style="display: none;">
+                    <label for="rdvStatut">Statut :</label>
+                    <select id="rdvStatut" name="statut">
+                        <option value="prevu">Prévu</option>
+                        <option value="en-cours">En cours</option>
+                        <option value="termine">Terminé</option>
+                    </select>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-info">Enregistrer</button>
+                    <button type="button" class="btn btn-secondary" onclick="closeRdvModal()">Annuler</button>
+                </div>
+            </form>
+        </div>
+    </div>
+
+    <!-- Modal Documents -->
+    <div id="documentsModal" class="modal">
+        <div class="modal-content modal-wide">
+            <div class="modal-header">
+                <h3 id="documentsModalTitle">Documents</h3>
+                <button class="close-btn" onclick="closeDocumentsModal()">&times;</button>
+            </div>
+            <div id="documentsList"></div>
+            <input type="file" id="documentVersionFile" accept=".pdf,.jpg,.jpeg,.png,.txt,.doc,.docx,.xls,.xlsx,.odt" style="display: none;">
+            <form id="documentForm" data-permission="documents:write">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="documentFile">Fichier :</label>
+                        <input type="file" id="documentFile" name="file" accept=".pdf,.jpg,.jpeg,.png,.txt,.doc,.docx,.xls,.xlsx,.odt" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="documentDescription">Description :</label>
+                        <input type="text" id="documentDescription" name="description">
+                    </div>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-warning">Ajouter le document</button>
+                </div>
+            </form>
+        </div>
+    </div>
+
+    <!-- Modal Notes -->
+    <div id="notesModal" class="modal">
+        <div class="modal-content modal-wide">
+            <div class="modal-header">
+                <h3 id="notesModalTitle">Notes</h3>
+                <button class="close-btn" onclick="closeNotesModal()">&times;</button>
+            </div>
+            <form id="noteForm" data-permission="dossiers:write">
+                <input type="hidden" id="noteId">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="noteType">Type :</label>
+                        <select id="noteType" name="type_note">
+                            <option value="generale">Générale</option>
+                            <option value="audience">Audience</option>
+                            <option value="appel">Appel</option>
+                            <option value="strategie">Stratégie</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label><input type="checkbox" id="noteEpingle" name="epingle" style="width: auto;"> Épingler la note</label>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="noteContenu">Note :</label>
+                    <textarea id="noteContenu" name="contenu" rows="3" required></textarea>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-warning" id="noteSubmit">Ajouter la note</button>
+                    <button type="button" class="btn btn-secondary" onclick="resetNoteForm()">Annuler</button>
+                </div>
+            </form>
+            <div class="form-group">
+                <label for="notesFilter">Afficher :</label>
+                <select id="notesFilter" onchange="displayNotes()">
+                    <option value="">Tous les types</option>
+                    <option value="generale">Générale</option>
+                    <option value="audience">Audience</option>
+                    <option value="appel">Appel</option>
+                    <option value="strategie">Stratégie</option>
+                </select>
+            </div>
+            <div id="notesList"></div>
+        </div>
+    </div>
+
+    <div id="passwordModal" class="modal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3>Changer mon mot de passe</h3>
+                <button class="close-btn" id="passwordModalClose" onclick="closePasswordModal()">&times;</button>
+            </div>
+            <div id="passwordNotice"></div>
+            <form id="passwordForm">
+                <div class="form-group">
+                    <label for="currentPassword">Mot de passe actuel :</label>
+                    <input type="password" id="currentPassword" name="current_password" autocomplete="current-password" required>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="newPassword">Nouveau mot de passe :</label>
+                        <input type="password" id="newPassword" name="new_password" autocomplete="new-password" minlength="8" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="confirmPassword">Confirmation :</label>
+                        <input type="password" id="confirmPassword" name="confirm_password" autocomplete="new-password" minlength="8" required>
+                    </div>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-info">Enregistrer</button>
+                    <button type="button" class="btn btn-secondary" id="passwordModalCancel" onclick="closePasswordModal()">Annuler</button>
+                </div>
+            </form>
+        </div>
+    </div>
+
+    <script>
+        let authToken = localStorage.getItem('authToken');
+        let currentUser = null;
+        let permissions = [];
+        let clients = [];
+        let dossiers = [];
+        let rendezVous = [];
+        // Pagination des listes : le total vient de l'en-tête X-Total-Count
+        const LIST_PAGE_SIZE = 20;
+        const listState = {
+            clients: { offset: 0, q: '', sort: 'created_at:desc', total: 0, overall: 0 },
+            dossiers: { offset: 0, q: '', sort: 'created_at:desc', total: 0, overall: 0 },
+            rendezVous: { offset: 0, q: '', sort: 'date_rdv:asc', total: 0, overall: 0 }
+        };
+        let listSearchTimer = null;
+        // Sélecteurs des formulaires : recherche côté serveur, seuls les premiers résultats sont proposés
+        const SELECT_OPTIONS_LIMIT = 20;
+        const clientSource = { url: '/api/clients?sort=nom&order=asc', empty: 'Sélectionner un client', label: client => client.prenom + ' ' + client.nom };
+        const dossierSource = { url: '/api/dossiers?sort=numero_dossier&order=asc', empty: 'Aucun dossier', label: dossier => dossier.numero_dossier + ' - ' + dossier.titre };
+        const selectSources = { dossierClient: clientSource, rdvClient: clientSource, rdvDossier: dossierSource };
+        let selectSearchTimer = null;
+        let editMode = {
+            client: false,
+            dossier: false,
+            rdv: false
+        };
+        
+        if (authToken) {
+            currentUser = JSON.parse(localStorage.getItem('user') || '{}');
+            showDashboard();
+            loadAllData();
+        }
+        
+        function showMessage(message, type = 'error') {
+            const messageDiv = document.getElementById('loginMessage');
+            if (messageDiv) {
+                messageDiv.innerHTML = '<div class="' + type + '">' + message + '</div>';
+                setTimeout(() => messageDiv.innerHTML = '', 5000);
+            }
+        }
+        
+        document.getElementById('loginForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const email = document.getElementById('email').value;
+            const password = document.getElementById('password').value;
+            
+            try {
+                showMessage('Connexion en cours...', 'loading');
+                const response = await fetch('/api/login', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ email, password })
+                });
+                
+                const data = await response.json();
+                if (response.ok && data.two_factor_required) {
+                    twoFactorChallenge = data.challenge_token;
+                    document.getElementById('loginForm').style.display = 'none';
+                    document.getElementById('twoFactorForm').style.display = 'block';
+                    document.getElementById('twoFactorCode').focus();
+                } else if (response.ok) {
+                    completeLogin(data);
+                } else {
+                    showMessage('Erreur: ' + data.error);
+                }
+            } catch (error) {
+                showMessage('Erreur de connexion: ' + error.message);
+            }
+        });
+        
+        let twoFactorChallenge = null;
+        
+        // Deuxieme etape : 6 chiffres = code de l'application, sinon code de secours
+        document.getElementById('twoFactorForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const code = document.getElementById('twoFactorCode').value.trim();
+            const body = /^[0-9]{6}$/.test(code)
+                ? { challenge_token: twoFactorChallenge, code: code }
+                : { challenge_token: twoFactorChallenge, recovery_code: code };
+            
+            try {
+                const response = await fetch('/api/login/2fa', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(body)
+                });
+                
+                const data = await response.json();
+                if (response.ok) {
+                    completeLogin(data);
+                } else {
+                    showMessage('Erreur: ' + data.error);
+                }
+            } catch (error) {
+                showMessage('Erreur de connexion: ' + error.message);
+            }
+        });
+        
+        function completeLogin(data) {
+            authToken = data.token;
+            currentUser = data.user;
+            localStorage.setItem('authToken', authToken);
+            localStorage.setItem('refreshToken', data.refresh_token);
+            localStorage.setItem('user', JSON.stringify(data.user));
+            showMessage('Connexion réussie !', 'success');
+            setTimeout(() => {
+                showDashboard();
+                loadAllData();
+            }, 1000);
         }
-        .login-container { 
-            padding: 3rem; 
-            text-align: center; 
-            min-height: 100vh; 
-            display: flex; 
-            align-items: center; 
-            justify-content: center; 
+        
+        function showDashboard() {
+            document.getElementById('loginContainer').style.display = 'none';
+            document.getElementById('dashboard').classList.add('active');
         }
-        .login-box { 
-            background: white; 
-            padding: 3rem; 
-            border-radius: 15px; 
-            box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1); 
-            width: 100%; 
-            max-width: 400px; 
+        
+        let refreshPromise = null;
+        
+        // Renouvelle le token d'acces avec le refresh token (une seule requete a la fois)
+        function refreshSession() {
+            if (!refreshPromise) {
+                refreshPromise = (async () => {
+                    const storedToken = localStorage.getItem('authToken');
+                    if (storedToken && storedToken !== authToken) {
+                        authToken = storedToken;
+                        return true;
+                    }
+                    
+                    const response = await fetch('/api/token/refresh', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refresh_token: localStorage.getItem('refreshToken') })
+                    });
+                    if (!response.ok) return false;
+                    
+                    const data = await response.json();
+                    authToken = data.token;
+                    localStorage.setItem('authToken', data.token);
+                    localStorage.setItem('refreshToken', data.refresh_token);
+                    return true;
+                })().catch(() => false).finally(() => {
+                    refreshPromise = null;
+                });
+            }
+            return refreshPromise;
         }
-        .logo { margin-bottom: 2rem; }
-        .logo h1 { color: #2d3748; font-size: 2rem; margin-bottom: 0.5rem; }
-        .logo p { color: #718096; font-size: 1rem; }
-        .form-group { margin-bottom: 1.5rem; text-align: left; }
-        label { display: block; margin-bottom: 0.5rem; color: #2d3748; font-weight: 500; }
-        input, select, textarea { 
-            width: 100%; 
-            padding: 0.75rem; 
-            border: 2px solid #e2e8f0; 
-            border-radius: 8px; 
-            font-size: 1rem; 
-            transition: border-color 0.3s; 
+        
+        async function authFetch(url, options = {}) {
+            const send = () => fetch(url, {
+                ...options,
+                headers: { ...(options.headers || {}), 'Authorization': 'Bearer ' + authToken }
+            });
+            
+            let response = await send();
+            if (response.status === 401) {
+                if (localStorage.getItem('refreshToken') && await refreshSession()) {
+                    response = await send();
+                } else {
+                    endSession();
+                }
+            }
+            return response;
         }
-        input:focus, select:focus, textarea:focus { outline: none; border-color: #667eea; }
-        .btn { 
-            padding: 0.75rem 1.5rem; 
-            border: none; 
-            border-radius: 8px; 
-            font-size: 1rem; 
-            font-weight: 600; 
-            cursor: pointer; 
-            transition: all 0.3s; 
-            text-decoration: none; 
-            display: inline-block; 
-            text-align: center; 
+        
+        // Erreurs de validation de l'API ({ errors: [{ field, error }] }) affichees sous les champs du formulaire
+        function clearFieldErrors(form) {
+            form.querySelectorAll('.field-error').forEach(element => element.remove());
+            form.querySelectorAll('.invalid').forEach(element => element.classList.remove('invalid'));
         }
-        .btn-primary { 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-            color: white; 
-            width: 100%; 
+        
+        function showFormErrors(form, error) {
+            clearFieldErrors(form);
+            const errors = error.errors || [];
+            const unmatched = errors.filter(item => {
+                const input = form.querySelector('[name="' + item.field + '"]');
+                if (!input) return true;
+                
+                const message = document.createElement('div');
+                message.className = 'field-error';
+                message.textContent = item.error;
+                input.classList.add('invalid');
+                (input.closest('.form-group') || input.parentNode).appendChild(message);
+                return false;
+            });
+            
+            const firstInvalid = form.querySelector('.invalid');
+            if (firstInvalid) firstInvalid.focus();
+            if (errors.length === 0 || unmatched.length > 0) {
+                alert('Erreur: ' + error.error);
+            }
         }
-        .btn-primary:hover { 
-            transform: translateY(-2px); 
-            box-shadow: 0 8px 15px rgba(102, 126, 234, 0.4); 
+        
+        // Verrouillage optimiste : la version lue a l'ouverture du formulaire est renvoyee dans If-Match
+        function versionHeaders(inputId) {
+            const version = document.getElementById(inputId).value;
+            return version ? { 'If-Match': '"' + version + '"' } : {};
         }
-        .btn-secondary { 
-            background: #f7fafc; 
-            color: #4a5568; 
-            border: 2px solid #e2e8f0; 
+        
+        // Conflit (409) : l'enregistrement a ete modifie entre-temps, la reponse contient sa version courante
+        function handleEditConflict(list, conflict, reopen) {
+            const index = list.findIndex(item => item.id === conflict.current.id);
+            if (index !== -1) {
+                list[index] = { ...list[index], ...conflict.current };
+            }
+            if (confirm(conflict.error + '. Recharger la version actuelle ? Vos modifications non enregistrées seront perdues.')) {
+                reopen(conflict.current.id);
+            }
         }
-        .btn-secondary:hover { background: #edf2f7; }
-        .btn-danger { background: #f56565; color: white; }
-        .btn-success { background: #48bb78; color: white; }
-        .btn-info { background: #4299e1; color: white; }
-        .btn-warning { background: #ed8936; color: white; }
-        .btn-sm { padding: 0.5rem 1rem; font-size: 0.875rem; }
-        .test-accounts { 
-            margin-top: 2rem; 
-            padding: 1rem; 
-            background: linear-gradient(135deg, #e6fffa 0%, #f0fff4 100%); 
-            border-radius: 8px; 
-            font-size: 0.9rem; 
-            color: #4a5568; 
-            border: 1px solid #81e6d9;
+        
+        function showSection(sectionName, buttonElement) {
+            document.querySelectorAll('.section').forEach(section => {
+                section.classList.remove('active');
+            });
+            
+            document.querySelectorAll('.nav-link').forEach(link => {
+                link.classList.remove('active');
+            });
+            
+            const targetSection = document.getElementById(sectionName);
+            if (targetSection) {
+                targetSection.classList.add('active');
+            }
+            
+            if (buttonElement) {
+                buttonElement.classList.add('active');
+            }
+            
+            switch(sectionName) {
+                case 'clients': loadClients(); break;
+                case 'dossiers': loadDossiers(); break;
+                case 'rendez-vous': loadRendezVous(); break;
+                case 'corbeille': loadTrash(); break;
+            }
         }
-        .test-accounts h3 { margin-bottom: 0.5rem; color: #2d3748; }
-        .dashboard { display: none; }
-        .dashboard.active { display: block; }
-        .navbar { 
-            background: linear-gradient(135deg, #2d3748 0%, #4a5568 100%); 
-            color: white; 
-            padding: 1.5rem; 
-            display: flex; 
-            justify-content: space-between; 
-            align-items: center; 
-            flex-wrap: wrap; 
-            gap: 1rem; 
+        
+        function can(permission) {
+            return permissions.includes('*') || permissions.includes(permission);
         }
-        .navbar h2 { margin: 0; font-size: 1.5rem; }
-        .nav-links { display: flex; gap: 0.5rem; flex-wrap: wrap; }
-        .nav-link { 
-            padding: 0.5rem 1rem; 
-            background: rgba(255,255,255,0.1); 
-            border: none; 
-            color: white; 
-            border-radius: 8px; 
-            cursor: pointer; 
-            font-size: 0.9rem; 
-            transition: all 0.3s; 
+        
+        async function loadPermissions() {
+            try {
+                const response = await authFetch('/api/me');
+                if (response.ok) {
+                    currentUser = await response.json();
+                    localStorage.setItem('user', JSON.stringify(currentUser));
+                }
+            } catch (error) {
+                console.error('Erreur:', error);
+            }
+            permissions = (currentUser && currentUser.permissions) || [];
+            document.querySelectorAll('[data-permission]').forEach(element => {
+                element.classList.toggle('no-permission', !can(element.dataset.permission));
+            });
         }
-        .nav-link:hover { 
-            background: rgba(255,255,255,0.2); 
-            transform: translateY(-1px); 
+        
+        function actionButtons(type, id, entity) {
+            return (can(entity + ':write') ? '<button class="btn btn-info btn-sm" onclick="edit' + type + '(' + id + ')">Modifier</button>' : '') +
+                (can(entity + ':delete') ? '<button class="btn btn-danger btn-sm" onclick="delete' + type + '(' + id + ')">Supprimer</button>' : '');
         }
-        .nav-link.active { 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-            box-shadow: 0 4px 12px rgba(102, 126, 234, 0.3);
+        
+        async function loadAllData() {
+            try {
+                await loadPermissions();
+                if (currentUser && currentUser.must_change_password) {
+                    openPasswordModal(true);
+                    return;
+                }
+                // La configuration de la double authentification se fait depuis Mon Compte
+                if (currentUser && currentUser.two_factor_setup_required) {
+                    alert('La double authentification est obligatoire pour votre rôle : configurez-la depuis Mon Compte.');
+                    location.href = '/index.html';
+                    return;
+                }
+                await Promise.all([loadClients(), loadDossiers(), loadRendezVous()]);
+                updateStats();
+            } catch (error) {
+                console.error('Erreur lors du chargement des données:', error);
+            }
         }
-        .content { padding: 2rem; min-height: 600px; }
-        .section { display: none; }
-        .section.active { display: block; }
-        .section-header { 
-            display: flex; 
-            justify-content: space-between; 
-            align-items: center; 
-            margin-bottom: 2rem; 
-            flex-wrap: wrap; 
-            gap: 1rem; 
+        
+        function updateStats() {
+            document.getElementById('clientCount').textContent = listState.clients.overall;
+            document.getElementById('dossierCount').textContent = listState.dossiers.overall;
+            document.getElementById('rdvCount').textContent = listState.rendezVous.overall;
         }
-        .section-header h2 { color: #2d3748; margin: 0; }
-        .stats { 
-            display: grid; 
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); 
-            gap: 1.5rem; 
-            margin-bottom: 2rem; 
+        
+        // Charge la page courante d'une liste ; renvoie null en cas d'erreur
+        async function fetchListPage(name, url) {
+            const state = listState[name];
+            const [sort, order] = state.sort.split(':');
+            const query = '?limit=' + LIST_PAGE_SIZE + '&offset=' + state.offset +
+                '&sort=' + sort + '&order=' + order +
+                (state.q ? '&q=' + encodeURIComponent(state.q) : '');
+            const response = await authFetch(url + query);
+            if (!response.ok) return null;
+            
+            const rows = await response.json();
+            state.total = parseInt(response.headers.get('X-Total-Count')) || 0;
+            if (!state.q) state.overall = state.total;
+            // La page courante a pu disparaître après une suppression
+            if (rows.length === 0 && state.offset > 0) {
+                state.offset = Math.max(0, state.offset - LIST_PAGE_SIZE);
+                return fetchListPage(name, url);
+            }
+            return rows;
+        }
+        
+        function displayPagination(name) {
+            const state = listState[name];
+            const container = document.getElementById(name + 'Pagination');
+            if (state.total <= LIST_PAGE_SIZE) {
+                container.innerHTML = state.total ? '<span>' + state.total + ' résultat(s)</span>' : '';
+                return;
+            }
+            
+            const page = Math.floor(state.offset / LIST_PAGE_SIZE) + 1;
+            const pages = Math.ceil(state.total / LIST_PAGE_SIZE);
+            container.innerHTML =
+                '<button class="btn btn-secondary btn-sm" onclick="changePage(\\'' + name + '\\', -1)"' + (page === 1 ? ' disabled' : '') + '>← Précédent</button>' +
+                '<span>Page ' + page + ' sur ' + pages + ' (' + state.total + ' résultats)</span>' +
+                '<button class="btn btn-secondary btn-sm" onclick="changePage(\\'' + name + '\\', 1)"' + (page === pages ? ' disabled' : '') + '>Suivant →</button>';
+        }
+        
+        function reloadList(name) {
+            if (name === 'clients') return loadClients();
+            if (name === 'dossiers') return loadDossiers();
+            return loadRendezVous();
+        }
+        
+        function changePage(name, delta) {
+            const state = listState[name];
+            state.offset = Math.max(0, state.offset + delta * LIST_PAGE_SIZE);
+            reloadList(name);
+        }
+        
+        function searchList(name, value) {
+            clearTimeout(listSearchTimer);
+            listSearchTimer = setTimeout(() => {
+                listState[name].q = value.trim();
+                listState[name].offset = 0;
+                reloadList(name);
+            }, 300);
+        }
+        
+        function sortList(name, value) {
+            listState[name].sort = value;
+            listState[name].offset = 0;
+            reloadList(name);
+        }
+        
+        // Options d'un sélecteur selon sa recherche ; selected ({ id, label }) reste proposé même hors résultats
+        async function loadSelectOptions(selectId, selected) {
+            const source = selectSources[selectId];
+            const select = document.getElementById(selectId);
+            const q = document.getElementById(selectId + 'Search').value.trim();
+            const current = selected || (select.value ? { id: select.value, label: select.selectedOptions[0].textContent } : null);
+            try {
+                const response = await authFetch(source.url + '&limit=' + SELECT_OPTIONS_LIMIT + (q ? '&q=' + encodeURIComponent(q) : ''));
+                if (!response.ok) return;
+                
+                const rows = await response.json();
+                const total = parseInt(response.headers.get('X-Total-Count')) || rows.length;
+                select.innerHTML = '';
+                select.appendChild(new Option(source.empty, ''));
+                if (current && !rows.some(row => row.id == current.id)) {
+                    select.appendChild(new Option(current.label, current.id));
+                }
+                rows.forEach(row => select.appendChild(new Option(source.label(row), row.id)));
+                if (total > rows.length) {
+                    const more = new Option((total - rows.length) + ' autre(s) résultat(s) : précisez la recherche', '');
+                    more.disabled = true;
+                    select.appendChild(more);
+                }
+                select.value = current ? current.id : '';
+            } catch (error) {
+                console.error('Erreur:', error);
+            }
+        }
+        
+        function searchSelectOptions(selectId) {
+            clearTimeout(selectSearchTimer);
+            selectSearchTimer = setTimeout(() => loadSelectOptions(selectId), 300);
+        }
+        
+        // Ouverture d'un formulaire : recherche vidée, valeur de la fiche présélectionnée
+        function resetSelectOptions(selectId, selected) {
+            document.getElementById(selectId + 'Search').value = '';
+            document.getElementById(selectId).value = '';
+            loadSelectOptions(selectId, selected);
+        }
+        
+        async function loadClients() {
+            try {
+                const rows = await fetchListPage('clients', '/api/clients');
+                if (rows) {
+                    clients = rows;
+                    displayClients();
+                    displayPagination('clients');
+                }
+            } catch (error) {
+                console.error('Erreur:', error);
+            }
+        }
+        
+        function displayClients() {
+            const clientsList = document.getElementById('clientsList');
+            if (clients.length === 0) {
+                clientsList.innerHTML = '<p style="text-align: center; color: #718096; padding: 2rem;">' + (listState.clients.q ? 'Aucun client ne correspond à la recherche.' : 'Aucun client enregistré.') + '</p>';
+                return;
+            }
+            
+            clientsList.innerHTML = clients.map(client => 
+                '<div class="data-item">' +
+                    '<div class="data-item-header">' +
+                        '<div class="data-item-title">' + client.prenom + ' ' + client.nom + '</div>' +
+                    '</div>' +
+                    '<div class="data-item-info">' +
+                        (client.email ? '<strong>Email :</strong> ' + client.email + '<br>' : '') +
+                        (client.telephone ? '<strong>Téléphone :</strong> ' + client.telephone + '<br>' : '') +
+                        (client.profession ? '<strong>Profession :</strong> ' + client.profession : '') +
+                    '</div>' +
+                    '<div class="data-item-actions">' +
+                        actionButtons('Client', client.id, 'clients') +
+                    '</div>' +
+                '</div>'
+            ).join('');
+        }
+        
+        async function loadDossiers() {
+            try {
+                const rows = await fetchListPage('dossiers', '/api/dossiers');
+                if (rows) {
+                    dossiers = rows;
+                    displayDossiers();
+                    displayPagination('dossiers');
+                }
+            } catch (error) {
+                console.error('Erreur:', error);
+            }
         }
-        .stat-card { 
-            background: linear-gradient(135deg, #fff 0%, #f8fafc 100%); 
-            padding: 2rem; 
-            border-radius: 12px; 
-            text-align: center; 
-            box-shadow: 0 4px 6px rgba(0,0,0,0.1); 
-            border: 1px solid #e2e8f0; 
-            transition: all 0.3s; 
+        
+        function displayDossiers() {
+            const dossiersList = document.getElementById('dossiersList');
+            if (dossiers.length === 0) {
+                dossiersList.innerHTML = '<p style="text-align: center; color: #718096; padding: 2rem;">' + (listState.dossiers.q ? 'Aucun dossier ne correspond à la recherche.' : 'Aucun dossier enregistré.') + '</p>';
+                return;
+            }
+            
+            dossiersList.innerHTML = dossiers.map(dossier => {
+                const statusClass = 'status-' + (dossier.statut || 'ouvert').replace(' ', '-');
+                const priorityClass = 'priority-' + (dossier.priorite || 'normale');
+                
+                return '<div class="data-item">' +
+                    '<div class="data-item-header">' +
+                        '<div class="data-item-title">' + dossier.titre + '</div>' +
+                        '<div>' +
+                            '<span class="status-badge ' + statusClass + '">' + (dossier.statut || 'ouvert') + '</span>' +
+                            '<span class="status-badge ' + priorityClass + '">' + (dossier.priorite || 'normale') + '</span>' +
+                        '</div>' +
+                    '</div>' +
+                    '<div class="data-item-info">' +
+                        '<strong>Numéro :</strong> ' + dossier.numero_dossier + '<br>' +
+                        (dossier.nom ? '<strong>Client :</strong> ' + dossier.prenom + ' ' + dossier.nom + '<br>' : '') +
+                        (dossier.type_affaire ? '<strong>Type :</strong> ' + dossier.type_affaire + '<br>' : '') +
+                        (dossier.avocat_responsable ? '<strong>Avocat :</strong> ' + dossier.avocat_responsable : '') +
+                    '</div>' +
+                    '<div class="data-item-actions">' +
+                        actionButtons('Dossier', dossier.id, 'dossiers') +
+                        (can('documents:read') ? '<button class="btn btn-secondary btn-sm" onclick="openDocumentsModal(' + dossier.id + ')">Documents</button>' : '') +
+                        '<button class="btn btn-secondary btn-sm" onclick="openNotesModal(' + dossier.id + ')">Notes</button>' +
+                    '</div>' +
+                '</div>';
+            }).join('');
         }
-        .stat-card:hover { 
-            transform: translateY(-4px); 
-            box-shadow: 0 8px 25px rgba(0,0,0,0.15); 
+        
+        async function loadRendezVous() {
+            try {
+                const rows = await fetchListPage('rendezVous', '/api/rendez-vous');
+                if (rows) {
+                    rendezVous = rows;
+                    displayRendezVous();
+                    displayPagination('rendezVous');
+                }
+            } catch (error) {
+                console.error('Erreur:', error);
+            }
         }
-        .stat-card:nth-child(1) { border-left: 4px solid #48bb78; }
-        .stat-card:nth-child(2) { border-left: 4px solid #ed8936; }
-        .stat-card:nth-child(3) { border-left: 4px solid #4299e1; }
-        .stat-icon { font-size: 2.5rem; margin-bottom: 1rem; }
-        .stat-number { 
-            font-size: 2.5rem; 
-            font-weight: bold; 
-            margin-bottom: 0.5rem; 
+        
+        function displayRendezVous() {
+            const rdvList = document.getElementById('rdvList');
+            if (rendezVous.length === 0) {
+                rdvList.innerHTML = '<p style="text-align: center; color: #718096; padding: 2rem;">' + (listState.rendezVous.q ? 'Aucun rendez-vous ne correspond à la recherche.' : 'Aucun rendez-vous programmé.') + '</p>';
+                return;
+            }
+            
+            rdvList.innerHTML = rendezVous.map(rdv => {
+                const dateRdv = new Date(rdv.date_rdv);
+                const dateStr = dateRdv.toLocaleDateString('fr-FR');
+                const timeStr = dateRdv.toLocaleTimeString('fr-FR', {hour: '2-digit', minute: '2-digit'});
+                const statusClass = 'status-' + (rdv.statut || 'prevu').replace(' ', '-');
+                
+                return '<div class="data-item">' +
+                    '<div class="data-item-header">' +
+                        '<div class="data-item-title">' + rdv.titre + '</div>' +
+                        '<div>' +
+                            '<span class="status-badge ' + statusClass + '">' + (rdv.statut || 'prévu') + '</span>' +
+                            '<span style="color: #667eea; font-weight: bold; margin-left: 0.5rem;">' + dateStr + ' ' + timeStr + '</span>' +
+                        '</div>' +
+                    '</div>' +
+                    '<div class="data-item-info">' +
+                        (rdv.lieu ? '<strong>Lieu :</strong> ' + rdv.lieu + '<br>' : '') +
+                        '<strong>Durée :</strong> ' + (rdv.duree || 60) + ' minutes' +
+                    '</div>' +
+                    '<div class="data-item-actions">' +
+                        actionButtons('Rdv', rdv.id, 'rdv') +
+                    '</div>' +
+                '</div>';
+            }).join('');
         }
-        .stat-card:nth-child(1) .stat-number { color: #48bb78; }
-        .stat-card:nth-child(2) .stat-number { color: #ed8936; }
-        .stat-card:nth-child(3) .stat-number { color: #4299e1; }
-        .stat-label { color: #718096; font-size: 0.9rem; font-weight: 500; }
-        .welcome-card { 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-            color: white; 
-            padding: 2rem; 
-            border-radius: 12px; 
-            text-align: center; 
-            margin-bottom: 2rem; 
-            box-shadow: 0 8px 25px rgba(102, 126, 234, 0.3);
+        
+        // FONCTIONS MODALS - CLIENTS
+        function openClientModal() {
+            editMode.client = false;
+            document.getElementById('clientModalTitle').textContent = 'Nouveau Client';
+            document.getElementById('clientForm').reset();
+            document.getElementById('clientId').value = '';
+            document.getElementById('clientVersion').value = '';
+            document.getElementById('clientModal').classList.add('active');
         }
-        .welcome-icon { font-size: 3rem; margin-bottom: 1rem; }
-        .welcome-card h3 { margin-bottom: 1rem; font-size: 1.5rem; }
-        .welcome-card p { margin-bottom: 1.5rem; opacity: 0.9; }
-        .card { 
-            background: linear-gradient(135deg, #f8f9fa 0%, #ffffff 100%); 
-            padding: 2rem; 
-            border-radius: 12px; 
-            margin-bottom: 2rem; 
-            border: 1px solid #e2e8f0; 
-            box-shadow: 0 2px 4px rgba(0,0,0,0.05);
+        
+        function closeClientModal() {
+            document.getElementById('clientModal').classList.remove('active');
+            clearFieldErrors(document.getElementById('clientForm'));
         }
-        .card h3 { color: #2d3748; margin-bottom: 1.5rem; }
-        .form-row { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
-        .form-actions { display: flex; gap: 1rem; margin-top: 2rem; flex-wrap: wrap; }
-        .data-list { max-height: 500px; overflow-y: auto; }
-        .data-item { 
-            background: linear-gradient(135deg, #fff 0%, #f8fafc 100%); 
-            padding: 1.5rem; 
-            border-radius: 8px; 
-            margin-bottom: 1rem; 
-            border-left: 4px solid #667eea; 
-            transition: all 0.3s; 
-            box-shadow: 0 2px 4px rgba(0,0,0,0.05);
+        
+        function editClient(id) {
+            const client = clients.find(c => c.id === id);
+            if (!client) return;
+            
+            editMode.client = true;
+            document.getElementById('clientModalTitle').textContent = 'Modifier Client';
+            document.getElementById('clientId').value = client.id;
+            document.getElementById('clientVersion').value = client.version || '';
+            document.getElementById('clientPrenom').value = client.prenom || '';
+            document.getElementById('clientNom').value = client.nom || '';
+            document.getElementById('clientEmail').value = client.email || '';
+            document.getElementById('clientTelephone').value = client.telephone || '';
+            document.getElementById('clientAdresse').value = client.adresse || '';
+            document.getElementById('clientDateNaissance').value = client.date_naissance || '';
+            document.getElementById('clientProfession').value = client.profession || '';
+            document.getElementById('clientNotes').value = client.notes || '';
+            document.getElementById('clientModal').classList.add('active');
         }
-        .data-item:hover { 
-            transform: translateY(-2px); 
-            box-shadow: 0 4px 12px rgba(0,0,0,0.1); 
-            border-left-color: #764ba2;
+        
+        document.getElementById('clientForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            const clientData = {
+                prenom: formData.get('prenom'),
+                nom: formData.get('nom'),
+                email: formData.get('email'),
+                telephone: formData.get('telephone'),
+                adresse: formData.get('adresse'),
+                date_naissance: formData.get('date_naissance'),
+                profession: formData.get('profession'),
+                notes: formData.get('notes')
+            };
+            
+            try {
+                const clientId = document.getElementById('clientId').value;
+                const isEdit = editMode.client && clientId;
+                
+                const response = await authFetch('/api/clients' + (isEdit ? '/' + clientId : ''), {
+                    method: isEdit ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json', ...(isEdit ? versionHeaders('clientVersion') : {}) },
+                    body: JSON.stringify(clientData)
+                });
+                
+                if (response.ok) {
+                    closeClientModal();
+                    await loadClients();
+                    updateStats();
+                } else if (response.status === 409) {
+                    handleEditConflict(clients, await response.json(), editClient);
+                } else {
+                    const error = await response.json();
+                    showFormErrors(e.target, error);
+                }
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
+        });
+        
+        async function deleteClient(id) {
+            try {
+                const impactResponse = await authFetch('/api/clients/' + id + '/impact');
+                const impact = await impactResponse.json();
+                if (!impactResponse.ok) {
+                    alert('Erreur: ' + impact.error);
+                    return;
+                }
+                if (!confirm('Placer ce client dans la corbeille ?\\n\\nÉléments masqués avec lui :\\n' + describeImpact(impact) +
+                    '\\n\\nIl pourra être restauré depuis la Corbeille.')) return;
+                
+                const response = await authFetch('/api/clients/' + id, {
+                    method: 'DELETE'
+                });
+                
+                if (response.ok) {
+                    await loadClients();
+                    updateStats();
+                } else {
+                    const error = await response.json();
+                    alert('Erreur: ' + error.error);
+                }
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
         }
-        .data-item-header { 
-            display: flex; 
-            justify-content: space-between; 
-            align-items: center; 
-            margin-bottom: 0.5rem; 
+        
+        // FONCTIONS MODALS - DOSSIERS
+        function openDossierModal() {
+            editMode.dossier = false;
+            document.getElementById('dossierModalTitle').textContent = 'Nouveau Dossier';
+            document.getElementById('dossierForm').reset();
+            document.getElementById('dossierId').value = '';
+            document.getElementById('dossierVersion').value = '';
+            document.getElementById('dossierStatutGroup').style.display = 'none';
+            resetSelectOptions('dossierClient');
+            
+            // Générer un numéro de dossier automatique
+            const year = new Date().getFullYear();
+            const nextNumber = String(listState.dossiers.overall + 1).padStart(4, '0');
+            document.getElementById('dossierNumero').value = 'DOS-' + year + '-' + nextNumber;
+            
+            document.getElementById('dossierModal').classList.add('active');
         }
-        .data-item-title { font-weight: bold; color: #2d3748; font-size: 1.1rem; }
-        .data-item-info { color: #718096; font-size: 0.9rem; line-height: 1.4; margin-bottom: 1rem; }
-        .data-item-actions { display: flex; gap: 0.5rem; }
-        .error { 
-            background: linear-gradient(135deg, #fed7d7 0%, #feb2b2 100%); 
-            color: #c53030; 
-            padding: 0.75rem; 
-            border-radius: 8px; 
-            margin-bottom: 1rem; 
-            border-left: 4px solid #e53e3e;
+        
+        function closeDossierModal() {
+            document.getElementById('dossierModal').classList.remove('active');
+            clearFieldErrors(document.getElementById('dossierForm'));
+        }
+        
+        function editDossier(id) {
+            const dossier = dossiers.find(d => d.id === id);
+            if (!dossier) return;
+            
+            editMode.dossier = true;
+            document.getElementById('dossierModalTitle').textContent = 'Modifier Dossier';
+            document.getElementById('dossierId').value = dossier.id;
+            document.getElementById('dossierVersion').value = dossier.version || '';
+            document.getElementById('dossierNumero').value = dossier.numero_dossier || '';
+            document.getElementById('dossierTitre').value = dossier.titre || '';
+            document.getElementById('dossierDescription').value = dossier.description || '';
+            document.getElementById('dossierType').value = dossier.type_affaire || '';
+            document.getElementById('dossierPriorite').value = dossier.priorite || 'normale';
+            document.getElementById('dossierAvocat').value = dossier.avocat_responsable || '';
+            
+            // Afficher le champ statut en mode édition
+            document.getElementById('dossierStatutGroup').style.display = 'block';
+            document.getElementById('dossierStatut').value = dossier.statut || 'ouvert';
+            
+            resetSelectOptions('dossierClient', dossier.client_id && { id: dossier.client_id, label: dossier.prenom + ' ' + dossier.nom });
+            document.getElementById('dossierModal').classList.add('active');
         }
-        .success { 
-            background: linear-gradient(135deg, #c6f6d5 0%, #9ae6b4 100%); 
-            color: #2f855a; 
-            padding: 0.75rem; 
-            border-radius: 8px; 
-            margin-bottom: 1rem; 
-            border-left: 4px solid #38a169;
+        
+        document.getElementById('dossierForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            const dossierData = {
+                numero_dossier: formData.get('numero_dossier'),
+                client_id: formData.get('client_id'),
+                titre: formData.get('titre'),
+                description: formData.get('description'),
+                type_affaire: formData.get('type_affaire'),
+                priorite: formData.get('priorite'),
+                avocat_responsable: formData.get('avocat_responsable')
+            };
+            
+            const dossierId = document.getElementById('dossierId').value;
+            const isEdit = editMode.dossier && dossierId;
+            
+            if (isEdit) {
+                dossierData.statut = formData.get('statut');
+            }
+            
+            try {
+                const response = await authFetch('/api/dossiers' + (isEdit ? '/' + dossierId : ''), {
+                    method: isEdit ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json', ...(isEdit ? versionHeaders('dossierVersion') : {}) },
+                    body: JSON.stringify(dossierData)
+                });
+                
+                if (response.ok) {
+                    closeDossierModal();
+                    await loadDossiers();
+                    updateStats();
+                } else if (response.status === 409) {
+                    handleEditConflict(dossiers, await response.json(), editDossier);
+                } else {
+                    const error = await response.json();
+                    showFormErrors(e.target, error);
+                }
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
+        });
+        
+        async function deleteDossier(id) {
+            try {
+                const impactResponse = await authFetch('/api/dossiers/' + id + '/impact');
+                const impact = await impactResponse.json();
+                if (!impactResponse.ok) {
+                    alert('Erreur: ' + impact.error);
+                    return;
+                }
+                if (!confirm('Placer ce dossier dans la corbeille ?\\n\\nÉléments masqués avec lui :\\n' + describeImpact(impact) +
+                    '\\n\\nIl pourra être restauré depuis la Corbeille.')) return;
+                
+                const response = await authFetch('/api/dossiers/' + id, {
+                    method: 'DELETE'
+                });
+                
+                if (response.ok) {
+                    await loadDossiers();
+                    updateStats();
+                } else {
+                    const error = await response.json();
+                    alert('Erreur: ' + error.error);
+                }
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
         }
-        .loading { 
-            background: linear-gradient(135deg, #bee3f8 0%, #90cdf4 100%); 
-            color: #2b6cb0; 
-            padding: 0.75rem; 
-            border-radius: 8px; 
-            margin-bottom: 1rem; 
-            border-left: 4px solid #3182ce;
+        
+        // CORBEILLE
+        // Éléments rattachés à un client ou un dossier, listés dans les confirmations de suppression et de purge
+        function describeImpact(impact) {
+            const lines = [];
+            if (impact.dossiers.length > 0) {
+                lines.push(impact.dossiers.length + ' dossier(s) : ' + impact.dossiers.map(d => d.numero_dossier + ' - ' + d.titre).join(', '));
+            }
+            if (impact.rendez_vous.length > 0) {
+                lines.push(impact.rendez_vous.length + ' rendez-vous : ' +
+                    impact.rendez_vous.map(r => r.titre + ' (' + new Date(r.date_rdv).toLocaleDateString('fr-FR') + ')').join(', '));
+            }
+            if (impact.documents > 0) lines.push(impact.documents + ' document(s)');
+            if (impact.notes > 0) lines.push(impact.notes + ' note(s)');
+            if (impact.frais > 0) lines.push(impact.frais + ' frais rattaché(s)');
+            return lines.length > 0 ? lines.map(line => '- ' + line).join('\\n') : '- aucun élément rattaché';
         }
-        .modal { 
-            display: none; 
-            position: fixed; 
-            top: 0; 
-            left: 0; 
-            width: 100%; 
-            height: 100%; 
-            background: rgba(0,0,0,0.5); 
-            z-index: 1000; 
+        
+        function trashItem(title, details, item, actions) {
+            return '<div class="data-item">' +
+                '<div class="data-item-header">' +
+                    '<div class="data-item-title">' + escapeHtml(title) + '</div>' +
+                '</div>' +
+                '<div class="data-item-info">' +
+                    details +
+                    '<strong>Supprimé le :</strong> ' + new Date(item.deleted_at).toLocaleString('fr-FR') +
+                    (item.deleted_by_name ? ' par ' + escapeHtml(item.deleted_by_name) : '') + '<br>' +
+                    '<strong>Purge possible à partir du :</strong> ' + new Date(item.purge_after).toLocaleDateString('fr-FR') +
+                '</div>' +
+                '<div class="data-item-actions">' + actions + '</div>' +
+            '</div>';
         }
-        .modal.active { display: flex; align-items: center; justify-content: center; }
-        .modal-content { 
-            background: white; 
-            padding: 2rem; 
-            border-radius: 12px; 
-            width: 90%; 
-            max-width: 500px; 
-            max-height: 90vh; 
-            overflow-y: auto; 
-            box-shadow: 0 20px 25px -5px rgba(0, 0, 0, 0.1);
+        
+        async function loadTrash() {
+            try {
+                const response = await authFetch('/api/corbeille');
+                const trash = await response.json();
+                if (!response.ok) {
+                    alert('Erreur: ' + trash.error);
+                    return;
+                }
+                
+                const empty = '<p style="text-align: center; color: #718096; padding: 2rem;">La corbeille est vide.</p>';
+                document.getElementById('trashInfo').textContent = 'Les clients et dossiers supprimés sont conservés ' +
+                    trash.retention_days + ' jours avant de pouvoir être purgés définitivement par un administrateur.';
+                
+                document.getElementById('trashClients').innerHTML = trash.clients.length === 0 ? empty : trash.clients.map(client =>
+                    trashItem(client.prenom + ' ' + client.nom,
+                        (client.email ? '<strong>Email :</strong> ' + escapeHtml(client.email) + '<br>' : '') +
+                        '<strong>Dossiers :</strong> ' + client.dossiers + '<br>',
+                        client,
+                        can('clients:delete') ? '<button class="btn btn-success btn-sm" onclick="restoreClient(' + client.id + ')">Restaurer</button>' : '')
+                ).join('');
+                
+                document.getElementById('trashDossiers').innerHTML = trash.dossiers.length === 0 ? empty : trash.dossiers.map(dossier =>
+                    trashItem(dossier.numero_dossier + ' - ' + dossier.titre,
+                        (dossier.nom ? '<strong>Client :</strong> ' + escapeHtml(dossier.prenom + ' ' + dossier.nom) + '<br>' : ''),
+                        dossier,
+                        dossier.client_supprime
+                            ? '<em>Client dans la corbeille : restaurez d\\'abord le client</em>'
+                            : (can('dossiers:delete') ? '<button class="btn btn-success btn-sm" onclick="restoreDossier(' + dossier.id + ')">Restaurer</button>' : ''))
+                ).join('');
+            } catch (error) {
+                console.error('Erreur chargement corbeille:', error);
+            }
         }
-        .modal-header { 
-            display: flex; 
-            justify-content: space-between; 
-            align-items: center; 
-            margin-bottom: 1.5rem; 
+        
+        async function restoreFromTrash(url) {
+            try {
+                const response = await authFetch(url, { method: 'POST' });
+                const result = await response.json();
+                if (!response.ok) {
+                    alert('Erreur: ' + result.error);
+                    return;
+                }
+                await loadTrash();
+                updateStats();
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
         }
-        .modal-header h3 { margin: 0; color: #2d3748; }
-        .close-btn { 
-            background: none; 
-            border: none; 
-            font-size: 1.5rem; 
-            cursor: pointer; 
-            color: #718096; 
-            transition: color 0.3s;
+        
+        function restoreClient(id) {
+            restoreFromTrash('/api/clients/' + id + '/restore');
         }
-        .close-btn:hover { color: #e53e3e; }
         
-        .status-badge {
-            padding: 0.25rem 0.75rem;
-            border-radius: 12px;
-            font-size: 0.75rem;
-            font-weight: 600;
-            text-transform: uppercase;
+        function restoreDossier(id) {
+            restoreFromTrash('/api/dossiers/' + id + '/restore');
         }
-        .status-ouvert { background: #c6f6d5; color: #2f855a; }
-        .status-ferme { background: #fed7d7; color: #c53030; }
-        .status-en-cours { background: #fbd38d; color: #c05621; }
-        .status-prevu { background: #bee3f8; color: #2b6cb0; }
-        .status-termine { background: #e2e8f0; color: #4a5568; }
         
-        .priority-haute { background: #fed7d7; color: #c53030; }
-        .priority-normale { background: #bee3f8; color: #2b6cb0; }
-        .priority-basse { background: #c6f6d5; color: #2f855a; }
-        .priority-urgente { background: #e53e3e; color: white; }
+        // Purge : aperçu des éléments expirés et de tout ce qui sera supprimé avec eux, puis confirmation
+        async function purgeTrash() {
+            try {
+                const previewResponse = await authFetch('/api/corbeille/purge');
+                const preview = await previewResponse.json();
+                if (!previewResponse.ok) {
+                    alert('Erreur: ' + preview.error);
+                    return;
+                }
+                if (preview.clients.length === 0 && preview.dossiers.length === 0) {
+                    alert('Aucun élément n\\'a dépassé le délai de conservation de ' + preview.retention_days + ' jours.');
+                    return;
+                }
+                
+                const items = preview.clients.map(client => 'Client ' + client.prenom + ' ' + client.nom + '\\n' + describeImpact(client.impact))
+                    .concat(preview.dossiers.map(dossier => 'Dossier ' + dossier.numero_dossier + ' - ' + dossier.titre + '\\n' + describeImpact(dossier.impact)));
+                if (!confirm('Supprimer DÉFINITIVEMENT ces éléments ? Cette action est irréversible.\\n' +
+                    'Les rendez-vous et frais d\\'un dossier purgé seul sont conservés, sans dossier.\\n\\n' + items.join('\\n\\n'))) return;
+                
+                const response = await authFetch('/api/corbeille/purge', { method: 'POST' });
+                const result = await response.json();
+                if (!response.ok) {
+                    alert('Erreur: ' + result.error);
+                    return;
+                }
+                alert(result.message);
+                loadTrash();
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
+        }
         
-        @media (max-width: 768px) {
-            .container { margin: 10px; width: calc(100% - 20px); }
-            .navbar { padding: 1rem; flex-direction: column; gap: 1rem; }
-            .nav-links { width: 100%; justify-content: center; }
-            .form-row { grid-template-columns: 1fr; }
-            .stats { grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); }
-            .section-header { flex-direction: column; align-items: stretch; }
-            .modal-content { margin: 1rem; width: calc(100% - 2rem); }
+        // FONCTIONS MODALS - RENDEZ-VOUS
+        function openRdvModal() {
+            editMode.rdv = false;
+            document.getElementById('rdvModalTitle').textContent = 'Nouveau Rendez-vous';
+            document.getElementById('rdvForm').reset();
+            document.getElementById('rdvId').value = '';
+            document.getElementById('rdvVersion').value = '';
+            document.getElementById('rdvStatutGroup').style.display = 'none';
+            
+            // Date par défaut : demain à 10h
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            tomorrow.setHours(10, 0, 0, 0);
+            document.getElementById('rdvDate').value = tomorrow.toISOString().slice(0, 16);
+            
+            resetSelectOptions('rdvClient');
+            resetSelectOptions('rdvDossier');
+            document.getElementById('rdvModal').classList.add('active');
         }
-    </style>
-</head>
-<body>
-    <div class="login-container" id="loginContainer">
-        <div class="login-box">
-            <div class="logo">
-                <h1>Cabinet d'Avocats</h1>
-                <p>Connexion au système GTA5 RP</p>
-            </div>
-            <div id="loginMessage"></div>
-            <form id="loginForm">
-                <div class="form-group">
-                    <label for="email">Email :</label>
-                    <input type="email" id="email" name="email" value="admin@cabinet.com" required>
-                </div>
-                <div class="form-group">
-                    <label for="password">Mot de passe :</label>
-                    <input type="password" id="password" name="password" value="admin123" required>
-                </div>
-                <button type="submit" class="btn btn-primary">Se connecter</button>
-            </form>
-            <div class="test-accounts">
-                <h3>Compte de test :</h3>
-                <strong>admin@cabinet.com</strong> / <strong>admin123</strong>
-            </div>
-        </div>
-    </div>
-    
-    <div class="container dashboard" id="dashboard">
-        <div class="navbar">
-            <h2>Cabinet d'Avocats</h2>
-            <div class="nav-links">
-                <button class="nav-link active" onclick="showSection('overview', this)">Aperçu</button>
-                <button class="nav-link" onclick="showSection('clients', this)">Clients</button>
-                <button class="nav-link" onclick="showSection('dossiers', this)">Dossiers</button>
-                <button class="nav-link" onclick="showSection('rendez-vous', this)">Rendez-vous</button>
-                <button class="nav-link" onclick="logout()">Déconnexion</button>
-            </div>
-        </div>
         
-        <div class="content">
-            <div id="overview" class="section active">
-                <div class="stats">
-                    <div class="stat-card">
-                        <div class="stat-icon">👥</div>
-                        <div class="stat-number" id="clientCount">0</div>
-                        <div class="stat-label">Clients</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-icon">📁</div>
-                        <div class="stat-number" id="dossierCount">0</div>
-                        <div class="stat-label">Dossiers</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-icon">📅</div>
-                        <div class="stat-number" id="rdvCount">0</div>
-                        <div class="stat-label">Rendez-vous</div>
-                    </div>
-                </div>
-                <div class="welcome-card">
-                    <div class="welcome-icon">🎉</div>
-                    <h3>Bienvenue dans votre Cabinet d'Avocats !</h3>
-                    <p>Votre système de gestion est opérationnel et prêt à l'emploi.</p>
-                </div>
-            </div>
+        function closeRdvModal() {
+            document.getElementById('rdvModal').classList.remove('active');
+            clearFieldErrors(document.getElementById('rdvForm'));
+        }
+        
+        function editRdv(id) {
+            const rdv = rendezVous.find(r => r.id === id);
+            if (!rdv) return;
             
-            <div id="clients" class="section">
-                <div class="section-header">
-                    <h2>Gestion des Clients</h2>
-                    <button class="btn btn-success" onclick="openClientModal()">+ Nouveau Client</button>
-                </div>
-                <div class="card">
-                    <div class="data-list" id="clientsList">
-                        <p>Chargement des clients...</p>
-                    </div>
-                </div>
-            </div>
+            editMode.rdv = true;
+            document.getElementById('rdvModalTitle').textContent = 'Modifier Rendez-vous';
+            document.getElementById('rdvId').value = rdv.id;
+            document.getElementById('rdvVersion').value = rdv.version || '';
+            document.getElementById('rdvTitre').value = rdv.titre || '';
+            document.getElementById('rdvDescription').value = rdv.description || '';
+            document.getElementById('rdvDuree').value = rdv.duree || 60;
+            document.getElementById('rdvLieu').value = rdv.lieu || '';
             
-            <div id="dossiers" class="section">
-                <div class="section-header">
-                    <h2>Gestion des Dossiers</h2>
-                    <button class="btn btn-warning" onclick="openDossierModal()">+ Nouveau Dossier</button>
-                </div>
-                <div class="card">
-                    <div class="data-list" id="dossiersList">
-                        <p>Chargement des dossiers...</p>
-                    </div>
-                </div>
-            </div>
+            // Formater la date pour datetime-local
+            if (rdv.date_rdv) {
+                const date = new Date(rdv.date_rdv);
+                document.getElementById('rdvDate').value = date.toISOString().slice(0, 16);
+            }
             
-            <div id="rendez-vous" class="section">
-                <div class="section-header">
-                    <h2>Gestion des Rendez-vous</h2>
-                    <button class="btn btn-info" onclick="openRdvModal()">+ Nouveau Rendez-vous</button>
-                </div>
-                <div class="card">
-                    <div class="data-list" id="rdvList">
-                        <p>Chargement des rendez-vous...</p>
-                    </div>
-                </div>
-            </div>
-        </div>
-    </div>
-    
-    <!-- Modal Client -->
-    <div id="clientModal" class="modal">
-        <div class="modal-content">
-            <div class="modal-header">
-                <h3 id="clientModalTitle">Nouveau Client</h3>
-                <button class="close-btn" onclick="closeClientModal()">&times;</button>
-            </div>
-            <form id="clientForm">
-                <input type="hidden" id="clientId">
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="clientPrenom">Prénom :</label>
-                        <input type="text" id="clientPrenom" name="prenom" required>
-                    </div>
-                    <div class="form-group">
-                        <label for="clientNom">Nom :</label>
-                        <input type="text" id="clientNom" name="nom" required>
-                    </div>
-                </div>
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="clientEmail">Email :</label>
-                        <input type="email" id="clientEmail" name="email">
-                    </div>
-                    <div class="form-group">
-                        <label for="clientTelephone">Téléphone :</label>
-                        <input type="tel" id="clientTelephone" name="telephone">
-                    </div>
-                </div>
-                <div class="form-group">
-                    <label for="clientAdresse">Adresse :</label>
-                    <textarea id="clientAdresse" name="adresse" rows="3"></textarea>
-                </div>
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="clientDateNaissance">Date de naissance :</label>
-                        <input type="date" id="clientDateNaissance" name="date_naissance">
-                    </div>
-                    <div class="form-group">
-                        <label for="clientProfession">Profession :</label>
-                        <input type="text" id="clientProfession" name="profession">
-                    </div>
-                </div>
-                <div class="form-group">
-                    <label for="clientNotes">Notes :</label>
-                    <textarea id="clientNotes" name="notes" rows="3"></textarea>
-                </div>
-                <div class="form-actions">
-                    <button type="submit" class="btn btn-success">Enregistrer</button>
-                    <button type="button" class="btn btn-secondary" onclick="closeClientModal()">Annuler</button>
-                </div>
-            </form>
-        </div>
-    </div>
-    
-    <!-- Modal Dossier -->
-    <div id="dossierModal" class="modal">
-        <div class="modal-content">
-            <div class="modal-header">
-                <h3 id="dossierModalTitle">Nouveau Dossier</h3>
-                <button class="close-btn" onclick="closeDossierModal()">&times;</button>
-            </div>
-            <form id="dossierForm">
-                <input type="hidden" id="dossierId">
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="dossierNumero">Numéro de dossier :</label>
-                        <input type="text" id="dossierNumero" name="numero_dossier" required>
-                    </div>
-                    <div class="form-group">
-                        <label for="dossierClient">Client :</label>
-                        <select id="dossierClient" name="client_id" required>
-                            <option value="">Sélectionner un client</option>
-                        </select>
-                    </div>
-                </div>
-                <div class="form-group">
-                    <label for="dossierTitre">Titre :</label>
-                    <input type="text" id="dossierTitre" name="titre" required>
-                </div>
-                <div class="form-group">
-                    <label for="dossierDescription">Description :</label>
-                    <textarea id="dossierDescription" name="description" rows="3"></textarea>
-                </div>
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="dossierType">Type d'affaire :</label>
-                        <select id="dossierType" name="type_affaire">
-                            <option value="">Sélectionner un type</option>
-                            <option value="Civil">Civil</option>
-                            <option value="Pénal">Pénal</option>
-                            <option value="Commercial">Commercial</option>
-                            <option value="Famille">Famille</option>
-                            <option value="Immobilier">Immobilier</option>
-                            <option value="Travail">Travail</option>
-                        </select>
-                    </div>
-                    <div class="form-group">
-                        <label for="dossierPriorite">Priorité :</label>
-                        <select id="dossierPriorite" name="priorite">
-                            <option value="basse">Basse</option>
-                            <option value="normale" selected>Normale</option>
-                            <option value="haute">Haute</option>
-                            <option value="urgente">Urgente</option>
-                        </select>
-                    </div>
-                </div>
-                <div class="form-group">
-                    <label for="dossierAvocat">Avocat responsable :</label>
-                    <input type="text" id="dossierAvocat" name="avocat_responsable">
-                </div>
-                <div class="form-group" id="dossierStatutGroup" style="display: none;">
-                    <label for="dossierStatut">Statut :</label>
-                    <select id="dossierStatut" name="statut">
-                        <option value="ouvert">Ouvert</option>
-                        <option value="en-cours">En cours</option>
-                        <option value="ferme">Fermé</option>
-                    </select>
-                </div>
-                <div class="form-actions">
-                    <button type="submit" class="btn btn-warning">Enregistrer</button>
-                    <button type="button" class="btn btn-secondary" onclick="closeDossierModal()">Annuler</button>
-                </div>
-            </form>
-        </div>
-    </div>
-    
-    <!-- Modal Rendez-vous -->
-    <div id="rdvModal" class="modal">
-        <div class="modal-content">
-            <div class="modal-header">
-                <h3 id="rdvModalTitle">Nouveau Rendez-vous</h3>
-                <button class="close-btn" onclick="closeRdvModal()">&times;</button>
-            </div>
-            <form id="rdvForm">
-                <input type="hidden" id="rdvId">
-                <div class="form-group">
-                    <label for="rdvTitre">Titre :</label>
-                    <input type="text" id="rdvTitre" name="titre" required>
-                </div>
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="rdvClient">Client :</label>
-                        <select id="rdvClient" name="client_id" required>
-                            <option value="">Sélectionner un client</option>
-                        </select>
-                    </div>
-                    <div class="form-group">
-                        <label for="rdvDossier">Dossier (optionnel) :</label>
-                        <select id="rdvDossier" name="dossier_id">
-                            <option value="">Aucun dossier</option>
-                        </select>
-                    </div>
-                </div>
-                <div class="form-row">
-                    <div class="form-group">
-                        <label for="rdvDate">Date et heure :</label>
-                        <input type="datetime-local" id="rdvDate" name="date_rdv" required>
-                    </div>
-                    <div class="form-group">
-                        <label for="rdvDuree">Durée (minutes) :</label>
-                        <input type="number" id="rdvDuree" name="duree" value="60" min="15" max="480">
-                    </div>
-                </div>
-                <div class="form-group">
-                    <label for="rdvLieu">Lieu :</label>
-                    <input type="text" id="rdvLieu" name="lieu">
-                </div>
-                <div class="form-group">
-                    <label for="rdvDescription">Description :</label>
-                    <textarea id="rdvDescription" name="description" rows="3"></textarea>
-                </div>
-                <div class="form-group" id="rdvStatutGroup" style="display: none;">
-                    <label for="rdvStatut">Statut :</label>
-                    <select id="rdvStatut" name="statut">
-                        <option value="prevu">Prévu</option>
-                        <option value="en-cours">En cours</option>
-                        <option value="termine">Terminé</option>
-                    </select>
-                </div>
-                <div class="form-actions">
-                    <button type="submit" class="btn btn-info">Enregistrer</button>
-                    <button type="button" class="btn btn-secondary" onclick="closeRdvModal()">Annuler</button>
-                </div>
-            </form>
-        </div>
-    </div>
-
-    <script>
-        let authToken = localStorage.getItem('authToken');
-        let currentUser = null;
-        let clients = [];
-        let dossiers = [];
-        let rendezVous = [];
-        let editMode = {
-            client: false,
-            dossier: false,
-            rdv: false
-        };
-        
-        if (authToken) {
-            currentUser = JSON.parse(localStorage.getItem('user') || '{}');
-            showDashboard();
-            loadAllData();
+            // Afficher le champ statut en mode édition
+            document.getElementById('rdvStatutGroup').style.display = 'block';
+            document.getElementById('rdvStatut').value = rdv.statut || 'prevu';
+            
+            resetSelectOptions('rdvClient', rdv.client_id && { id: rdv.client_id, label: rdv.prenom + ' ' + rdv.nom });
+            resetSelectOptions('rdvDossier', rdv.dossier_id && { id: rdv.dossier_id, label: rdv.numero_dossier + ' - ' + rdv.dossier_titre });
+            document.getElementById('rdvModal').classList.add('active');
         }
         
-        function showMessage(message, type = 'error') {
-            const messageDiv = document.getElementById('loginMessage');
-            if (messageDiv) {
-                messageDiv.innerHTML = '<div class="' + type + '">' + message + '</div>';
-                setTimeout(() => messageDiv.innerHTML = '', 5000);
+        document.getElementById('rdvForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            const rdvData = {
+                titre: formData.get('titre'),
+                client_id: formData.get('client_id'),
+                dossier_id: formData.get('dossier_id') || null,
+                description: formData.get('description'),
+                date_rdv: formData.get('date_rdv'),
+                duree: formData.get('duree'),
+                lieu: formData.get('lieu')
+            };
+            
+            const rdvId = document.getElementById('rdvId').value;
+            const isEdit = editMode.rdv && rdvId;
+            
+            if (isEdit) {
+                rdvData.statut = formData.get('statut');
             }
-        }
-        
-        document.getElementById('loginForm').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            const email = document.getElementById('email').value;
-            const password = document.getElementById('password').value;
             
             try {
-                showMessage('Connexion en cours...', 'loading');
-                const response = await fetch('/api/login', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ email, password })
+                const response = await authFetch('/api/rendez-vous' + (isEdit ? '/' + rdvId : ''), {
+                    method: isEdit ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json', ...(isEdit ? versionHeaders('rdvVersion') : {}) },
+                    body: JSON.stringify(rdvData)
                 });
                 
-                const data = await response.json();
                 if (response.ok) {
-                    authToken = data.token;
-                    currentUser = data.user;
-                    localStorage.setItem('authToken', authToken);
-                    localStorage.setItem('user', JSON.stringify(data.user));
-                    showMessage('Connexion réussie !', 'success');
-                    setTimeout(() => {
-                        showDashboard();
-                        loadAllData();
-                    }, 1000);
+                    closeRdvModal();
+                    await loadRendezVous();
+                    updateStats();
+                } else if (response.status === 409) {
+                    handleEditConflict(rendezVous, await response.json(), editRdv);
                 } else {
-                    showMessage('Erreur: ' + data.error);
+                    const error = await response.json();
+                    showFormErrors(e.target, error);
                 }
             } catch (error) {
-                showMessage('Erreur de connexion: ' + error.message);
+                alert('Erreur: ' + error.message);
             }
         });
         
-        function showDashboard() {
-            document.getElementById('loginContainer').style.display = 'none';
-            document.getElementById('dashboard').classList.add('active');
-        }
-        
-        function showSection(sectionName, buttonElement) {
-            document.querySelectorAll('.section').forEach(section => {
-                section.classList.remove('active');
-            });
-            
-            document.querySelectorAll('.nav-link').forEach(link => {
-                link.classList.remove('active');
-            });
-            
-            const targetSection = document.getElementById(sectionName);
-            if (targetSection) {
-                targetSection.classList.add('active');
-            }
-            
-            if (buttonElement) {
-                buttonElement.classList.add('active');
-            }
+        async function deleteRdv(id) {
+            if (!confirm('Êtes-vous sûr de vouloir supprimer ce rendez-vous ?')) return;
             
-            switch(sectionName) {
-                case 'clients': loadClients(); break;
-                case 'dossiers': loadDossiers(); break;
-                case 'rendez-vous': loadRendezVous(); break;
-            }
-        }
-        
-        async function loadAllData() {
             try {
-                await Promise.all([loadClients(), loadDossiers(), loadRendezVous()]);
-                updateStats();
+                const response = await authFetch('/api/rendez-vous/' + id, {
+                    method: 'DELETE'
+                });
+                
+                if (response.ok) {
+                    await loadRendezVous();
+                    updateStats();
+                } else {
+                    const error = await response.json();
+                    alert('Erreur: ' + error.error);
+                }
             } catch (error) {
-                console.error('Erreur lors du chargement des données:', error);
+                alert('Erreur: ' + error.message);
             }
         }
         
-        function updateStats() {
-            document.getElementById('clientCount').textContent = clients.length;
-            document.getElementById('dossierCount').textContent = dossiers.length;
-            document.getElementById('rdvCount').textContent = rendezVous.length;
+        // FONCTIONS MODALS - DOCUMENTS
+        let documentsDossierId = null;
+        let documents = [];
+        
+        function formatFileSize(bytes) {
+            if (bytes == null) return '';
+            if (bytes < 1024) return bytes + ' o';
+            if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' Ko';
+            return (bytes / 1024 / 1024).toFixed(1) + ' Mo';
         }
         
-        async function loadClients() {
+        async function openDocumentsModal(dossierId) {
+            const dossier = dossiers.find(d => d.id === dossierId);
+            documentsDossierId = dossierId;
+            document.getElementById('documentsModalTitle').textContent = 'Documents - ' + (dossier ? dossier.numero_dossier : '');
+            document.getElementById('documentForm').reset();
+            document.getElementById('documentsList').innerHTML = '<p>Chargement des documents...</p>';
+            document.getElementById('documentsModal').classList.add('active');
+            await loadDocuments();
+        }
+        
+        function closeDocumentsModal() {
+            document.getElementById('documentsModal').classList.remove('active');
+            documentsDossierId = null;
+        }
+        
+        async function loadDocuments() {
             try {
-                const response = await fetch('/api/clients', {
-                    headers: { 'Authorization': 'Bearer ' + authToken }
-                });
+                const response = await authFetch('/api/dossiers/' + documentsDossierId + '/documents');
                 if (response.ok) {
-                    clients = await response.json();
-                    displayClients();
-                    populateClientSelects();
+                    documents = await response.json();
+                    displayDocuments();
+                } else {
+                    const error = await response.json();
+                    document.getElementById('documentsList').innerHTML = '<div class="error">' + error.error + '</div>';
                 }
             } catch (error) {
                 console.error('Erreur:', error);
             }
         }
         
-        function populateClientSelects() {
-            const selects = ['dossierClient', 'rdvClient'];
-            selects.forEach(selectId => {
-                const select = document.getElementById(selectId);
-                if (select) {
-                    const currentValue = select.value;
-                    select.innerHTML = '<option value="">Sélectionner un client</option>';
-                    clients.forEach(client => {
-                        const option = document.createElement('option');
-                        option.value = client.id;
-                        option.textContent = client.prenom + ' ' + client.nom;
-                        if (client.id == currentValue) option.selected = true;
-                        select.appendChild(option);
-                    });
-                }
-            });
-        }
-        
-        function populateDossierSelect() {
-            const select = document.getElementById('rdvDossier');
-            if (select) {
-                const currentValue = select.value;
-                select.innerHTML = '<option value="">Aucun dossier</option>';
-                dossiers.forEach(dossier => {
-                    const option = document.createElement('option');
-                    option.value = dossier.id;
-                    option.textContent = dossier.numero_dossier + ' - ' + dossier.titre;
-                    if (dossier.id == currentValue) option.selected = true;
-                    select.appendChild(option);
-                });
-            }
-        }
-        
-        function displayClients() {
-            const clientsList = document.getElementById('clientsList');
-            if (clients.length === 0) {
-                clientsList.innerHTML = '<p style="text-align: center; color: #718096; padding: 2rem;">Aucun client enregistré.</p>';
+        function displayDocuments() {
+            const list = document.getElementById('documentsList');
+            if (documents.length === 0) {
+                list.innerHTML = '<p style="text-align: center; color: #718096; padding: 1rem;">Aucun document pour ce dossier.</p>';
                 return;
             }
             
-            clientsList.innerHTML = clients.map(client => 
-                '<div class="data-item">' +
-                    '<div class="data-item-header">' +
-                        '<div class="data-item-title">' + client.prenom + ' ' + client.nom + '</div>' +
-                    '</div>' +
-                    '<div class="data-item-info">' +
-                        (client.email ? '<strong>Email :</strong> ' + client.email + '<br>' : '') +
-                        (client.telephone ? '<strong>Téléphone :</strong> ' + client.telephone + '<br>' : '') +
-                        (client.profession ? '<strong>Profession :</strong> ' + client.profession : '') +
+            list.innerHTML = documents.map(doc =>
+                '<div class="document-item">' +
+                    '<div>' +
+                        '<strong>' + doc.nom_original + '</strong> <span class="status-badge status-prevu">v' + doc.version + '</span>' +
+                        (doc.description ? '<br>' + doc.description : '') +
+                        '<div class="document-meta">' +
+                            formatFileSize(doc.taille_fichier) + ' - ajouté le ' + new Date(doc.created_at).toLocaleString('fr-FR') +
+                            (doc.uploaded_by_name ? ' par ' + doc.uploaded_by_name : '') +
+                            (doc.texte_indexe ? ' - contenu indexé' : '') +
+                        '</div>' +
                     '</div>' +
                     '<div class="data-item-actions">' +
-                        '<button class="btn btn-info btn-sm" onclick="editClient(' + client.id + ')">Modifier</button>' +
-                        '<button class="btn btn-danger btn-sm" onclick="deleteClient(' + client.id + ')">Supprimer</button>' +
+                        '<button class="btn btn-info btn-sm" onclick="downloadDocument(' + doc.id + ')">Télécharger</button>' +
+                        '<button class="btn btn-secondary btn-sm" onclick="toggleDocumentVersions(' + doc.id + ')">Versions</button>' +
+                        (can('documents:write') ? '<button class="btn btn-warning btn-sm" onclick="chooseDocumentVersion(' + doc.id + ')">Nouvelle version</button>' : '') +
+                        (can('documents:delete') ? '<button class="btn btn-danger btn-sm" onclick="deleteDocument(' + doc.id + ')">Supprimer</button>' : '') +
                     '</div>' +
-                '</div>'
+                '</div>' +
+                '<div class="document-versions" id="documentVersions' + doc.id + '" style="display: none;"></div>'
             ).join('');
         }
         
-        async function loadDossiers() {
+        async function downloadDocument(id, version) {
+            const doc = documents.find(d => d.id === id);
             try {
-                const response = await fetch('/api/dossiers', {
-                    headers: { 'Authorization': 'Bearer ' + authToken }
-                });
-                if (response.ok) {
-                    dossiers = await response.json();
-                    displayDossiers();
-                    populateDossierSelect();
+                const response = await authFetch('/api/documents/' + id + (version ? '/versions/' + version : '') + '/download');
+                if (!response.ok) {
+                    const error = await response.json();
+                    alert('Erreur: ' + error.error);
+                    return;
                 }
+                
+                // Nom du fichier de la version demandée, fourni par Content-Disposition
+                const disposition = response.headers.get('Content-Disposition') || '';
+                const match = disposition.match(/filename="([^"]+)"/);
+                const url = URL.createObjectURL(await response.blob());
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = match ? match[1] : (doc ? doc.nom_original : 'document');
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                URL.revokeObjectURL(url);
             } catch (error) {
-                console.error('Erreur:', error);
+                alert('Erreur: ' + error.message);
             }
         }
         
-        function displayDossiers() {
-            const dossiersList = document.getElementById('dossiersList');
-            if (dossiers.length === 0) {
-                dossiersList.innerHTML = '<p style="text-align: center; color: #718096; padding: 2rem;">Aucun dossier enregistré.</p>';
+        async function toggleDocumentVersions(id) {
+            const container = document.getElementById('documentVersions' + id);
+            if (container.style.display !== 'none') {
+                container.style.display = 'none';
                 return;
             }
-            
-            dossiersList.innerHTML = dossiers.map(dossier => {
-                const statusClass = 'status-' + (dossier.statut || 'ouvert').replace(' ', '-');
-                const priorityClass = 'priority-' + (dossier.priorite || 'normale');
+            container.style.display = 'block';
+            await loadDocumentVersions(id);
+        }
+        
+        async function loadDocumentVersions(id) {
+            const container = document.getElementById('documentVersions' + id);
+            try {
+                const response = await authFetch('/api/documents/' + id + '/versions');
+                const versions = await response.json();
+                if (!response.ok) {
+                    container.innerHTML = '<div class="error">' + versions.error + '</div>';
+                    return;
+                }
                 
-                return '<div class="data-item">' +
-                    '<div class="data-item-header">' +
-                        '<div class="data-item-title">' + dossier.titre + '</div>' +
+                container.innerHTML = versions.map(version =>
+                    '<div class="document-item">' +
                         '<div>' +
-                            '<span class="status-badge ' + statusClass + '">' + (dossier.statut || 'ouvert') + '</span>' +
-                            '<span class="status-badge ' + priorityClass + '">' + (dossier.priorite || 'normale') + '</span>' +
+                            '<strong>v' + version.version + '</strong> ' + version.nom_original +
+                            (version.current ? ' <span class="status-badge status-ouvert">courante</span>' : '') +
+                            '<div class="document-meta">' +
+                                formatFileSize(version.taille_fichier) + ' - ' + new Date(version.created_at).toLocaleString('fr-FR') +
+                                (version.uploaded_by_name ? ' par ' + version.uploaded_by_name : '') +
+                                (version.commentaire ? ' - ' + version.commentaire : '') +
+                            '</div>' +
+                            '<div class="document-meta" id="documentCompare' + id + '-' + version.version + '"></div>' +
                         '</div>' +
-                    '</div>' +
-                    '<div class="data-item-info">' +
-                        '<strong>Numéro :</strong> ' + dossier.numero_dossier + '<br>' +
-                        (dossier.nom ? '<strong>Client :</strong> ' + dossier.prenom + ' ' + dossier.nom + '<br>' : '') +
-                        (dossier.type_affaire ? '<strong>Type :</strong> ' + dossier.type_affaire + '<br>' : '') +
-                        (dossier.avocat_responsable ? '<strong>Avocat :</strong> ' + dossier.avocat_responsable : '') +
-                    '</div>' +
-                    '<div class="data-item-actions">' +
-                        '<button class="btn btn-info btn-sm" onclick="editDossier(' + dossier.id + ')">Modifier</button>' +
-                        '<button class="btn btn-danger btn-sm" onclick="deleteDossier(' + dossier.id + ')">Supprimer</button>' +
-                    '</div>' +
-                '</div>';
-            }).join('');
+                        '<div class="data-item-actions">' +
+                            '<button class="btn btn-info btn-sm" onclick="downloadDocument(' + id + ', ' + version.version + ')">Télécharger</button>' +
+                            (version.version > 1 ? '<button class="btn btn-secondary btn-sm" onclick="compareDocumentVersion(' + id + ', ' + version.version + ')">Comparer</button>' : '') +
+                            (!version.current && can('documents:write') ? '<button class="btn btn-warning btn-sm" onclick="restoreDocumentVersion(' + id + ', ' + version.version + ')">Restaurer</button>' : '') +
+                        '</div>' +
+                    '</div>'
+                ).join('');
+            } catch (error) {
+                console.error('Erreur:', error);
+            }
         }
         
-        async function loadRendezVous() {
+        // Différences de métadonnées avec la version précédente
+        async function compareDocumentVersion(id, version) {
+            const target = document.getElementById('documentCompare' + id + '-' + version);
             try {
-                const response = await fetch('/api/rendez-vous', {
-                    headers: { 'Authorization': 'Bearer ' + authToken }
-                });
-                if (response.ok) {
-                    rendezVous = await response.json();
-                    displayRendezVous();
+                const response = await authFetch('/api/documents/' + id + '/versions/compare?from=' + (version - 1) + '&to=' + version);
+                const comparison = await response.json();
+                if (!response.ok) {
+                    alert('Erreur: ' + comparison.error);
+                    return;
                 }
+                
+                const labels = { nom_original: 'Nom', type_fichier: 'Type', taille_fichier: 'Taille', uploaded_by_name: 'Auteur', commentaire: 'Commentaire' };
+                const changes = Object.keys(comparison.differences)
+                    .filter(field => labels[field])
+                    .map(field => labels[field] + ' : ' + (comparison.differences[field].before || '-') + ' → ' + (comparison.differences[field].after || '-'));
+                target.textContent = 'Par rapport à v' + (version - 1) + ' : ' +
+                    (comparison.same_content ? 'contenu identique' : 'contenu modifié (' + (comparison.size_delta >= 0 ? '+' : '') + formatFileSize(comparison.size_delta) + ')') +
+                    (changes.length ? ' ; ' + changes.join(' ; ') : '');
             } catch (error) {
-                console.error('Erreur:', error);
+                alert('Erreur: ' + error.message);
             }
         }
         
-        function displayRendezVous() {
-            const rdvList = document.getElementById('rdvList');
-            if (rendezVous.length === 0) {
-                rdvList.innerHTML = '<p style="text-align: center; color: #718096; padding: 2rem;">Aucun rendez-vous programmé.</p>';
-                return;
-            }
+        async function restoreDocumentVersion(id, version) {
+            if (!confirm('Restaurer la version ' + version + ' ? Elle deviendra la version courante, l\\'historique est conservé.')) return;
             
-            rdvList.innerHTML = rendezVous.map(rdv => {
-                const dateRdv = new Date(rdv.date_rdv);
-                const dateStr = dateRdv.toLocaleDateString('fr-FR');
-                const timeStr = dateRdv.toLocaleTimeString('fr-FR', {hour: '2-digit', minute: '2-digit'});
-                const statusClass = 'status-' + (rdv.statut || 'prevu').replace(' ', '-');
-                
-                return '<div class="data-item">' +
-                    '<div class="data-item-header">' +
-                        '<div class="data-item-title">' + rdv.titre + '</div>' +
-                        '<div>' +
-                            '<span class="status-badge ' + statusClass + '">' + (rdv.statut || 'prévu') + '</span>' +
-                            '<span style="color: #667eea; font-weight: bold; margin-left: 0.5rem;">' + dateStr + ' ' + timeStr + '</span>' +
-                        '</div>' +
-                    '</div>' +
-                    '<div class="data-item-info">' +
-                        (rdv.lieu ? '<strong>Lieu :</strong> ' + rdv.lieu + '<br>' : '') +
-                        '<strong>Durée :</strong> ' + (rdv.duree || 60) + ' minutes' +
-                    '</div>' +
-                    '<div class="data-item-actions">' +
-                        '<button class="btn btn-info btn-sm" onclick="editRdv(' + rdv.id + ')">Modifier</button>' +
-                        '<button class="btn btn-danger btn-sm" onclick="deleteRdv(' + rdv.id + ')">Supprimer</button>' +
-                    '</div>' +
-                '</div>';
-            }).join('');
+            try {
+                const response = await authFetch('/api/documents/' + id + '/versions/' + version + '/restore', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: '{}'
+                });
+                if (response.ok) {
+                    await loadDocuments();
+                } else {
+                    const error = await response.json();
+                    alert('Erreur: ' + error.error);
+                }
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
         }
         
-        // FONCTIONS MODALS - CLIENTS
-        function openClientModal() {
-            editMode.client = false;
-            document.getElementById('clientModalTitle').textContent = 'Nouveau Client';
-            document.getElementById('clientForm').reset();
-            document.getElementById('clientId').value = '';
-            document.getElementById('clientModal').classList.add('active');
-        }
+        let versionDocumentId = null;
         
-        function closeClientModal() {
-            document.getElementById('clientModal').classList.remove('active');
+        function chooseDocumentVersion(id) {
+            versionDocumentId = id;
+            const input = document.getElementById('documentVersionFile');
+            input.value = '';
+            input.click();
         }
         
-        function editClient(id) {
-            const client = clients.find(c => c.id === id);
-            if (!client) return;
+        document.getElementById('documentVersionFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file || !versionDocumentId) return;
             
-            editMode.client = true;
-            document.getElementById('clientModalTitle').textContent = 'Modifier Client';
-            document.getElementById('clientId').value = client.id;
-            document.getElementById('clientPrenom').value = client.prenom || '';
-            document.getElementById('clientNom').value = client.nom || '';
-            document.getElementById('clientEmail').value = client.email || '';
-            document.getElementById('clientTelephone').value = client.telephone || '';
-            document.getElementById('clientAdresse').value = client.adresse || '';
-            document.getElementById('clientDateNaissance').value = client.date_naissance || '';
-            document.getElementById('clientProfession').value = client.profession || '';
-            document.getElementById('clientNotes').value = client.notes || '';
-            document.getElementById('clientModal').classList.add('active');
+            const formData = new FormData();
+            formData.append('commentaire', prompt('Commentaire pour cette version (optionnel) :') || '');
+            formData.append('file', file);
+            
+            try {
+                const response = await authFetch('/api/documents/' + versionDocumentId + '/versions', {
+                    method: 'POST',
+                    body: formData
+                });
+                if (response.ok) {
+                    await loadDocuments();
+                } else {
+                    const error = await response.json();
+                    alert('Erreur: ' + error.error);
+                }
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
+        });
+        
+        // Recherche plein texte : l'extrait est échappé avant de surligner les termes trouvés
+        function escapeHtml(value) {
+            return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
         }
         
-        document.getElementById('clientForm').addEventListener('submit', async (e) => {
+        document.getElementById('documentSearchForm').addEventListener('submit', async (e) => {
             e.preventDefault();
+            const q = document.getElementById('documentSearch').value.trim();
+            const results = document.getElementById('documentSearchResults');
+            if (!q) {
+                results.innerHTML = '';
+                return;
+            }
             
-            const formData = new FormData(e.target);
-            const clientData = {
-                prenom: formData.get('prenom'),
-                nom: formData.get('nom'),
-                email: formData.get('email'),
-                telephone: formData.get('telephone'),
-                adresse: formData.get('adresse'),
-                date_naissance: formData.get('date_naissance'),
-                profession: formData.get('profession'),
-                notes: formData.get('notes')
-            };
+            try {
+                const response = await authFetch('/api/documents/search?q=' + encodeURIComponent(q));
+                const data = await response.json();
+                if (!response.ok) {
+                    results.innerHTML = '<div class="error">' + data.error + '</div>';
+                    return;
+                }
+                
+                results.innerHTML = data.length === 0
+                    ? '<p style="color: #718096;">Aucun document ne correspond.</p>'
+                    : data.map(doc =>
+                        '<div class="document-item">' +
+                            '<div>' +
+                                '<strong>' + escapeHtml(doc.nom_original) + '</strong> (v' + doc.version + ') - ' +
+                                escapeHtml(doc.numero_dossier + ' : ' + doc.dossier_titre) +
+                                '<div class="document-meta">' +
+                                    escapeHtml(doc.extrait || '').replace(/\\[\\[/g, '<mark>').replace(/\\]\\]/g, '</mark>') +
+                                '</div>' +
+                            '</div>' +
+                            '<div class="data-item-actions">' +
+                                '<button class="btn btn-secondary btn-sm" onclick="openDocumentsModal(' + doc.dossier_id + ')">Ouvrir le dossier</button>' +
+                            '</div>' +
+                        '</div>'
+                    ).join('');
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
+        });
+        
+        async function deleteDocument(id) {
+            if (!confirm('Êtes-vous sûr de vouloir supprimer ce document ?')) return;
             
             try {
-                const clientId = document.getElementById('clientId').value;
-                const isEdit = editMode.client && clientId;
-                
-                const response = await fetch('/api/clients' + (isEdit ? '/' + clientId : ''), {
-                    method: isEdit ? 'PUT' : 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': 'Bearer ' + authToken
-                    },
-                    body: JSON.stringify(clientData)
-                });
-                
+                const response = await authFetch('/api/documents/' + id, { method: 'DELETE' });
                 if (response.ok) {
-                    closeClientModal();
-                    await loadClients();
-                    updateStats();
+                    await loadDocuments();
                 } else {
                     const error = await response.json();
                     alert('Erreur: ' + error.error);
@@ -1443,20 +7618,21 @@ app.get('/', (req, res) => {
             } catch (error) {
                 alert('Erreur: ' + error.message);
             }
-        });
+        }
         
-        async function deleteClient(id) {
-            if (!confirm('Êtes-vous sûr de vouloir supprimer ce client ?')) return;
+        // Envoi multipart : le navigateur fixe lui-même le Content-Type
+        document.getElementById('documentForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
             
             try {
-                const response = await fetch('/api/clients/' + id, {
-                    method: 'DELETE',
-                    headers: { 'Authorization': 'Bearer ' + authToken }
+                const response = await authFetch('/api/dossiers/' + documentsDossierId + '/documents', {
+                    method: 'POST',
+                    body: new FormData(e.target)
                 });
                 
                 if (response.ok) {
-                    await loadClients();
-                    updateStats();
+                    e.target.reset();
+                    await loadDocuments();
                 } else {
                     const error = await response.json();
                     alert('Erreur: ' + error.error);
@@ -1464,87 +7640,116 @@ app.get('/', (req, res) => {
             } catch (error) {
                 alert('Erreur: ' + error.message);
             }
+        });
+        
+        // Notes des dossiers : épinglées en tête, puis chronologie de la plus récente à la plus ancienne
+        const NOTE_TYPE_LABELS = { generale: 'Générale', audience: 'Audience', appel: 'Appel', strategie: 'Stratégie' };
+        let notes = [];
+        let notesDossierId = null;
+        
+        async function openNotesModal(dossierId) {
+            const dossier = dossiers.find(d => d.id === dossierId);
+            notesDossierId = dossierId;
+            document.getElementById('notesModalTitle').textContent = 'Notes - ' + (dossier ? dossier.numero_dossier : '');
+            document.getElementById('notesFilter').value = '';
+            resetNoteForm();
+            document.getElementById('notesList').innerHTML = '<p>Chargement des notes...</p>';
+            document.getElementById('notesModal').classList.add('active');
+            await loadNotes();
         }
         
-        // FONCTIONS MODALS - DOSSIERS
-        function openDossierModal() {
-            editMode.dossier = false;
-            document.getElementById('dossierModalTitle').textContent = 'Nouveau Dossier';
-            document.getElementById('dossierForm').reset();
-            document.getElementById('dossierId').value = '';
-            document.getElementById('dossierStatutGroup').style.display = 'none';
-            populateClientSelects();
-            
-            // Générer un numéro de dossier automatique
-            const year = new Date().getFullYear();
-            const nextNumber = String(dossiers.length + 1).padStart(4, '0');
-            document.getElementById('dossierNumero').value = 'DOS-' + year + '-' + nextNumber;
-            
-            document.getElementById('dossierModal').classList.add('active');
+        function closeNotesModal() {
+            document.getElementById('notesModal').classList.remove('active');
+            notesDossierId = null;
         }
         
-        function closeDossierModal() {
-            document.getElementById('dossierModal').classList.remove('active');
+        function resetNoteForm() {
+            document.getElementById('noteForm').reset();
+            clearFieldErrors(document.getElementById('noteForm'));
+            document.getElementById('noteId').value = '';
+            document.getElementById('noteEpingle').disabled = false;
+            document.getElementById('noteSubmit').textContent = 'Ajouter la note';
         }
         
-        function editDossier(id) {
-            const dossier = dossiers.find(d => d.id === id);
-            if (!dossier) return;
-            
-            editMode.dossier = true;
-            document.getElementById('dossierModalTitle').textContent = 'Modifier Dossier';
-            document.getElementById('dossierId').value = dossier.id;
-            document.getElementById('dossierNumero').value = dossier.numero_dossier || '';
-            document.getElementById('dossierClient').value = dossier.client_id || '';
-            document.getElementById('dossierTitre').value = dossier.titre || '';
-            document.getElementById('dossierDescription').value = dossier.description || '';
-            document.getElementById('dossierType').value = dossier.type_affaire || '';
-            document.getElementById('dossierPriorite').value = dossier.priorite || 'normale';
-            document.getElementById('dossierAvocat').value = dossier.avocat_responsable || '';
-            
-            // Afficher le champ statut en mode édition
-            document.getElementById('dossierStatutGroup').style.display = 'block';
-            document.getElementById('dossierStatut').value = dossier.statut || 'ouvert';
-            
-            populateClientSelects();
-            document.getElementById('dossierModal').classList.add('active');
+        async function loadNotes() {
+            try {
+                const response = await authFetch('/api/dossiers/' + notesDossierId + '/notes');
+                if (response.ok) {
+                    notes = await response.json();
+                    displayNotes();
+                } else {
+                    const error = await response.json();
+                    document.getElementById('notesList').innerHTML = '<div class="error">' + error.error + '</div>';
+                }
+            } catch (error) {
+                console.error('Erreur:', error);
+            }
         }
         
-        document.getElementById('dossierForm').addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const formData = new FormData(e.target);
-            const dossierData = {
-                numero_dossier: formData.get('numero_dossier'),
-                client_id: formData.get('client_id'),
-                titre: formData.get('titre'),
-                description: formData.get('description'),
-                type_affaire: formData.get('type_affaire'),
-                priorite: formData.get('priorite'),
-                avocat_responsable: formData.get('avocat_responsable')
-            };
+        function noteItem(note) {
+            const edited = note.updated_at && new Date(note.updated_at) - new Date(note.created_at) > 1000;
+            return '<div class="note-item' + (note.epingle ? ' note-pinned' : '') + '">' +
+                '<div class="data-item-header">' +
+                    '<div>' +
+                        '<span class="status-badge status-prevu">' + (NOTE_TYPE_LABELS[note.type_note] || note.type_note) + '</span>' +
+                        (note.epingle ? ' 📌' : '') +
+                    '</div>' +
+                    '<div class="data-item-actions">' +
+                        (can('dossiers:write') ? '<button class="btn btn-secondary btn-sm" onclick="toggleNotePin(' + note.id + ')">' + (note.epingle ? 'Désépingler' : 'Épingler') + '</button>' : '') +
+                        (note.modifiable && can('dossiers:write') ? '<button class="btn btn-warning btn-sm" onclick="editNote(' + note.id + ')">Modifier</button>' : '') +
+                        (note.modifiable && can('dossiers:write') ? '<button class="btn btn-danger btn-sm" onclick="deleteNote(' + note.id + ')">Supprimer</button>' : '') +
+                    '</div>' +
+                '</div>' +
+                '<div class="note-content">' + escapeHtml(note.contenu) + '</div>' +
+                '<div class="document-meta">' +
+                    new Date(note.created_at).toLocaleString('fr-FR') +
+                    ' - ' + (note.auteur ? escapeHtml(note.auteur) : 'auteur supprimé') +
+                    (edited ? ' (modifiée le ' + new Date(note.updated_at).toLocaleString('fr-FR') + ')' : '') +
+                '</div>' +
+            '</div>';
+        }
+        
+        function displayNotes() {
+            const list = document.getElementById('notesList');
+            const type = document.getElementById('notesFilter').value;
+            const filtered = notes.filter(note => !type || note.type_note === type);
+            if (filtered.length === 0) {
+                list.innerHTML = '<p style="text-align: center; color: #718096; padding: 1rem;">Aucune note pour ce dossier.</p>';
+                return;
+            }
             
-            const dossierId = document.getElementById('dossierId').value;
-            const isEdit = editMode.dossier && dossierId;
+            const pinned = filtered.filter(note => note.epingle);
+            list.innerHTML =
+                (pinned.length ? '<h4>Notes épinglées</h4>' + pinned.map(noteItem).join('') : '') +
+                '<h4>Chronologie</h4>' +
+                '<div class="notes-timeline">' + filtered.map(noteItem).join('') + '</div>';
+        }
+        
+        function editNote(id) {
+            const note = notes.find(n => n.id === id);
+            if (!note) return;
             
-            if (isEdit) {
-                dossierData.statut = formData.get('statut');
-            }
+            document.getElementById('noteId').value = note.id;
+            document.getElementById('noteType').value = note.type_note;
+            document.getElementById('noteContenu').value = note.contenu;
+            document.getElementById('noteEpingle').checked = note.epingle;
+            document.getElementById('noteEpingle').disabled = true;
+            document.getElementById('noteSubmit').textContent = 'Enregistrer la note';
+            document.getElementById('noteContenu').focus();
+        }
+        
+        async function toggleNotePin(id) {
+            const note = notes.find(n => n.id === id);
+            if (!note) return;
             
             try {
-                const response = await fetch('/api/dossiers' + (isEdit ? '/' + dossierId : ''), {
-                    method: isEdit ? 'PUT' : 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': 'Bearer ' + authToken
-                    },
-                    body: JSON.stringify(dossierData)
+                const response = await authFetch('/api/notes/' + id + '/epingle', {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ epingle: !note.epingle })
                 });
-                
                 if (response.ok) {
-                    closeDossierModal();
-                    await loadDossiers();
-                    updateStats();
+                    await loadNotes();
                 } else {
                     const error = await response.json();
                     alert('Erreur: ' + error.error);
@@ -1552,20 +7757,15 @@ app.get('/', (req, res) => {
             } catch (error) {
                 alert('Erreur: ' + error.message);
             }
-        });
+        }
         
-        async function deleteDossier(id) {
-            if (!confirm('Êtes-vous sûr de vouloir supprimer ce dossier ?')) return;
+        async function deleteNote(id) {
+            if (!confirm('Supprimer cette note ?')) return;
             
             try {
-                const response = await fetch('/api/dossiers/' + id, {
-                    method: 'DELETE',
-                    headers: { 'Authorization': 'Bearer ' + authToken }
-                });
-                
+                const response = await authFetch('/api/notes/' + id, { method: 'DELETE' });
                 if (response.ok) {
-                    await loadDossiers();
-                    updateStats();
+                    await loadNotes();
                 } else {
                     const error = await response.json();
                     alert('Erreur: ' + error.error);
@@ -1575,135 +7775,205 @@ app.get('/', (req, res) => {
             }
         }
         
-        // FONCTIONS MODALS - RENDEZ-VOUS
-        function openRdvModal() {
-            editMode.rdv = false;
-            document.getElementById('rdvModalTitle').textContent = 'Nouveau Rendez-vous';
-            document.getElementById('rdvForm').reset();
-            document.getElementById('rdvId').value = '';
-            document.getElementById('rdvStatutGroup').style.display = 'none';
-            
-            // Date par défaut : demain à 10h
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            tomorrow.setHours(10, 0, 0, 0);
-            document.getElementById('rdvDate').value = tomorrow.toISOString().slice(0, 16);
-            
-            populateClientSelects();
-            populateDossierSelect();
-            document.getElementById('rdvModal').classList.add('active');
-        }
-        
-        function closeRdvModal() {
-            document.getElementById('rdvModal').classList.remove('active');
-        }
-        
-        function editRdv(id) {
-            const rdv = rendezVous.find(r => r.id === id);
-            if (!rdv) return;
-            
-            editMode.rdv = true;
-            document.getElementById('rdvModalTitle').textContent = 'Modifier Rendez-vous';
-            document.getElementById('rdvId').value = rdv.id;
-            document.getElementById('rdvTitre').value = rdv.titre || '';
-            document.getElementById('rdvClient').value = rdv.client_id || '';
-            document.getElementById('rdvDossier').value = rdv.dossier_id || '';
-            document.getElementById('rdvDescription').value = rdv.description || '';
-            document.getElementById('rdvDuree').value = rdv.duree || 60;
-            document.getElementById('rdvLieu').value = rdv.lieu || '';
-            
-            // Formater la date pour datetime-local
-            if (rdv.date_rdv) {
-                const date = new Date(rdv.date_rdv);
-                document.getElementById('rdvDate').value = date.toISOString().slice(0, 16);
-            }
-            
-            // Afficher le champ statut en mode édition
-            document.getElementById('rdvStatutGroup').style.display = 'block';
-            document.getElementById('rdvStatut').value = rdv.statut || 'prevu';
-            
-            populateClientSelects();
-            populateDossierSelect();
-            document.getElementById('rdvModal').classList.add('active');
-        }
-        
-        document.getElementById('rdvForm').addEventListener('submit', async (e) => {
+        document.getElementById('noteForm').addEventListener('submit', async (e) => {
             e.preventDefault();
-            
-            const formData = new FormData(e.target);
-            const rdvData = {
-                titre: formData.get('titre'),
-                client_id: formData.get('client_id'),
-                dossier_id: formData.get('dossier_id') || null,
-                description: formData.get('description'),
-                date_rdv: formData.get('date_rdv'),
-                duree: formData.get('duree'),
-                lieu: formData.get('lieu')
+            const id = document.getElementById('noteId').value;
+            const data = {
+                contenu: document.getElementById('noteContenu').value,
+                type_note: document.getElementById('noteType').value
             };
-            
-            const rdvId = document.getElementById('rdvId').value;
-            const isEdit = editMode.rdv && rdvId;
-            
-            if (isEdit) {
-                rdvData.statut = formData.get('statut');
-            }
+            if (!id) data.epingle = document.getElementById('noteEpingle').checked;
             
             try {
-                const response = await fetch('/api/rendez-vous' + (isEdit ? '/' + rdvId : ''), {
-                    method: isEdit ? 'PUT' : 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': 'Bearer ' + authToken
-                    },
-                    body: JSON.stringify(rdvData)
+                const response = await authFetch(id ? '/api/notes/' + id : '/api/dossiers/' + notesDossierId + '/notes', {
+                    method: id ? 'PUT' : 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(data)
                 });
-                
                 if (response.ok) {
-                    closeRdvModal();
-                    await loadRendezVous();
-                    updateStats();
+                    resetNoteForm();
+                    await loadNotes();
                 } else {
                     const error = await response.json();
-                    alert('Erreur: ' + error.error);
+                    showFormErrors(e.target, error);
                 }
             } catch (error) {
                 alert('Erreur: ' + error.message);
             }
         });
         
-        async function deleteRdv(id) {
-            if (!confirm('Êtes-vous sûr de vouloir supprimer ce rendez-vous ?')) return;
-            
+        // Recherche globale (barre du haut) : suggestions au fil de la saisie, navigation au clavier
+        const SEARCH_TYPE_LABELS = { client: 'Client', dossier: 'Dossier', rendez_vous: 'Rendez-vous', 'case': 'Affaire', note: 'Note' };
+        let globalSearchResults = [];
+        let globalSearchIndex = -1;
+        let globalSearchTimer = null;
+        
+        function closeGlobalSearch() {
+            document.getElementById('globalSearchResults').classList.remove('active');
+            globalSearchIndex = -1;
+        }
+        
+        function displayGlobalSearch() {
+            const container = document.getElementById('globalSearchResults');
+            container.innerHTML = globalSearchResults.length === 0
+                ? '<div class="search-result">Aucun résultat</div>'
+                : globalSearchResults.map((result, index) =>
+                    '<div class="search-result' + (index === globalSearchIndex ? ' selected' : '') + '" onmousedown="jumpToSearchResult(' + index + ')">' +
+                        '<span class="status-badge status-prevu">' + SEARCH_TYPE_LABELS[result.type] + '</span> ' +
+                        '<strong>' + escapeHtml(result.titre || '') + '</strong>' +
+                        (result.detail ? '<span class="document-meta">' + escapeHtml(result.detail) + '</span>' : '') +
+                    '</div>'
+                ).join('');
+            container.classList.add('active');
+        }
+        
+        async function runGlobalSearch(q) {
             try {
-                const response = await fetch('/api/rendez-vous/' + id, {
-                    method: 'DELETE',
-                    headers: { 'Authorization': 'Bearer ' + authToken }
-                });
+                const response = await authFetch('/api/search?q=' + encodeURIComponent(q));
+                if (!response.ok) return;
+                // Ignore une réponse arrivée après une nouvelle saisie
+                if (document.getElementById('globalSearch').value.trim() !== q) return;
                 
-                if (response.ok) {
-                    await loadRendezVous();
-                    updateStats();
-                } else {
-                    const error = await response.json();
-                    alert('Erreur: ' + error.error);
-                }
+                globalSearchResults = await response.json();
+                globalSearchIndex = -1;
+                displayGlobalSearch();
             } catch (error) {
-                alert('Erreur: ' + error.message);
+                console.error('Erreur:', error);
+            }
+        }
+        
+        // Affiche la section de la liste, filtrée sur le résultat choisi
+        function jumpToList(name, sectionName, value) {
+            listState[name].q = value || '';
+            listState[name].offset = 0;
+            document.getElementById(name + 'Search').value = value || '';
+            showSection(sectionName, document.querySelector('.nav-link[onclick*="\\'' + sectionName + '\\'"]'));
+        }
+        
+        function jumpToSearchResult(index) {
+            const result = globalSearchResults[index];
+            if (!result) return;
+            
+            closeGlobalSearch();
+            document.getElementById('globalSearch').value = '';
+            switch (result.type) {
+                case 'client': jumpToList('clients', 'clients', result.filtre); break;
+                case 'dossier': jumpToList('dossiers', 'dossiers', result.filtre); break;
+                case 'rendez_vous': jumpToList('rendezVous', 'rendez-vous', result.filtre); break;
+                case 'note': openNotesModal(result.dossier_id); break;
+                // Les affaires sont gérées dans l'application de comptabilité
+                case 'case': location.href = '/index.html#semaine-courante'; break;
             }
         }
         
+        document.getElementById('globalSearch').addEventListener('input', (e) => {
+            clearTimeout(globalSearchTimer);
+            const q = e.target.value.trim();
+            if (q.length < 2) {
+                closeGlobalSearch();
+                return;
+            }
+            globalSearchTimer = setTimeout(() => runGlobalSearch(q), 250);
+        });
+        
+        document.getElementById('globalSearch').addEventListener('keydown', (e) => {
+            if (!document.getElementById('globalSearchResults').classList.contains('active')) return;
+            
+            if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && globalSearchResults.length) {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                globalSearchIndex = (globalSearchIndex + step + globalSearchResults.length) % globalSearchResults.length;
+                displayGlobalSearch();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                jumpToSearchResult(globalSearchIndex >= 0 ? globalSearchIndex : 0);
+            } else if (e.key === 'Escape') {
+                closeGlobalSearch();
+            }
+        });
+        
+        document.getElementById('globalSearch').addEventListener('blur', closeGlobalSearch);
+        
         // Fermer les modals en cliquant à l'extérieur
         document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal')) {
+            const forcedPassword = e.target.id === 'passwordModal' && currentUser && currentUser.must_change_password;
+            if (e.target.classList.contains('modal') && !forcedPassword) {
                 e.target.classList.remove('active');
             }
         });
         
-        function logout() {
+        // forced : mot de passe provisoire, la fenetre ne peut pas etre fermee
+        function openPasswordModal(forced) {
+            document.getElementById('passwordForm').reset();
+            document.getElementById('passwordNotice').innerHTML = forced
+                ? '<div class="error">Vous utilisez un mot de passe provisoire : choisissez un nouveau mot de passe pour continuer.</div>'
+                : '';
+            document.getElementById('passwordModalClose').style.display = forced ? 'none' : '';
+            document.getElementById('passwordModalCancel').style.display = forced ? 'none' : '';
+            document.getElementById('passwordModal').classList.add('active');
+        }
+        
+        function closePasswordModal() {
+            document.getElementById('passwordModal').classList.remove('active');
+        }
+        
+        document.getElementById('passwordForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const formData = new FormData(e.target);
+            if (formData.get('new_password') !== formData.get('confirm_password')) {
+                alert('La confirmation ne correspond pas au nouveau mot de passe');
+                return;
+            }
+            
+            try {
+                const response = await authFetch('/api/me/password', {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        current_password: formData.get('current_password'),
+                        new_password: formData.get('new_password')
+                    })
+                });
+                
+                const data = await response.json();
+                if (response.ok) {
+                    const wasForced = currentUser && currentUser.must_change_password;
+                    authToken = data.token;
+                    currentUser = data.user;
+                    localStorage.setItem('authToken', authToken);
+                    localStorage.setItem('user', JSON.stringify(data.user));
+                    closePasswordModal();
+                    alert('Mot de passe modifié avec succès');
+                    if (wasForced) {
+                        loadAllData();
+                    }
+                } else {
+                    alert('Erreur: ' + data.error);
+                }
+            } catch (error) {
+                alert('Erreur: ' + error.message);
+            }
+        });
+        
+        function endSession() {
             localStorage.removeItem('authToken');
+            localStorage.removeItem('refreshToken');
             localStorage.removeItem('user');
             location.reload();
         }
+        
+        async function logout() {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (refreshToken) {
+                await fetch('/api/logout', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refresh_token: refreshToken })
+                }).catch(() => {});
+            }
+            endSession();
+        }
     </script>
 </body>
 </html>`);
@@ -1716,16 +7986,24 @@ app.get('/health', (req, res) => {
 
 // Gestion des erreurs
 app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Corps de requete JSON invalide' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Corps de requete trop volumineux' });
+  }
   console.error('Erreur serveur:', error);
   res.status(500).json({ error: 'Erreur interne du serveur' });
 });
 
-// Démarrage du serveur
+// Démarrage du serveur (les tests chargent le module sans ouvrir de port)
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Cabinet d'Avocats démarré sur le port ${PORT}`);
-  console.log(`Interface: http://localhost:${PORT}`);
-});
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Cabinet d'Avocats démarré sur le port ${PORT}`);
+    console.log(`Interface: http://localhost:${PORT}`);
+  });
+}
 
 // Gestion des erreurs non capturées
 process.on('unhandledRejection', (reason, promise) => {
@@ -1735,6 +8013,6 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('uncaughtException', (error) => {
   console.error('Uncaught Exception:', error);
   process.exit(1);
-});.nom ? '<strong>Client :</strong> ' + rdv.prenom + ' ' + rdv.nom + '<br>' : '') +
-                        (rdv.dossier_titre ? '<strong>Dossier :</strong> ' + rdv.dossier_titre + '<br>' : '') +
-                        (rdv
+});
+
+module.exports = { checkField, validateBody, handleDbError, parseForfait, priceCase, computePayslips, weeksInPeriod };
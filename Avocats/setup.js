@@ -78,12 +78,16 @@ async function createTables() {
         username VARCHAR(50) UNIQUE NOT NULL,
         email VARCHAR(100) UNIQUE NOT NULL,
         password_hash VARCHAR(255) NOT NULL,
-        role VARCHAR(20) DEFAULT 'user',
+        role VARCHAR(20) DEFAULT 'secretaire',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
+    // Rôles : admin, associe, avocat, secretaire, comptable (l'ancien rôle 'user' devient 'secretaire')
+    await client.query("ALTER TABLE users ALTER COLUMN role SET DEFAULT 'secretaire'");
+    await client.query("UPDATE users SET role = 'secretaire' WHERE role = 'user' OR role IS NULL");
+
     // Table des clients
     await client.query(`
       CREATE TABLE IF NOT EXISTS clients (
@@ -154,6 +158,46 @@ async function createTables() {
       )
     `);
 
+    // Documents : stockage utilisé (disque local, S3...) et empreinte SHA-256 du fichier
+    await client.query("ALTER TABLE documents ADD COLUMN IF NOT EXISTS stockage VARCHAR(20) DEFAULT 'local'");
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS checksum VARCHAR(64)');
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1');
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS contenu_texte TEXT');
+    await client.query('ALTER TABLE documents ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+
+    // Versions des documents (la ligne documents reprend la version courante)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS document_versions (
+        id SERIAL PRIMARY KEY,
+        document_id INTEGER NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        nom_fichier VARCHAR(255) NOT NULL,
+        chemin_fichier VARCHAR(500) NOT NULL,
+        nom_original VARCHAR(255) NOT NULL,
+        type_fichier VARCHAR(100),
+        taille_fichier INTEGER,
+        checksum VARCHAR(64),
+        stockage VARCHAR(20) DEFAULT 'local',
+        contenu_texte TEXT,
+        commentaire TEXT,
+        restored_from INTEGER,
+        uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (document_id, version)
+      )
+    `);
+
+    // Documents envoyés avant le versionnement : leur fichier devient la version 1
+    await client.query(`
+      INSERT INTO document_versions (document_id, version, nom_fichier, chemin_fichier, nom_original,
+        type_fichier, taille_fichier, checksum, stockage, contenu_texte, uploaded_by, created_at)
+      SELECT d.id, 1, d.nom_fichier, d.chemin_fichier, d.nom_original, d.type_fichier, d.taille_fichier,
+        d.checksum, d.stockage, d.contenu_texte, d.uploaded_by, d.created_at
+      FROM documents d
+      LEFT JOIN document_versions v ON v.document_id = d.id
+      WHERE v.id IS NULL
+    `);
+
     // Table des notes
     await client.query(`
       CREATE TABLE IF NOT EXISTS notes (
@@ -167,6 +211,307 @@ async function createTables() {
       )
     `);
 
+    // Notes épinglées en tête de la chronologie du dossier
+    await client.query('ALTER TABLE notes ADD COLUMN IF NOT EXISTS epingle BOOLEAN DEFAULT false');
+
+    // Verrouillage optimiste : version incrémentée à chaque modification (ETag / If-Match)
+    await client.query('ALTER TABLE clients ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1');
+    await client.query('ALTER TABLE dossiers ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1');
+    await client.query('ALTER TABLE rendez_vous ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1');
+
+    // Corbeille : clients et dossiers supprimés conservés jusqu'à la purge (durée TRASH_RETENTION_DAYS)
+    await client.query('ALTER TABLE clients ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+    await client.query('ALTER TABLE clients ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE dossiers ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+    await client.query('ALTER TABLE dossiers ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+
+    // Table des employés
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS employees (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        role VARCHAR(100) NOT NULL,
+        salary INTEGER NOT NULL,
+        commission INTEGER NOT NULL,
+        hire_date DATE NOT NULL,
+        status VARCHAR(50) DEFAULT 'Actif',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Comptes utilisateurs : désactivation, mot de passe provisoire, lien vers la fiche employé
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS active BOOLEAN DEFAULT TRUE');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT FALSE');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP');
+
+    // Double authentification (TOTP) : secret chiffré, dernier pas utilisé (anti-rejeu)
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(255)');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP');
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_counter INTEGER');
+
+    // Codes de secours 2FA (hachés, à usage unique)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Rôles pour lesquels la double authentification est obligatoire
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_policies (
+        role VARCHAR(20) PRIMARY KEY,
+        required BOOLEAN NOT NULL DEFAULT FALSE,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Journal des tentatives de connexion (limitation par compte et par adresse IP)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id SERIAL PRIMARY KEY,
+        email VARCHAR(100),
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ip VARCHAR(64),
+        user_agent VARCHAR(255),
+        success BOOLEAN,
+        reason VARCHAR(50) NOT NULL,
+        unlocked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Journal d'audit des créations, modifications et suppressions (détail champ par champ)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        entity_type VARCHAR(30) NOT NULL,
+        entity_id INTEGER NOT NULL,
+        action VARCHAR(10) NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ip VARCHAR(64),
+        changes JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Sessions de connexion : refresh token haché (rotation à chaque renouvellement)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+        previous_token_hash VARCHAR(64),
+        user_agent TEXT,
+        ip VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        rotated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      )
+    `);
+
+    // Table des affaires
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS cases (
+        id SERIAL PRIMARY KEY,
+        client VARCHAR(255) NOT NULL,
+        type VARCHAR(100) NOT NULL,
+        lawyer VARCHAR(255) NOT NULL,
+        honoraires INTEGER NOT NULL,
+        frais INTEGER DEFAULT 0,
+        status VARCHAR(50) DEFAULT 'En cours',
+        description TEXT,
+        week VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Table des services (catalogue des tarifs)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS services (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(255) NOT NULL UNIQUE,
+        tarif INTEGER NOT NULL,
+        forfait VARCHAR(100),
+        commission INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Historique des tarifs : une ligne par période de validité (valid_to NULL = tarif en vigueur).
+    // Le type est recopié pour pouvoir valoriser les anciennes affaires même si le service est supprimé.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS service_prices (
+        id SERIAL PRIMARY KEY,
+        service_id INTEGER REFERENCES services(id) ON DELETE SET NULL,
+        service_type VARCHAR(255) NOT NULL,
+        tarif INTEGER NOT NULL,
+        forfait VARCHAR(100),
+        commission INTEGER NOT NULL,
+        valid_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        valid_to TIMESTAMP,
+        changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // Tarification des affaires : heures déclarées, commission appliquée et tarif utilisé
+    await client.query('ALTER TABLE cases ADD COLUMN IF NOT EXISTS hours NUMERIC(6,2)');
+    await client.query('ALTER TABLE cases ADD COLUMN IF NOT EXISTS commission INTEGER');
+    await client.query('ALTER TABLE cases ADD COLUMN IF NOT EXISTS service_price_id INTEGER REFERENCES service_prices(id) ON DELETE SET NULL');
+
+    // Clôtures de semaine : totaux figés, jamais modifiés après insertion
+    // (une réouverture renseigne seulement reopened_* et le motif)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS week_snapshots (
+        id SERIAL PRIMARY KEY,
+        week VARCHAR(20) NOT NULL,
+        total_cases INTEGER NOT NULL DEFAULT 0,
+        total_revenue INTEGER NOT NULL DEFAULT 0,
+        total_expenses INTEGER NOT NULL DEFAULT 0,
+        profit INTEGER NOT NULL DEFAULT 0,
+        completed_cases INTEGER NOT NULL DEFAULT 0,
+        ongoing_cases INTEGER NOT NULL DEFAULT 0,
+        cases JSONB NOT NULL DEFAULT '[]',
+        closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        closed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reopened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        reopened_at TIMESTAMP,
+        reopen_reason TEXT
+      )
+    `);
+
+    // Calculs de paie : un run par calcul, brouillon -> approuve -> paye
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payroll_runs (
+        id SERIAL PRIMARY KEY,
+        week VARCHAR(20) NOT NULL,
+        status VARCHAR(20) DEFAULT 'brouillon',
+        total_amount INTEGER NOT NULL DEFAULT 0,
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        approved_at TIMESTAMP,
+        paid_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        paid_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Fiches de paie (valeurs recopiées pour ne pas dépendre des modifications ultérieures)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payslips (
+        id SERIAL PRIMARY KEY,
+        payroll_run_id INTEGER REFERENCES payroll_runs(id) ON DELETE CASCADE,
+        employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+        employee_name VARCHAR(255) NOT NULL,
+        employee_role VARCHAR(100),
+        base_salary INTEGER NOT NULL DEFAULT 0,
+        commission_rate INTEGER NOT NULL DEFAULT 0,
+        cases_handled INTEGER NOT NULL DEFAULT 0,
+        revenue_generated INTEGER NOT NULL DEFAULT 0,
+        commission_amount INTEGER NOT NULL DEFAULT 0,
+        deductions INTEGER NOT NULL DEFAULT 0,
+        total INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+    // Frais généraux du cabinet (loyer, fournitures...), hors frais rattachés aux affaires
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS expenses (
+        id SERIAL PRIMARY KEY,
+        expense_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        category VARCHAR(100) NOT NULL,
+        description TEXT,
+        amount INTEGER NOT NULL CHECK (amount >= 0),
+        created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Frais généraux : rattachement optionnel à un dossier ou un employé, justificatif joint
+    await client.query('ALTER TABLE expenses ADD COLUMN IF NOT EXISTS dossier_id INTEGER REFERENCES dossiers(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE expenses ADD COLUMN IF NOT EXISTS employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL');
+    await client.query('ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_path VARCHAR(500)');
+    await client.query('ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_name VARCHAR(255)');
+    await client.query('ALTER TABLE expenses ADD COLUMN IF NOT EXISTS receipt_mime VARCHAR(100)');
+
+    // Vue des statistiques par semaine
+    await client.query(`
+      CREATE OR REPLACE VIEW weekly_stats AS
+      SELECT
+        week,
+        COUNT(*) as total_cases,
+        SUM(honoraires) as total_revenue,
+        SUM(frais) as total_expenses,
+        SUM(honoraires) - SUM(frais) as profit,
+        COUNT(CASE WHEN status = 'Terminé' THEN 1 END) as completed_cases,
+        COUNT(CASE WHEN status = 'En cours' THEN 1 END) as ongoing_cases
+      FROM cases
+      GROUP BY week
+      ORDER BY week DESC
+    `);
+
+    // Performances par avocat : commission au taux de chaque affaire (à défaut celui de l'employé).
+    // DROP préalable car le type de total_commission a changé (CREATE OR REPLACE refuse).
+    await client.query('DROP VIEW IF EXISTS lawyer_performance');
+    await client.query(`
+      CREATE VIEW lawyer_performance AS
+      SELECT
+        e.name,
+        e.role,
+        e.salary,
+        e.commission,
+        COUNT(c.id) as cases_handled,
+        COALESCE(SUM(c.honoraires), 0) as revenue_generated,
+        COALESCE(ROUND(SUM(c.honoraires * COALESCE(c.commission, e.commission) / 100.0)), 0) as total_commission
+      FROM employees e
+      LEFT JOIN cases c ON e.name = c.lawyer
+      WHERE e.status = 'Actif'
+      GROUP BY e.id, e.name, e.role, e.salary, e.commission
+      ORDER BY revenue_generated DESC
+    `);
+
+    // Tableau de bord : semaine ISO courante (IYYY-"W"IW), même format que cases.week
+    await client.query(`
+      CREATE OR REPLACE VIEW dashboard_stats AS
+      SELECT
+        (SELECT COUNT(*) FROM employees WHERE status = 'Actif') as active_employees,
+        (SELECT COUNT(*) FROM cases WHERE week = TO_CHAR(CURRENT_DATE, 'IYYY-"W"IW')) as current_week_cases,
+        (SELECT COALESCE(SUM(honoraires), 0) FROM cases WHERE week = TO_CHAR(CURRENT_DATE, 'IYYY-"W"IW')) as current_week_revenue,
+        (SELECT COALESCE(SUM(frais), 0) FROM cases WHERE week = TO_CHAR(CURRENT_DATE, 'IYYY-"W"IW')) as current_week_expenses
+    `);
+
+    // Recherche globale : configuration plein texte française insensible aux accents
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'fr_unaccent') THEN
+          CREATE TEXT SEARCH CONFIGURATION fr_unaccent (COPY = french);
+        END IF;
+      END
+      $$
+    `);
+    try {
+      await client.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+      await client.query('ALTER TEXT SEARCH CONFIGURATION fr_unaccent ALTER MAPPING FOR hword, hword_part, word WITH unaccent, french_stem');
+    } catch (error) {
+      // Sans l'extension, la recherche reste fonctionnelle mais sensible aux accents
+      console.warn('⚠️  Extension unaccent indisponible:', error.message);
+    }
+
     // Index pour améliorer les performances
     await client.query('CREATE INDEX IF NOT EXISTS idx_clients_email ON clients(email)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_dossiers_numero ON dossiers(numero_dossier)');
@@ -174,7 +519,56 @@ async function createTables() {
     await client.query('CREATE INDEX IF NOT EXISTS idx_rdv_date ON rendez_vous(date_rdv)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_rdv_client ON rendez_vous(client_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_documents_dossier ON documents(dossier_id)');
+    // Recherche plein texte dans le contenu des documents (même expression que server.js)
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_documents_search ON documents
+      USING GIN (to_tsvector('french', COALESCE(nom_original, '') || ' ' || COALESCE(contenu_texte, '')))
+    `);
     await client.query('CREATE INDEX IF NOT EXISTS idx_notes_dossier ON notes(dossier_id)');
+    // Recherche globale (mêmes expressions que SEARCH_SOURCES dans server.js)
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_clients_search ON clients
+      USING GIN (to_tsvector('fr_unaccent', COALESCE(nom, '') || ' ' || COALESCE(prenom, '') || ' ' ||
+        translate(COALESCE(email, ''), '@.-_', '    ') || ' ' || COALESCE(telephone, '')))
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_dossiers_search ON dossiers
+      USING GIN (to_tsvector('fr_unaccent', COALESCE(numero_dossier, '') || ' ' || COALESCE(titre, '')))
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_rdv_search ON rendez_vous
+      USING GIN (to_tsvector('fr_unaccent', COALESCE(titre, '') || ' ' || COALESCE(lieu, '')))
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_cases_search ON cases
+      USING GIN (to_tsvector('fr_unaccent', COALESCE(client, '') || ' ' || COALESCE(type, '') || ' ' || COALESCE(description, '')))
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notes_search ON notes
+      USING GIN (to_tsvector('fr_unaccent', COALESCE(contenu, '')))
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_employees_status ON employees(status)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_employee ON users(employee_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON recovery_codes(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts(email, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_cases_week ON cases(week)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_cases_lawyer ON cases(lawyer)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_cases_status ON cases(status)');
+    // Une seule clôture active (non rouverte) par semaine
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_week_snapshots_active ON week_snapshots(week) WHERE reopened_at IS NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payroll_runs_week ON payroll_runs(week)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_service_prices_type ON service_prices(service_type, valid_from)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_payslips_run ON payslips(payroll_run_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_expenses_date ON expenses(expense_date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_expenses_category ON expenses(category)');
+    // Un seul run approuvé ou payé par semaine
+    await client.query("CREATE UNIQUE INDEX IF NOT EXISTS idx_payroll_runs_validated ON payroll_runs(week) WHERE status <> 'brouillon'");
 
     console.log('✅ Tables créées avec succès');
 
@@ -204,14 +598,14 @@ async function createDefaultAdmin() {
       const passwordHash = await bcrypt.hash('admin123', 10);
       
       await client.query(`
-        INSERT INTO users (username, email, password_hash, role)
-        VALUES ($1, $2, $3, $4)
+        INSERT INTO users (username, email, password_hash, role, must_change_password)
+        VALUES ($1, $2, $3, $4, TRUE)
       `, ['admin', 'admin@cabinet.com', passwordHash, 'admin']);
       
       console.log('✅ Utilisateur admin créé');
       console.log('📧 Email: admin@cabinet.com');
       console.log('🔑 Mot de passe: admin123');
-      console.log('⚠️  Pensez à changer ce mot de passe !');
+      console.log('⚠️  Ce mot de passe devra être changé à la première connexion');
     } else {
       console.log('👤 Utilisateur admin existant trouvé');
     }
@@ -224,6 +618,48 @@ async function createDefaultAdmin() {
   }
 }
 
+// Fonction pour créer le catalogue de services par défaut
+async function createDefaultServices() {
+  const config = getDbConfig();
+  const client = new Client(config);
+  
+  try {
+    await client.connect();
+    
+    const result = await client.query(`
+      INSERT INTO services (type, tarif, forfait, commission) VALUES
+      ('Consultation', 150, '-', 20),
+      ('Affaire Pénale', 250, '3000€', 25),
+      ('Divorce', 200, '2500€', 20),
+      ('Commercial', 300, '5000€', 30),
+      ('Immobilier', 180, '1500€', 18),
+      ('Contrat', 220, '2000€', 22),
+      ('Civil', 200, '2200€', 20),
+      ('Succession', 180, '1800€', 18),
+      ('Travail', 190, '2100€', 19),
+      ('Assurance', 170, '1600€', 17)
+      ON CONFLICT (type) DO NOTHING
+    `);
+    
+    // Tarif initial dans l'historique pour les services qui n'en ont pas encore
+    await client.query(`
+      INSERT INTO service_prices (service_id, service_type, tarif, forfait, commission, valid_from)
+      SELECT s.id, s.type, s.tarif, s.forfait, s.commission, s.created_at
+      FROM services s
+      LEFT JOIN service_prices p ON p.service_type = s.type
+      WHERE p.id IS NULL
+    `);
+    
+    console.log(`💼 Catalogue de services prêt (${result.rowCount} ajouté(s))`);
+    
+  } catch (error) {
+    console.error('❌ Erreur lors de la création des services:', error.message);
+    throw error;
+  } finally {
+    await client.end();
+  }
+}
+
 // Fonction principale
 async function main() {
   try {
@@ -239,6 +675,9 @@ async function main() {
     // Création de l'admin par défaut
     await createDefaultAdmin();
     
+    // Catalogue de services par défaut
+    await createDefaultServices();
+    
     console.log('🎉 Configuration terminée avec succès !');
     
   } catch (error) {
@@ -255,4 +694,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { testConnection, createTables, createDefaultAdmin };
\ No newline at end of file
+module.exports = { testConnection, createTables, createDefaultAdmin, createDefaultServices };
\ No newline at end of file
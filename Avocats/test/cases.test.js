@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseForfait, priceCase, computePayslips } = require('../server');
+
+// Connexion factice : renvoie les lignes prevues et garde les requetes recues
+const fakeDb = (rows) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      return { rows };
+    }
+  };
+};
+
+test('parseForfait lit le montant saisi en texte libre', () => {
+  assert.equal(parseForfait('2500€'), 2500);
+  assert.equal(parseForfait('1 500 €'), 1500);
+  assert.equal(parseForfait('-'), null);
+  assert.equal(parseForfait(''), null);
+  assert.equal(parseForfait(null), null);
+});
+
+test('priceCase applique le forfait du service', async () => {
+  const db = fakeDb([{ type: 'Divorce', tarif: 200, forfait: '2500€', commission: 15, service_price_id: 4 }]);
+  const quote = await priceCase('Divorce', 3, db);
+
+  assert.deepEqual(db.queries[0].params, ['Divorce']);
+  assert.deepEqual(quote, {
+    type: 'Divorce',
+    service_price_id: 4,
+    pricing: 'forfait',
+    tarif: 200,
+    forfait: 2500,
+    hours: 3,
+    honoraires: 2500,
+    commission: 15
+  });
+});
+
+test('priceCase facture le tarif horaire sans forfait', async () => {
+  const db = fakeDb([{ type: 'Civil', tarif: 150, forfait: '-', commission: 10, service_price_id: 2 }]);
+
+  const quote = await priceCase('Civil', '2.5', db);
+  assert.equal(quote.pricing, 'horaire');
+  assert.equal(quote.hours, 2.5);
+  assert.equal(quote.honoraires, 375);
+
+  const withoutHours = await priceCase('Civil', '', db);
+  assert.equal(withoutHours.hours, null);
+  assert.equal(withoutHours.honoraires, null);
+});
+
+test('priceCase renvoie null pour un type absent du catalogue', async () => {
+  assert.equal(await priceCase('Inconnu', 1, fakeDb([])), null);
+});
+
+test('computePayslips calcule salaire, commission et frais par employe', async () => {
+  const db = fakeDb([
+    { id: 1, name: 'Marie', role: 'Avocat', salary: 5000, commission: 20, cases_handled: '2', revenue_generated: '3000', commission_total: '600.4', total_frais: '150' },
+    { id: 2, name: 'Paul', role: 'Stagiaire', salary: 1000, commission: 0, cases_handled: '0', revenue_generated: '0', commission_total: '0', total_frais: '0' }
+  ]);
+
+  const payslips = await computePayslips('2025-W10', db);
+
+  // Semaine du lundi 3 au dimanche 9 mars : les employes embauches apres le 9 sont exclus
+  assert.deepEqual(db.queries[0].params, ['2025-W10', '2025-03-09']);
+  assert.deepEqual(payslips, [
+    {
+      employee_id: 1,
+      employee_name: 'Marie',
+      employee_role: 'Avocat',
+      base_salary: 5000,
+      commission_rate: 20,
+      cases_handled: 2,
+      revenue_generated: 3000,
+      commission_amount: 600,
+      deductions: 150,
+      total: 5450
+    },
+    {
+      employee_id: 2,
+      employee_name: 'Paul',
+      employee_role: 'Stagiaire',
+      base_salary: 1000,
+      commission_rate: 0,
+      cases_handled: 0,
+      revenue_generated: 0,
+      commission_amount: 0,
+      deductions: 0,
+      total: 1000
+    }
+  ]);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { weeksInPeriod } = require('../server');
+
+const utc = (date) => new Date(`${date}T00:00:00Z`);
+
+test('weeksInPeriod rattache chaque semaine au mois de son jeudi', () => {
+  assert.deepEqual(weeksInPeriod(utc('2026-10-01'), utc('2026-10-31')), ['2026-W40', '2026-W41', '2026-W42', '2026-W43', '2026-W44']);
+  // Le 1er mars 2025 est un samedi : la semaine 09 (jeudi 27 fevrier) reste en fevrier
+  assert.deepEqual(weeksInPeriod(utc('2025-03-01'), utc('2025-03-31')), ['2025-W10', '2025-W11', '2025-W12', '2025-W13']);
+});
+
+test('weeksInPeriod suit la numerotation ISO au changement d\'annee', () => {
+  assert.deepEqual(weeksInPeriod(utc('2024-12-23'), utc('2025-01-12')), ['2024-W52', '2025-W01', '2025-W02']);
+  assert.deepEqual(weeksInPeriod(utc('2020-12-28'), utc('2021-01-03')), ['2020-W53']);
+});
+
+test('weeksInPeriod ne retient pas une semaine dont le jeudi est hors periode', () => {
+  assert.deepEqual(weeksInPeriod(utc('2025-03-03'), utc('2025-03-05')), []);
+  assert.deepEqual(weeksInPeriod(utc('2025-03-06'), utc('2025-03-06')), ['2025-W10']);
+});
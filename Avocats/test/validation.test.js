@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkField, validateBody, handleDbError } = require('../server');
+
+// Reponse Express minimale : garde le statut et le corps JSON
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+test('checkField nettoie les chaines et convertit les nombres', () => {
+  assert.deepEqual(checkField({ label: 'Nom' }, '  Dupont  '), { value: 'Dupont' });
+  assert.deepEqual(checkField({ label: 'Mot de passe', trim: false }, ' secret '), { value: ' secret ' });
+  assert.deepEqual(checkField({ label: 'Heures', type: 'number' }, '1.5'), { value: 1.5 });
+  assert.deepEqual(checkField({ label: 'Montant', type: 'integer' }, 1200), { value: 1200 });
+  assert.deepEqual(checkField({ label: 'Actif', type: 'boolean' }, 'false'), { value: false });
+});
+
+test('checkField applique les bornes, les valeurs et les formats', () => {
+  assert.equal(checkField({ label: 'Montant', type: 'integer' }, '12.5').error, 'Montant : nombre entier attendu');
+  assert.equal(checkField({ label: 'Montant', type: 'integer', min: 0 }, -1).error, 'Montant : minimum 0');
+  assert.equal(checkField({ label: 'Commission', type: 'number', max: 100 }, 150).error, 'Commission : maximum 100');
+  assert.equal(checkField({ label: 'Nom', max: 3 }, 'Dupont').error, 'Nom : 3 caracteres maximum');
+  assert.equal(checkField({ label: 'Statut', values: ['ouvert', 'ferme'] }, 'autre').error, 'Statut invalide (ouvert, ferme)');
+  assert.equal(checkField({ label: 'Email', type: 'email' }, 'pas-un-email').error, 'Email : email invalide');
+  assert.equal(checkField({ label: 'Semaine', type: 'week' }, '2025-10').error, 'Semaine : semaine invalide (format YYYY-WXX)');
+  assert.equal(checkField({ label: 'Roles', type: 'array', values: ['admin'] }, ['admin', 'x']).error, 'Roles : valeurs autorisees admin');
+  assert.equal(checkField({ label: 'Nom' }, { nom: 'x' }).error, 'Nom : texte attendu');
+});
+
+test('checkField refuse les dates qui n\'existent pas au calendrier', () => {
+  const date = { label: 'Date', type: 'date' };
+  assert.deepEqual(checkField(date, '2024-02-29'), { value: '2024-02-29' });
+  assert.equal(checkField(date, '2025-02-31').error, 'Date : date invalide (format YYYY-MM-DD)');
+  assert.equal(checkField(date, '2025-02-29').error, 'Date : date invalide (format YYYY-MM-DD)');
+  assert.equal(checkField(date, '2025-13-01').error, 'Date : date invalide (format YYYY-MM-DD)');
+  assert.equal(checkField(date, '03/04/2025').error, 'Date : date invalide (format YYYY-MM-DD)');
+
+  const datetime = { label: 'Rendez-vous', type: 'datetime' };
+  assert.deepEqual(checkField(datetime, '2025-03-04T10:30'), { value: '2025-03-04T10:30' });
+  assert.equal(checkField(datetime, '2025-02-31T10:30').error, 'Rendez-vous : date et heure invalides');
+});
+
+test('validateBody nettoie le corps et signale chaque champ en erreur', () => {
+  const schema = {
+    nom: { label: 'Nom', required: true, max: 100 },
+    age: { label: 'Age', type: 'integer', min: 0 },
+    email: { label: 'Email', type: 'email' }
+  };
+
+  const req = { body: { nom: ' Dupont ', age: '42', email: '', extra: 'conserve' } };
+  let called = false;
+  validateBody(schema)(req, fakeResponse(), () => { called = true; });
+  assert.equal(called, true);
+  assert.deepEqual(req.body, { nom: 'Dupont', age: 42, email: null, extra: 'conserve' });
+
+  const res = fakeResponse();
+  validateBody(schema)({ body: { nom: '  ', age: -1 } }, res, () => assert.fail('next ne doit pas etre appele'));
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.errors, [
+    { field: 'nom', error: 'Nom requis' },
+    { field: 'age', error: 'Age : minimum 0' }
+  ]);
+  assert.equal(res.body.error, 'Nom requis ; Age : minimum 0');
+});
+
+test('validateBody partiel ne controle que les champs presents', () => {
+  const schema = { nom: { label: 'Nom', required: true }, age: { label: 'Age', type: 'integer' } };
+
+  const req = { body: { age: '7' } };
+  let called = false;
+  validateBody(schema, { partial: true })(req, fakeResponse(), () => { called = true; });
+  assert.equal(called, true);
+  assert.deepEqual(req.body, { age: 7 });
+
+  const res = fakeResponse();
+  validateBody(schema, { partial: true })({ body: { nom: '' } }, res, () => assert.fail('next ne doit pas etre appele'));
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.errors, [{ field: 'nom', error: 'Nom requis' }]);
+});
+
+test('validateBody traite un corps absent ou non objet comme vide', () => {
+  const res = fakeResponse();
+  validateBody({ nom: { label: 'Nom', required: true } })({ body: ['x'] }, res, () => assert.fail('next ne doit pas etre appele'));
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Nom requis');
+});
+
+test('handleDbError traduit les erreurs PostgreSQL en 400/404/409', () => {
+  const cases = [
+    [{ code: '23505', detail: 'Key (email)=(a@b.fr) already exists.' }, 409, 'Valeur deja utilisee (email)', [{ field: 'email', error: 'Valeur deja utilisee (email)' }]],
+    [{ code: '23503', detail: 'Key (client_id)=(9) is not present in table "clients".' }, 404, 'Client inexistant', [{ field: 'client_id', error: 'Client inexistant' }]],
+    [{ code: '23503', detail: 'Key (id)=(1) is still referenced from table "dossiers".' }, 409, 'Suppression impossible : encore utilise (Dossier)', []],
+    [{ code: '23502', column: 'titre' }, 400, 'titre requis', [{ field: 'titre', error: 'titre requis' }]],
+    [{ code: '23514' }, 400, 'Valeur hors des limites autorisees', []],
+    [{ code: '22001' }, 400, 'Texte trop long', []],
+    [{ code: '22P02' }, 400, 'Valeur invalide', []]
+  ];
+
+  for (const [error, status, message, errors] of cases) {
+    const res = fakeResponse();
+    handleDbError(error, res);
+    assert.equal(res.statusCode, status, error.code);
+    assert.deepEqual(res.body, { error: message, errors });
+  }
+});
+
+test('handleDbError renvoie 500 sans detail pour une erreur inattendue', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const res = fakeResponse();
+  handleDbError(new Error('connexion perdue'), res);
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { error: 'Erreur serveur' });
+});